@@ -0,0 +1,65 @@
+// A JS fixture so publication dates stay recent (popular_posts looks back 30 days)
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+module.exports = [
+  {
+    title: 'Getting Started with Node.js',
+    slug: 'getting-started-nodejs',
+    content: 'Complete guide to Node.js development...',
+    excerpt: 'Learn Node.js from scratch',
+    status: 'published',
+    publishedAt: daysAgo(2),
+    userId: { username: 'johndoe' },
+    categoryId: { slug: 'technology' },
+    views: 150,
+    likes: 25
+  },
+  {
+    title: '10 Tips for Better Living',
+    slug: 'tips-better-living',
+    content: 'Improve your daily life with these tips...',
+    excerpt: 'Simple tips to enhance your lifestyle',
+    status: 'published',
+    publishedAt: daysAgo(5),
+    userId: { username: 'janedoe' },
+    categoryId: { slug: 'lifestyle' },
+    views: 89,
+    likes: 12
+  },
+  {
+    title: 'Best Coffee Shops in NYC',
+    slug: 'best-coffee-shops-nyc',
+    content: 'Discover amazing coffee shops in New York...',
+    excerpt: "Coffee lover's guide to NYC",
+    status: 'published',
+    publishedAt: daysAgo(9),
+    userId: { username: 'johndoe' },
+    categoryId: { slug: 'food' },
+    views: 234,
+    likes: 45
+  },
+  {
+    title: 'JavaScript ES6 Features',
+    slug: 'javascript-es6-features',
+    content: 'Exploring the latest JavaScript features...',
+    excerpt: 'Modern JavaScript development',
+    status: 'published',
+    publishedAt: daysAgo(14),
+    userId: { username: 'mikejones' },
+    categoryId: { slug: 'programming' },
+    views: 312,
+    likes: 67
+  },
+  {
+    title: 'Travel Photography Tips',
+    slug: 'travel-photography-tips',
+    content: 'How to take stunning photos while traveling...',
+    excerpt: 'Capture your adventures',
+    status: 'draft',
+    publishedAt: null,
+    userId: { username: 'janedoe' },
+    categoryId: { slug: 'travel' },
+    views: 0,
+    likes: 0
+  }
+];
@@ -0,0 +1,59 @@
+/**
+ * GraphQL change subscriptions: <entity>Changed(filter) for every table, the
+ * feed of services/changeFeed.js with the same read checks as the SSE and
+ * WebSocket endpoints (routes/changes.js), e.g.
+ *
+ *   subscription { commentsChanged(filter: { postId: 4 }) { action key data } }
+ */
+
+const { GraphQLObjectType, GraphQLString, GraphQLError } = require('graphql');
+const { authorizeChanges } = require('../middleware/changeFeed');
+const { parseFilters } = require('../services/changeFeed');
+const { JSONScalar } = require('./types');
+
+const ChangeEvent = new GraphQLObjectType({
+  name: 'ChangeEvent',
+  fields: {
+    entity: { type: GraphQLString },
+    // create, update or delete, as the subscriber sees the row
+    action: { type: GraphQLString },
+    key: { type: JSONScalar },
+    data: { type: JSONScalar },
+    changes: { type: JSONScalar },
+    occurredAt: { type: GraphQLString }
+  }
+});
+
+const registerChangeFields = (extensions, { entities, feed }) => {
+  entities
+    .filter(entity => entity.type === 'table')
+    .forEach(entity => {
+      extensions.addSubscription(`${entity.name}Changed`, {
+        type: ChangeEvent,
+        args: {
+          // { field: value } pairs the row must match
+          filter: { type: JSONScalar }
+        },
+        subscribe: async (root, args, { sequelize, user }) => {
+          const access = await authorizeChanges({ entities, entity, user });
+          if (access.denied) {
+            throw new GraphQLError(access.denied.message, {
+              extensions: { code: access.denied.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN' }
+            });
+          }
+          const { values, errors } = await parseFilters(sequelize, entity, args.filter || {});
+          if (errors.length > 0) {
+            throw new GraphQLError(errors.map(error => error.message).join('; '), {
+              extensions: { code: 'BAD_USER_INPUT', validation_errors: errors }
+            });
+          }
+          return feed.iterate({ entity, filters: values, canSee: access.canSee });
+        },
+        resolve: event => event
+      });
+    });
+};
+
+module.exports = {
+  registerChangeFields
+};
@@ -0,0 +1,354 @@
+/**
+ * GraphQL fields for views, custom queries and procedures
+ * Ultimate CRUD only generates GraphQL types for tables. Every other entity is
+ * registered here under its entity name:
+ *
+ *   views      - list queries with one equality filter per column plus
+ *                limit, offset, orderBy and orderDirection
+ *   queries    - queries with typed arguments from `parameters`
+ *   procedures - mutations with typed arguments from `parameters`
+ *
+ * Result types come from the entity's `columns` block when declared, else are
+ * discovered at startup: views are described, queries run once with their
+ * default (or sample) parameters, PostgreSQL functions are read from
+ * information_schema. Entities whose columns cannot be discovered return rows
+ * as JSON. Entities with a `cache` block read through the response cache
+ * (middleware/cache.js) when a store is passed.
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLError
+} = require('graphql');
+const { QueryTypes } = require('sequelize');
+const { readField, runQuery } = require('../utils/db');
+const { selectVariant } = require('../utils/dialects');
+const { parseParameters } = require('../utils/parameters');
+const { logger } = require('../utils/logger');
+const { resolveExecutor } = require('../services/procedures');
+const { readThrough } = require('../middleware/cache');
+const { JSONScalar, SortDirection, toDateString } = require('./types');
+
+const DEFAULT_VIEW_LIMIT = 100;
+const MAX_VIEW_LIMIT = 1000;
+const MAX_INT = 2147483647;
+const VIEW_ARGUMENTS = ['limit', 'offset', 'orderBy', 'orderDirection'];
+
+const toTypeName = (name) => name
+  .split(/[^a-zA-Z0-9]+/)
+  .filter(Boolean)
+  .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('');
+
+// Column types are kept as a small vocabulary: INTEGER, FLOAT, BOOLEAN, DATE, STRING
+const normalizeSqlType = (type) => {
+  const upper = String(type || '').toUpperCase();
+  if (!upper) {
+    return null;
+  }
+  if (/^BOOL|^TINYINT\(1\)/.test(upper)) {
+    return 'BOOLEAN';
+  }
+  if (/INT|SERIAL/.test(upper)) {
+    return 'INTEGER';
+  }
+  if (/DEC|NUM|REAL|FLOAT|DOUB/.test(upper)) {
+    return 'FLOAT';
+  }
+  if (/DATE|TIME/.test(upper)) {
+    return 'DATE';
+  }
+  return 'STRING';
+};
+
+const inferValueType = (value) => {
+  if (value instanceof Date) {
+    return 'DATE';
+  }
+  if (typeof value === 'boolean') {
+    return 'BOOLEAN';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && Math.abs(value) <= MAX_INT ? 'INTEGER' : 'FLOAT';
+  }
+  return 'STRING';
+};
+
+// The type holding values of both types: mixed numbers are floats, anything else mixed is text
+const widenType = (current, type) => {
+  if (!current || current === type) {
+    return type;
+  }
+  const numeric = ['INTEGER', 'FLOAT'];
+  return numeric.includes(current) && numeric.includes(type) ? 'FLOAT' : 'STRING';
+};
+
+const inferColumns = (rows) => {
+  const columns = {};
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      const value = row[column];
+      if (value === null || value === undefined) {
+        columns[column] = columns[column] || null;
+        return;
+      }
+      columns[column] = widenType(columns[column], inferValueType(value));
+    });
+  });
+  Object.keys(columns).forEach(column => { columns[column] = columns[column] || 'STRING'; });
+  return columns;
+};
+
+const SCALARS = {
+  INTEGER: GraphQLInt,
+  FLOAT: GraphQLFloat,
+  BOOLEAN: GraphQLBoolean,
+  DATE: GraphQLString,
+  STRING: GraphQLString
+};
+
+const parameterScalar = (type) => {
+  const upper = String(type || 'STRING').toUpperCase();
+  if (['INTEGER', 'INT', 'BIGINT'].includes(upper)) {
+    return GraphQLInt;
+  }
+  if (['FLOAT', 'DOUBLE', 'DECIMAL', 'NUMBER', 'REAL'].includes(upper)) {
+    return GraphQLFloat;
+  }
+  if (['BOOLEAN', 'BOOL'].includes(upper)) {
+    return GraphQLBoolean;
+  }
+  return GraphQLString;
+};
+
+// Sample values used to run a query once when a parameter has no default
+const sampleValue = (parameter) => {
+  const scalar = parameterScalar(parameter.type);
+  if (scalar === GraphQLInt || scalar === GraphQLFloat) {
+    return parameter.min !== undefined ? parameter.min : 1;
+  }
+  if (scalar === GraphQLBoolean) {
+    return false;
+  }
+  return /DATE/i.test(parameter.type || '') ? new Date() : 'a';
+};
+
+const describeView = async (sequelize, entity) => {
+  const description = await sequelize.getQueryInterface().describeTable(entity.name);
+  const columns = {};
+  Object.keys(description).forEach(column => {
+    columns[column] = normalizeSqlType(description[column].type);
+  });
+
+  // SQLite reports no type for computed view columns; fill them in from data
+  if (Object.values(columns).some(type => !type)) {
+    const rows = await sequelize.query(`SELECT * FROM ${entity.name} LIMIT 20`, { type: QueryTypes.SELECT });
+    const inferred = inferColumns(rows);
+    Object.keys(columns).forEach(column => {
+      columns[column] = columns[column] || inferred[column] || 'STRING';
+    });
+  }
+  return columns;
+};
+
+const describeFunction = async (sequelize, entity) => {
+  const rows = await sequelize.query(
+    `SELECT p.parameter_name AS name, p.data_type AS type
+     FROM information_schema.routines r
+     JOIN information_schema.parameters p ON p.specific_name = r.specific_name
+     WHERE r.routine_name = :name AND p.parameter_mode IN ('OUT', 'INOUT')
+     ORDER BY p.ordinal_position`,
+    { replacements: { name: entity.procedure || entity.name }, type: QueryTypes.SELECT }
+  );
+  const columns = {};
+  rows.forEach(row => { columns[row.name] = normalizeSqlType(row.type); });
+  return columns;
+};
+
+const sampleQuery = async (sequelize, sql, entity) => {
+  const replacements = {};
+  (entity.parameters || []).forEach(parameter => {
+    replacements[parameter.name] = parameter.default !== undefined ? parameter.default : sampleValue(parameter);
+  });
+  return inferColumns(await runQuery(sequelize, sql, replacements));
+};
+
+/**
+ * Column name -> type for an entity's rows, or null when nothing could be
+ * discovered. Never runs procedures: they may have side effects.
+ */
+const discoverColumns = async (sequelize, entity) => {
+  const dialect = sequelize.getDialect();
+  let columns = {};
+  try {
+    if (entity.columns) {
+      Object.keys(entity.columns).forEach(column => {
+        columns[column] = normalizeSqlType(entity.columns[column]) || 'STRING';
+      });
+    } else if (entity.type === 'view') {
+      columns = await describeView(sequelize, entity);
+    } else if (entity.type === 'query') {
+      columns = await sampleQuery(sequelize, selectVariant(entity.sql, dialect), entity);
+    } else if (entity.type === 'procedure' && dialect === 'postgres') {
+      columns = await describeFunction(sequelize, entity);
+    }
+  } catch (error) {
+    logger.warn('graphql column discovery failed', { entity: entity.name, error: error.message });
+  }
+
+  // Columns that cannot be GraphQL field names are left out of the type
+  Object.keys(columns)
+    .filter(column => !/^[_a-zA-Z][_a-zA-Z0-9]*$/.test(column))
+    .forEach(column => { delete columns[column]; });
+  return Object.keys(columns).length > 0 ? columns : null;
+};
+
+const buildRowType = (entity, columns) => {
+  if (!columns) {
+    return JSONScalar;
+  }
+  const fields = {};
+  Object.keys(columns).forEach(column => {
+    fields[column] = {
+      type: SCALARS[columns[column]],
+      resolve: row => (columns[column] === 'DATE' ? toDateString(readField(row, column)) : readField(row, column))
+    };
+  });
+  return new GraphQLObjectType({ name: toTypeName(entity.name), fields });
+};
+
+const buildParameterArgs = (entity) => {
+  const args = {};
+  (entity.parameters || []).forEach(parameter => {
+    const scalar = parameterScalar(parameter.type);
+    args[parameter.name] = {
+      type: parameter.required && parameter.default === undefined ? new GraphQLNonNull(scalar) : scalar,
+      ...(parameter.default !== undefined ? { defaultValue: parameter.default } : {}),
+      ...(parameter.description ? { description: parameter.description } : {})
+    };
+  });
+  return args;
+};
+
+// Declared parameter checks (min, max, maxLength) apply to GraphQL arguments too
+const resolveParameters = (entity, args) => {
+  const { values, errors } = parseParameters(entity.parameters, args);
+  if (errors.length > 0) {
+    throw new GraphQLError(errors.map(error => error.message).join('; '), {
+      extensions: { code: 'BAD_USER_INPUT', validation_errors: errors }
+    });
+  }
+  return values;
+};
+
+const withCache = (entity, cache, args, compute) => {
+  if (!cache || !entity.cache) {
+    return compute();
+  }
+  return readThrough(cache, entity, `graphql:${entity.name}:${JSON.stringify(args)}`, compute)
+    .then(result => result.value);
+};
+
+const buildViewField = (entity, columns, rowType, cache) => {
+  const args = {
+    limit: { type: GraphQLInt, defaultValue: DEFAULT_VIEW_LIMIT },
+    offset: { type: GraphQLInt, defaultValue: 0 }
+  };
+  if (columns) {
+    Object.keys(columns)
+      .filter(column => !VIEW_ARGUMENTS.includes(column))
+      .forEach(column => {
+        args[column] = { type: SCALARS[columns[column]] };
+      });
+    const columnValues = {};
+    Object.keys(columns).forEach(column => { columnValues[column] = { value: column }; });
+    args.orderBy = { type: new GraphQLEnumType({ name: `${toTypeName(entity.name)}Column`, values: columnValues }) };
+    args.orderDirection = { type: SortDirection, defaultValue: 'ASC' };
+  }
+
+  return {
+    type: new GraphQLList(rowType),
+    args,
+    resolve: async (root, { limit, offset, orderBy, orderDirection, ...filters }, { sequelize }) => {
+      if (limit < 1 || limit > MAX_VIEW_LIMIT || offset < 0) {
+        throw new GraphQLError(`limit must be between 1 and ${MAX_VIEW_LIMIT} and offset at least 0`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        });
+      }
+
+      // Filter and order columns are restricted to the discovered ones by the schema
+      const replacements = { limit, offset };
+      const conditions = Object.keys(filters)
+        .filter(column => filters[column] !== undefined && filters[column] !== null)
+        .map(column => {
+          replacements[`filter_${column}`] = filters[column];
+          return `${column} = :filter_${column}`;
+        });
+      const sql = [
+        `SELECT * FROM ${entity.name}`,
+        conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        orderBy ? `ORDER BY ${orderBy} ${orderDirection}` : '',
+        'LIMIT :limit OFFSET :offset'
+      ].filter(Boolean).join(' ');
+
+      return withCache(entity, cache, { ...replacements, orderBy, orderDirection },
+        () => sequelize.query(sql, { replacements, type: QueryTypes.SELECT }));
+    }
+  };
+};
+
+const buildQueryField = (entity, rowType, dialect, cache) => {
+  const execute = resolveExecutor(entity, dialect);
+  return {
+    type: new GraphQLList(rowType),
+    args: buildParameterArgs(entity),
+    resolve: async (root, args, { sequelize }) => {
+      if (!execute) {
+        throw new GraphQLError(`${entity.name} is not available on ${dialect}`, {
+          extensions: { code: 'NOT_IMPLEMENTED' }
+        });
+      }
+      const values = resolveParameters(entity, args);
+      return withCache(entity, cache, values, () => execute(sequelize, values));
+    }
+  };
+};
+
+/**
+ * Discover result columns and register a GraphQL field for every view,
+ * query and procedure entity. Call after the database connection is up.
+ */
+const registerEntityFields = async (extensions, entities, { sequelize, cache }) => {
+  const dialect = sequelize.getDialect();
+
+  for (const entity of entities.filter(e => ['view', 'query', 'procedure'].includes(e.type))) {
+    const columns = await discoverColumns(sequelize, entity);
+    if (!columns) {
+      logger.warn('graphql result columns not discovered, returning JSON rows', {
+        entity: entity.name,
+        hint: 'declare a `columns` block in model/entities.js'
+      });
+    }
+    const rowType = buildRowType(entity, columns);
+
+    if (entity.type === 'view') {
+      extensions.addQuery(entity.name, buildViewField(entity, columns, rowType, cache));
+    } else if (entity.type === 'query') {
+      extensions.addQuery(entity.name, buildQueryField(entity, rowType, dialect, cache));
+    } else {
+      extensions.addMutation(entity.name, buildQueryField(entity, rowType, dialect, cache));
+    }
+  }
+};
+
+module.exports = {
+  registerEntityFields,
+  discoverColumns
+};
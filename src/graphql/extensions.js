@@ -0,0 +1,235 @@
+/**
+ * GraphQL Extensions
+ * Root fields served by this application next to the schema Ultimate CRUD
+ * generates on /graphql. Register fields with addQuery/addMutation and mount
+ * the middleware ahead of Ultimate CRUD; subscription fields (addSubscription)
+ * are served over WebSocket by graphql/subscriptions.js:
+ *
+ *   - operations that only select extension fields are executed here
+ *   - operations that only select generated fields pass through untouched
+ *   - mixed POST queries are split: extension fields run here, the rest is
+ *     forwarded and both results are merged into a single response
+ *   - mixed mutations are rejected: their fields must run one after the other
+ *     in document order, which two separately executed halves cannot do
+ */
+
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+  Kind,
+  parse,
+  print,
+  validate,
+  execute
+} = require('graphql');
+const { getGraphQLRequest, getFragments, rewriteJsonResponse } = require('./request');
+
+// Names of variables and fragments referenced from a selection set, following spreads
+const collectReferences = (selectionSet, fragments, references = { variables: new Set(), fragments: new Set() }) => {
+  const visitNode = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visitNode);
+      return;
+    }
+    if (node.kind === Kind.VARIABLE) {
+      references.variables.add(node.name.value);
+      return;
+    }
+    if (node.kind === Kind.FRAGMENT_SPREAD) {
+      const name = node.name.value;
+      if (!references.fragments.has(name) && fragments[name]) {
+        references.fragments.add(name);
+        visitNode(fragments[name]);
+      }
+    }
+    Object.keys(node).forEach(key => {
+      if (key !== 'loc') {
+        visitNode(node[key]);
+      }
+    });
+  };
+
+  visitNode(selectionSet);
+  return references;
+};
+
+// Copy of `document` with only `operation`, its root selections matching `keep`,
+// and the variable definitions and fragments those fields still use
+const pruneDocument = (document, operation, keep) => {
+  const fragments = getFragments(document);
+  const selectionSet = {
+    ...operation.selectionSet,
+    selections: operation.selectionSet.selections.filter(keep)
+  };
+  const references = collectReferences(selectionSet, fragments);
+
+  return {
+    kind: Kind.DOCUMENT,
+    definitions: [
+      {
+        ...operation,
+        selectionSet,
+        variableDefinitions: (operation.variableDefinitions || []).filter(definition =>
+          references.variables.has(definition.variable.name.value)
+        )
+      },
+      ...Object.values(fragments).filter(fragment => references.fragments.has(fragment.name.value))
+    ]
+  };
+};
+
+const mergeResults = (forwarded, local) => {
+  const errors = [...(forwarded.errors || []), ...(local.errors || [])];
+  return {
+    ...forwarded,
+    data: forwarded.data === null && !local.data ? null : { ...(forwarded.data || {}), ...(local.data || {}) },
+    ...(errors.length > 0 ? { errors } : {})
+  };
+};
+
+const createGraphQLExtensions = () => {
+  const fields = { query: {}, mutation: {}, subscription: {} };
+  let schema = null;
+
+  const register = (operation) => (name, config) => {
+    if (fields.query[name] || fields.mutation[name] || fields.subscription[name]) {
+      throw new Error(`GraphQL extension field "${name}" is already registered`);
+    }
+    fields[operation][name] = config;
+    schema = null;
+  };
+
+  const getSchema = () => {
+    if (!schema) {
+      const hasMutations = Object.keys(fields.mutation).length > 0;
+      const hasSubscriptions = Object.keys(fields.subscription).length > 0;
+      schema = new GraphQLSchema({
+        query: new GraphQLObjectType({
+          name: 'Query',
+          // graphql-js requires at least one query field
+          fields: Object.keys(fields.query).length > 0
+            ? { ...fields.query }
+            : { _extensions: { type: GraphQLString, resolve: () => 'ok' } }
+        }),
+        ...(hasMutations ? { mutation: new GraphQLObjectType({ name: 'Mutation', fields: { ...fields.mutation } }) } : {}),
+        ...(hasSubscriptions
+          ? { subscription: new GraphQLObjectType({ name: 'Subscription', fields: { ...fields.subscription } }) }
+          : {})
+      });
+    }
+    return schema;
+  };
+
+  const isExtensionField = (operation, name) => Boolean(fields[operation] && fields[operation][name]);
+  const isExtensionSelection = (operation, selection) =>
+    selection.kind === Kind.FIELD && isExtensionField(operation, selection.name.value);
+
+  const middleware = ({ sequelize } = {}) => async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return next();
+    }
+
+    const { query, operationName, variables } = getGraphQLRequest(req);
+    if (!query) {
+      return next();
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      // Let the GraphQL server report syntax errors
+      return next();
+    }
+
+    const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+    const operation = operationName
+      ? operations.find(definition => definition.name && definition.name.value === operationName)
+      : operations.length === 1 ? operations[0] : null;
+    if (!operation) {
+      return next();
+    }
+    if (operation.operation === 'subscription') {
+      if (!operation.selectionSet.selections.some(selection => isExtensionSelection('subscription', selection))) {
+        return next();
+      }
+      return res.status(400).json({
+        errors: [{
+          message: 'Subscriptions are served over WebSocket (graphql-transport-ws) on this path',
+          extensions: { code: 'BAD_REQUEST' }
+        }]
+      });
+    }
+
+    const isLocal = selection => isExtensionSelection(operation.operation, selection);
+    const local = operation.selectionSet.selections.filter(isLocal).map(selection => selection.name.value);
+    if (local.length === 0) {
+      return next();
+    }
+
+    const forwardsFields = !operation.selectionSet.selections.every(isLocal);
+    if (forwardsFields && operation.operation === 'mutation') {
+      return res.status(400).json({
+        errors: [{
+          message: `${local.join(', ')} cannot be combined with other mutations in one operation; send them as separate requests`,
+          extensions: { code: 'BAD_REQUEST' }
+        }]
+      });
+    }
+    if (forwardsFields && req.method !== 'POST') {
+      return res.status(400).json({
+        errors: [{
+          message: `${local.join(', ')} cannot be combined with other fields in a GET request; use POST`,
+          extensions: { code: 'BAD_REQUEST' }
+        }]
+      });
+    }
+
+    try {
+      // Other operations and fragments in the document may target the generated schema
+      const localDocument = pruneDocument(document, operation, isLocal);
+      const validationErrors = validate(getSchema(), localDocument);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ errors: validationErrors.map(error => error.toJSON()) });
+      }
+
+      const result = await execute({
+        schema: getSchema(),
+        document: localDocument,
+        variableValues: variables,
+        operationName,
+        contextValue: { req, user: req.user, sequelize }
+      });
+      const localResult = JSON.parse(JSON.stringify(result));
+
+      if (!forwardsFields) {
+        return res.json(localResult);
+      }
+
+      // Forward the remaining fields and merge the GraphQL server's JSON response
+      req.body.query = print(pruneDocument(document, operation, selection => !isLocal(selection)));
+      rewriteJsonResponse(res, forwarded => mergeResults(forwarded, localResult));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return {
+    addQuery: register('query'),
+    addMutation: register('mutation'),
+    addSubscription: register('subscription'),
+    getSchema,
+    middleware
+  };
+};
+
+module.exports = {
+  createGraphQLExtensions,
+  pruneDocument,
+  mergeResults
+};
@@ -0,0 +1,124 @@
+/**
+ * GraphQL moderation: approve<Entity>(ids) and reject<Entity>(ids, reason)
+ * mutations for every entity with a `moderation` block, and a
+ * <entity>Thread(<foreign key>, depth) query for those with a thread, with
+ * the same permissions and checks as the REST routes (routes/moderation.js)
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLID,
+  GraphQLError
+} = require('graphql');
+const { checkAccess } = require('../middleware/auth');
+const { toPascalCase } = require('../middleware/softDelete');
+const { parseParameters } = require('../utils/parameters');
+const { getThreadConfig, parseDecision, checkReason, moderateRecords, getThread } = require('../services/moderation');
+const { JSONScalar } = require('./types');
+
+const ModerationResult = new GraphQLObjectType({
+  name: 'ModerationResult',
+  fields: {
+    action: { type: GraphQLString },
+    ids: { type: new GraphQLList(GraphQLID) },
+    missing: { type: new GraphQLList(GraphQLID) }
+  }
+});
+
+const ThreadResult = new GraphQLObjectType({
+  name: 'ThreadResult',
+  fields: {
+    depth: { type: GraphQLInt },
+    total: { type: GraphQLInt },
+    // Rows with nested `replies`, shaped like the REST thread response
+    rows: { type: new GraphQLList(JSONScalar) }
+  }
+});
+
+const throwAccessError = (denied) => {
+  throw new GraphQLError(denied.message, {
+    extensions: { code: denied.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN' }
+  });
+};
+
+const throwInputError = (errors) => {
+  throw new GraphQLError(errors.map(error => error.message).join('; '), {
+    extensions: { code: 'BAD_USER_INPUT', validation_errors: errors }
+  });
+};
+
+const registerModerationFields = (extensions, { entities }) => {
+  entities
+    .filter(entity => entity.type === 'table' && entity.moderation)
+    .forEach(entity => {
+      const name = toPascalCase(entity.name);
+
+      const mutation = (action, args) => ({
+        type: ModerationResult,
+        args,
+        resolve: async (root, input, { sequelize, user }) => {
+          const denied = await checkAccess({ entity, action: 'moderate', user });
+          if (denied) {
+            throwAccessError(denied);
+          }
+          const { values, errors } = parseDecision({ ...input, action });
+          errors.push(...checkReason(action, values.reason));
+          if (errors.length > 0) {
+            throwInputError(errors);
+          }
+          return moderateRecords(sequelize, entity, values.ids, { ...values, moderator: user });
+        }
+      });
+
+      const ids = { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLID))) };
+      extensions.addMutation(`approve${name}`, mutation('approve', { ids }));
+      extensions.addMutation(`reject${name}`, mutation('reject', {
+        ids,
+        reason: { type: new GraphQLNonNull(GraphQLString) }
+      }));
+
+      const thread = getThreadConfig(entities, entity);
+      if (!thread) {
+        return;
+      }
+      const threadParameters = [
+        { name: 'depth', type: 'INTEGER', default: thread.depth, min: 1, max: thread.maxDepth }
+      ];
+
+      extensions.addQuery(`${entity.name}Thread`, {
+        type: ThreadResult,
+        args: {
+          [thread.foreignKey]: { type: new GraphQLNonNull(GraphQLID) },
+          depth: { type: GraphQLInt }
+        },
+        resolve: async (root, args, { sequelize, user }) => {
+          for (const target of [thread.parent, entity]) {
+            const denied = await checkAccess({ entity: target, action: 'read', user });
+            if (denied) {
+              throwAccessError(denied);
+            }
+          }
+          const { values, errors } = parseParameters(threadParameters, args);
+          if (errors.length > 0) {
+            throwInputError(errors);
+          }
+
+          const result = await getThread(sequelize, entities, entity, args[thread.foreignKey], values);
+          if (!result) {
+            throw new GraphQLError(`${thread.parent.name} ${args[thread.foreignKey]} not found`, {
+              extensions: { code: 'NOT_FOUND' }
+            });
+          }
+          return { depth: values.depth, ...result };
+        }
+      });
+    });
+};
+
+module.exports = {
+  registerModerationFields
+};
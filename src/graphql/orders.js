@@ -0,0 +1,103 @@
+/**
+ * GraphQL order placement: the placeOrder mutation, with the same checks,
+ * permission, transaction and stock reservation as POST /api/orders/place
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLError
+} = require('graphql');
+const { checkAccess } = require('../middleware/auth');
+const { findEntity } = require('../utils/db');
+const { parseOrder, placeOrder } = require('../services/orders');
+const { toDateString } = require('./types');
+
+const ERROR_CODES = {
+  409: 'INSUFFICIENT_STOCK',
+  422: 'INTEGRITY_ERROR'
+};
+
+const OrderItemInput = new GraphQLInputObjectType({
+  name: 'PlaceOrderItemInput',
+  fields: {
+    product_id: { type: new GraphQLNonNull(GraphQLInt) },
+    quantity: { type: GraphQLInt, defaultValue: 1 }
+  }
+});
+
+const PlaceOrderInput = new GraphQLInputObjectType({
+  name: 'PlaceOrderInput',
+  fields: {
+    customer_name: { type: new GraphQLNonNull(GraphQLString) },
+    items: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(OrderItemInput))) }
+  }
+});
+
+const PlacedOrderItem = new GraphQLObjectType({
+  name: 'PlacedOrderItem',
+  fields: {
+    product_id: { type: GraphQLInt },
+    quantity: { type: GraphQLInt },
+    unit_price: { type: GraphQLFloat },
+    line_total: { type: GraphQLFloat }
+  }
+});
+
+const PlacedOrder = new GraphQLObjectType({
+  name: 'PlacedOrder',
+  fields: {
+    order_uuid: { type: GraphQLString },
+    customer_name: { type: GraphQLString },
+    total_amount: { type: GraphQLFloat },
+    status: { type: GraphQLString },
+    created_at: { type: GraphQLString, resolve: order => toDateString(order.created_at) },
+    items: { type: new GraphQLList(PlacedOrderItem) }
+  }
+});
+
+const registerOrderFields = (extensions, { entities }) => {
+  const entity = findEntity(entities, 'orders');
+
+  extensions.addMutation('placeOrder', {
+    type: PlacedOrder,
+    args: {
+      input: { type: new GraphQLNonNull(PlaceOrderInput) }
+    },
+    resolve: async (root, { input }, { sequelize, user }) => {
+      const denied = await checkAccess({ entity, action: 'place', user });
+      if (denied) {
+        throw new GraphQLError(denied.message, {
+          extensions: { code: denied.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN' }
+        });
+      }
+
+      const { values, errors } = parseOrder(input);
+      if (errors.length > 0) {
+        throw new GraphQLError(errors.map(error => error.message).join('; '), {
+          extensions: { code: 'BAD_USER_INPUT', validation_errors: errors }
+        });
+      }
+
+      try {
+        return await placeOrder(sequelize, values);
+      } catch (error) {
+        if (ERROR_CODES[error.status]) {
+          throw new GraphQLError(error.validation_errors.map(item => item.message).join('; '), {
+            extensions: { code: ERROR_CODES[error.status], validation_errors: error.validation_errors }
+          });
+        }
+        throw error;
+      }
+    }
+  });
+};
+
+module.exports = {
+  registerOrderFields
+};
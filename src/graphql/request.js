@@ -0,0 +1,68 @@
+/**
+ * GraphQL request helpers shared by the authorization middleware and the
+ * GraphQL extension layer
+ */
+
+const { Kind } = require('graphql');
+
+// Root-level fields of a selection set, following inline fragments and spreads
+const collectRootFields = (selectionSet, fragments, fields = []) => {
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      collectRootFields(selection.selectionSet, fragments, fields);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD && fragments[selection.name.value]) {
+      collectRootFields(fragments[selection.name.value].selectionSet, fragments, fields);
+    }
+  });
+  return fields;
+};
+
+// Query, variables and operation name from a GET or POST GraphQL request
+const getGraphQLRequest = (req) => {
+  const source = req.method === 'GET' ? req.query : req.body || {};
+  let variables = source.variables || {};
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      variables = {};
+    }
+  }
+  return { query: source.query, operationName: source.operationName, variables };
+};
+
+const getFragments = (document) => {
+  const fragments = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => { fragments[definition.name.value] = definition; });
+  return fragments;
+};
+
+// Replace the JSON body the GraphQL server sends with rewrite(parsedBody);
+// other bodies, and bodies that fail to parse, go out unchanged
+const rewriteJsonResponse = (res, rewrite) => {
+  const end = res.end.bind(res);
+  res.end = (chunk, ...args) => {
+    const type = res.get('Content-Type') || '';
+    if (!chunk || !type.includes('application/json')) {
+      return end(chunk, ...args);
+    }
+    try {
+      const body = Buffer.from(JSON.stringify(rewrite(JSON.parse(chunk.toString()))));
+      res.set('Content-Length', String(body.length));
+      return end(body, ...args.filter(arg => typeof arg === 'function'));
+    } catch (error) {
+      return end(chunk, ...args);
+    }
+  };
+};
+
+module.exports = {
+  getGraphQLRequest,
+  rewriteJsonResponse,
+  collectRootFields,
+  getFragments
+};
@@ -0,0 +1,127 @@
+/**
+ * GraphQL search fields: searchPosts and searchComments, with the same
+ * arguments, ranking and highlighting as /api/search
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLError
+} = require('graphql');
+const { parseParameters } = require('../utils/parameters');
+const { SEARCH_PARAMETERS, searchPosts, searchComments } = require('../services/search');
+const { toDateString } = require('./types');
+
+const SearchAuthor = new GraphQLObjectType({
+  name: 'SearchAuthor',
+  fields: {
+    id: { type: GraphQLInt },
+    username: { type: GraphQLString }
+  }
+});
+
+const SearchCategory = new GraphQLObjectType({
+  name: 'SearchCategory',
+  fields: {
+    id: { type: GraphQLInt },
+    name: { type: GraphQLString },
+    slug: { type: GraphQLString }
+  }
+});
+
+const SearchPost = new GraphQLObjectType({
+  name: 'SearchPost',
+  fields: {
+    id: { type: GraphQLInt },
+    title: { type: GraphQLString },
+    slug: { type: GraphQLString }
+  }
+});
+
+const SearchPagination = new GraphQLObjectType({
+  name: 'SearchPagination',
+  fields: {
+    page: { type: GraphQLInt },
+    limit: { type: GraphQLInt },
+    total: { type: GraphQLInt },
+    totalPages: { type: GraphQLInt }
+  }
+});
+
+const PostSearchResult = new GraphQLObjectType({
+  name: 'PostSearchResult',
+  fields: {
+    id: { type: GraphQLInt },
+    title: { type: GraphQLString },
+    titleHighlight: { type: GraphQLString },
+    slug: { type: GraphQLString },
+    excerpt: { type: GraphQLString },
+    snippet: { type: GraphQLString },
+    score: { type: GraphQLFloat },
+    publishedAt: { type: GraphQLString, resolve: result => toDateString(result.publishedAt) },
+    views: { type: GraphQLInt },
+    likes: { type: GraphQLInt },
+    author: { type: SearchAuthor },
+    category: { type: SearchCategory }
+  }
+});
+
+const CommentSearchResult = new GraphQLObjectType({
+  name: 'CommentSearchResult',
+  fields: {
+    id: { type: GraphQLInt },
+    snippet: { type: GraphQLString },
+    score: { type: GraphQLFloat },
+    createdAt: { type: GraphQLString, resolve: result => toDateString(result.createdAt) },
+    post: { type: SearchPost },
+    author: { type: SearchAuthor }
+  }
+});
+
+const searchArgs = {
+  q: { type: new GraphQLNonNull(GraphQLString) },
+  category: { type: GraphQLString, description: 'Category slug or id' },
+  author: { type: GraphQLString, description: 'Author username or id' },
+  page: { type: GraphQLInt, defaultValue: 1 },
+  limit: { type: GraphQLInt, defaultValue: 10 }
+};
+
+const pageType = (name, resultType) => new GraphQLObjectType({
+  name,
+  fields: {
+    results: { type: new GraphQLList(resultType) },
+    pagination: { type: SearchPagination }
+  }
+});
+
+// Arguments go through the same parameter checks as the REST endpoints
+const resolveSearch = (search) => async (root, args, { sequelize }) => {
+  const { values, errors } = parseParameters(SEARCH_PARAMETERS, args);
+  if (errors.length > 0) {
+    throw new GraphQLError(errors.map(error => error.message).join('; '), {
+      extensions: { code: 'BAD_USER_INPUT', validation_errors: errors }
+    });
+  }
+  return search(sequelize, values);
+};
+
+const registerSearchFields = (extensions) => {
+  extensions.addQuery('searchPosts', {
+    type: pageType('PostSearchPage', PostSearchResult),
+    args: searchArgs,
+    resolve: resolveSearch(searchPosts)
+  });
+  extensions.addQuery('searchComments', {
+    type: pageType('CommentSearchPage', CommentSearchResult),
+    args: searchArgs,
+    resolve: resolveSearch(searchComments)
+  });
+};
+
+module.exports = {
+  registerSearchFields
+};
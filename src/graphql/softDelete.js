@@ -0,0 +1,89 @@
+/**
+ * GraphQL soft delete: softDelete<Entity>, restore<Entity> and purge<Entity>
+ * mutations for every entity with `softDelete: true`, with the same
+ * permissions and cascade as the REST routes (routes/softDelete.js)
+ */
+
+const {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLID,
+  GraphQLError
+} = require('graphql');
+const { checkAccess } = require('../middleware/auth');
+const { toPascalCase } = require('../middleware/softDelete');
+const { createRecordLoader } = require('../utils/db');
+const { softDeleteRecord, restoreRecord, purgeRecord } = require('../services/softDelete');
+
+const CascadeCount = new GraphQLObjectType({
+  name: 'SoftDeleteCascadeCount',
+  fields: {
+    entity: { type: GraphQLString },
+    count: { type: GraphQLInt }
+  }
+});
+
+const SoftDeleteResult = new GraphQLObjectType({
+  name: 'SoftDeleteResult',
+  fields: {
+    id: { type: GraphQLID },
+    deletedAt: { type: GraphQLString },
+    cascaded: {
+      type: new GraphQLList(CascadeCount),
+      resolve: result => Object.entries(result.cascaded || {}).map(([entity, count]) => ({ entity, count }))
+    }
+  }
+});
+
+const registerSoftDeleteFields = (extensions, { entities }) => {
+  entities
+    .filter(entity => entity.type === 'table' && entity.softDelete)
+    .forEach(entity => {
+      const name = toPascalCase(entity.name);
+
+      const mutation = (action, run) => ({
+        type: SoftDeleteResult,
+        args: {
+          id: { type: new GraphQLNonNull(GraphQLID) }
+        },
+        resolve: async (root, { id }, { sequelize, user }) => {
+          const loadRecord = createRecordLoader(entity, sequelize);
+          const denied = await checkAccess({ entity, action, user, id, loadRecord });
+          if (denied) {
+            throw new GraphQLError(denied.message, {
+              extensions: { code: denied.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN' }
+            });
+          }
+
+          try {
+            const result = await run(sequelize, id);
+            if (!result) {
+              throw new GraphQLError(`${entity.name} ${id} not found`, { extensions: { code: 'NOT_FOUND' } });
+            }
+            return result;
+          } catch (error) {
+            if (error.status === 409) {
+              throw new GraphQLError(error.validation_errors.map(item => item.message).join('; '), {
+                extensions: { code: 'CONFLICT', validation_errors: error.validation_errors }
+              });
+            }
+            throw error;
+          }
+        }
+      });
+
+      extensions.addMutation(`softDelete${name}`,
+        mutation('delete', (sequelize, id) => softDeleteRecord(sequelize, entities, entity, id)));
+      extensions.addMutation(`restore${name}`,
+        mutation('restore', (sequelize, id) => restoreRecord(sequelize, entities, entity, id)));
+      extensions.addMutation(`purge${name}`,
+        mutation('purge', (sequelize, id) => purgeRecord(sequelize, entities, entity, id)));
+    });
+};
+
+module.exports = {
+  registerSoftDeleteFields
+};
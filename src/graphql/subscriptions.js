@@ -0,0 +1,255 @@
+/**
+ * GraphQL subscriptions over WebSocket, on the /graphql path, for the
+ * subscription fields of the extension schema (graphql/extensions.js).
+ * Speaks the graphql-transport-ws protocol of graphql-ws clients:
+ *
+ *   → connection_init { payload: { authorization: 'Bearer <token>' } }
+ *   ← connection_ack
+ *   → subscribe { id, payload: { query, variables, operationName } }
+ *   ← next { id, payload: { data } } ... complete { id } | error { id, payload: [errors] }
+ *   → complete { id }                          ends a subscription
+ *
+ * The token may also come with the upgrade request (Authorization header or
+ * ?access_token=). The connection closes with 4401 when that token expires or
+ * its user is deactivated or deleted. Only subscription operations are
+ * accepted; queries and mutations go to POST /graphql.
+ */
+
+const { WebSocketServer } = require('ws');
+const { GraphQLError, parse, validate, subscribe, getOperationAST } = require('graphql');
+const {
+  readAccessToken,
+  authenticateToken,
+  rejectUpgrade,
+  keepAlive,
+  watchSession
+} = require('../middleware/changeFeed');
+const { getFeedSettings } = require('../services/changeFeed');
+
+const PROTOCOL = 'graphql-transport-ws';
+const INIT_TIMEOUT_MS = 10000;
+
+// Close codes of the protocol
+const CLOSE = {
+  invalidMessage: 4400,
+  unauthorized: 4401,
+  forbidden: 4403,
+  subprotocolNotAcceptable: 4406,
+  initTimeout: 4408,
+  duplicateSubscriber: 4409,
+  tooManyInitRequests: 4429
+};
+
+const toErrors = errors => errors.map(error => (error instanceof GraphQLError ? error.toJSON() : { message: error.message }));
+
+// Token from the connection_init payload; undefined when it carries none
+const readInitToken = (payload) => {
+  const value = payload && typeof payload === 'object' ? payload.authorization || payload.Authorization : undefined;
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const [scheme, token] = value.split(' ');
+  return scheme === 'Bearer' && token ? token : '';
+};
+
+/**
+ * Returns { handleUpgrade(req, socket, head), close() }; the server's upgrade
+ * listener hands it the requests for /graphql.
+ */
+const createSubscriptionServer = ({ extensions, sequelize }) => {
+  const settings = getFeedSettings();
+  const server = new WebSocketServer({
+    noServer: true,
+    maxPayload: 64 * 1024,
+    handleProtocols: protocols => (protocols.has(PROTOCOL) ? PROTOCOL : false)
+  });
+  const stopKeepAlive = keepAlive(server, settings.heartbeatMs);
+
+  const connect = (socket, req, upgradeUser) => {
+    if (socket.protocol !== PROTOCOL) {
+      socket.close(CLOSE.subprotocolNotAcceptable, 'Subprotocol not acceptable');
+      return;
+    }
+
+    let user = upgradeUser;
+    let initialised = false;
+    let acknowledged = false;
+    // id => async iterator, or null while the operation is starting
+    const operations = new Map();
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    // Watches the user the operations run as; connection_init may replace it
+    let stopWatching = () => {};
+    const watch = () => {
+      stopWatching();
+      stopWatching = watchSession({ sequelize, user, intervalMs: settings.sessionCheckMs }, (message) => {
+        socket.close(CLOSE.unauthorized, message);
+      });
+    };
+    watch();
+
+    const initTimer = setTimeout(() => {
+      if (!initialised) {
+        socket.close(CLOSE.initTimeout, 'Connection initialisation timeout');
+      }
+    }, INIT_TIMEOUT_MS);
+
+    const start = async (id, payload) => {
+      let document;
+      try {
+        document = parse(payload.query);
+      } catch (error) {
+        return toErrors([error]);
+      }
+      const operation = getOperationAST(document, payload.operationName);
+      if (!operation) {
+        return [{ message: 'Unable to identify the operation to run' }];
+      }
+      if (operation.operation !== 'subscription') {
+        return [{ message: `Only subscriptions are served over WebSocket; send ${operation.operation} operations to POST /graphql` }];
+      }
+      const schema = extensions.getSchema();
+      const validationErrors = validate(schema, document);
+      if (validationErrors.length > 0) {
+        return toErrors(validationErrors);
+      }
+
+      const result = await subscribe({
+        schema,
+        document,
+        variableValues: payload.variables,
+        operationName: payload.operationName,
+        contextValue: { req, user, sequelize }
+      });
+      if (!result[Symbol.asyncIterator]) {
+        return toErrors(result.errors || []);
+      }
+      // Completed by the client, or disconnected, while starting
+      if (!operations.has(id)) {
+        await result.return();
+        return null;
+      }
+
+      operations.set(id, result);
+      for await (const value of result) {
+        send({ id, type: 'next', payload: JSON.parse(JSON.stringify(value)) });
+      }
+      if (operations.delete(id)) {
+        send({ id, type: 'complete' });
+      }
+      return null;
+    };
+
+    const handleSubscribe = (message) => {
+      const { id, payload } = message;
+      if (typeof id !== 'string' || !id || !payload || typeof payload.query !== 'string') {
+        return socket.close(CLOSE.invalidMessage, 'Invalid subscribe message');
+      }
+      if (operations.has(id)) {
+        return socket.close(CLOSE.duplicateSubscriber, `Subscriber for ${id} already exists`);
+      }
+      if (operations.size >= settings.maxSubscriptions) {
+        return send({ id, type: 'error', payload: [{ message: `At most ${settings.maxSubscriptions} subscriptions per connection` }] });
+      }
+
+      operations.set(id, null);
+      start(id, payload)
+        .then((errors) => {
+          if (errors && operations.delete(id)) {
+            send({ id, type: 'error', payload: errors });
+          }
+        })
+        .catch((error) => {
+          if (operations.delete(id)) {
+            send({ id, type: 'error', payload: [{ message: error.message }] });
+          }
+        });
+    };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return socket.close(CLOSE.invalidMessage, 'Invalid message received');
+      }
+      if (!message || typeof message !== 'object') {
+        return socket.close(CLOSE.invalidMessage, 'Invalid message received');
+      }
+
+      switch (message.type) {
+        case 'connection_init': {
+          if (initialised) {
+            return socket.close(CLOSE.tooManyInitRequests, 'Too many initialisation requests');
+          }
+          initialised = true;
+          clearTimeout(initTimer);
+          const token = readInitToken(message.payload);
+          if (token !== undefined) {
+            const result = authenticateToken(token);
+            if (result.status) {
+              return socket.close(CLOSE.forbidden, result.message);
+            }
+            user = result.user;
+            watch();
+          }
+          acknowledged = true;
+          return send({ type: 'connection_ack' });
+        }
+        case 'ping':
+          return send({ type: 'pong', ...(message.payload ? { payload: message.payload } : {}) });
+        case 'pong':
+          return undefined;
+        case 'subscribe':
+          if (!acknowledged) {
+            return socket.close(CLOSE.unauthorized, 'Unauthorized');
+          }
+          return handleSubscribe(message);
+        case 'complete': {
+          const iterator = operations.get(message.id);
+          operations.delete(message.id);
+          if (iterator) {
+            iterator.return();
+          }
+          return undefined;
+        }
+        default:
+          return socket.close(CLOSE.invalidMessage, `Unexpected message type: ${message.type}`);
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(initTimer);
+      stopWatching();
+      operations.forEach(iterator => iterator && iterator.return());
+      operations.clear();
+    });
+  };
+
+  const handleUpgrade = (req, socket, head) => {
+    const { user, status, message } = authenticateToken(readAccessToken(req));
+    if (status) {
+      return rejectUpgrade(socket, status, message);
+    }
+    server.handleUpgrade(req, socket, head, (client) => {
+      server.emit('connection', client, req);
+      connect(client, req, user);
+    });
+  };
+
+  const close = () => {
+    stopKeepAlive();
+    server.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+  };
+
+  return { handleUpgrade, close };
+};
+
+module.exports = {
+  createSubscriptionServer
+};
@@ -0,0 +1,29 @@
+/**
+ * Scalars and helpers shared by the GraphQL extension fields
+ */
+
+const { GraphQLScalarType, GraphQLEnumType } = require('graphql');
+
+// Rows whose columns could not be discovered are returned as plain objects
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Arbitrary JSON value',
+  serialize: value => value
+});
+
+const SortDirection = new GraphQLEnumType({
+  name: 'SortDirection',
+  values: {
+    ASC: { value: 'ASC' },
+    DESC: { value: 'DESC' }
+  }
+});
+
+// MySQL and PostgreSQL return Date objects, SQLite returns strings
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : value);
+
+module.exports = {
+  JSONScalar,
+  SortDirection,
+  toDateString
+};
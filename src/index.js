@@ -9,54 +9,283 @@ const cors = require('cors');
 const { Sequelize } = require('sequelize');
 const UltimateCrud = require('ultimate-crud');
 const entities = require('./model/entities');
-const { validateUserData, validateCategoryData } = require('./middleware/validation');
+const { validateEntity } = require('./middleware/validation');
+const { enforceIntegrity } = require('./middleware/integrity');
+const { authenticate, authorizeEntity, authorizeGraphQL, checkJwtSecret } = require('./middleware/auth');
+const { rateLimit, createMemoryStore } = require('./middleware/rateLimit');
+const { createMemoryCache, checkCacheConfig, cacheResponse, invalidateOnWrite, invalidateGraphQL } = require('./middleware/cache');
+const { excludeDeleted, hideDeleted, refuseDeleteMutations } = require('./middleware/softDelete');
+const { excludeUnapproved, hideUnapproved } = require('./middleware/moderation');
+const { auditEntity, auditGraphQL } = require('./middleware/audit');
+const { checkConcurrency, checkConcurrencyGraphQL } = require('./middleware/concurrency');
+const { correlationId, requestLogger, errorLogger } = require('./middleware/logging');
+const { isEnabled } = require('./utils/logger');
+const { createDbConfig, findEntity } = require('./utils/db');
+const { useAmbientTransactions } = require('./utils/transactions');
+const { resolveDialectSql } = require('./utils/dialects');
+const { checkProcedureSupport } = require('./services/procedures');
+const { checkMigrations } = require('./services/migrations');
+const { onChange } = require('./services/audit');
+const { createWebhookDispatcher } = require('./services/webhooks');
+const { createChangeFeed } = require('./services/changeFeed');
+const { createAuthRouter } = require('./routes/auth');
+const { createQueryRouter } = require('./routes/queries');
+const { createSearchRouter } = require('./routes/search');
+const { createUploadRouter, getUploadColumns } = require('./routes/uploads');
+const { createOrderRouter } = require('./routes/orders');
+const { createProductStockRouter, createLocationStockRouter } = require('./routes/stock');
+const { createSoftDeleteRouter } = require('./routes/softDelete');
+const { createAuditRouter } = require('./routes/audit');
+const { createWebhookRouter } = require('./routes/webhooks');
+const { createChangeStreamRouter, createChangeSocketServer } = require('./routes/changes');
+const { createModerationRouter, createThreadRouter } = require('./routes/moderation');
+const { createBulkRouter } = require('./routes/bulk');
+const { createBatchRouter } = require('./routes/batch');
+const { createLocalStorage } = require('./services/storage');
+const { createGraphQLExtensions } = require('./graphql/extensions');
+const { registerSearchFields } = require('./graphql/search');
+const { registerEntityFields } = require('./graphql/entities');
+const { registerOrderFields } = require('./graphql/orders');
+const { registerSoftDeleteFields } = require('./graphql/softDelete');
+const { registerModerationFields } = require('./graphql/moderation');
+const { registerChangeFields } = require('./graphql/changes');
+const { createSubscriptionServer } = require('./graphql/subscriptions');
+const { getThreadConfig } = require('./services/moderation');
+
+// Tokens are signed with JWT_SECRET; without a real one the app does not start
+checkJwtSecret();
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(correlationId);
+if (isEnabled('ENABLE_REQUEST_LOGGING', true)) {
+  app.use(requestLogger({ entities }));
+}
+// ETags are read by browser clients for If-Match (middleware/concurrency.js)
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
+app.use(authenticate);
+
+// Rate limiting: env defaults for the whole API, stricter budgets per entity and for login
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+const rateLimitStore = createMemoryStore();
+app.use(['/api', '/graphql'], rateLimit({ store: rateLimitStore }));
+app.use('/api/auth/login', rateLimit({ name: 'login', store: rateLimitStore, max: 10 }));
+app.use('/api/search', rateLimit({ name: 'search', store: rateLimitStore, windowMs: 60000, max: 60 }));
+entities
+  .filter(entity => entity.rateLimit)
+  .forEach(entity => {
+    app.use(entity.route, rateLimit({ ...entity.rateLimit, name: entity.name, store: rateLimitStore }));
+  });
+
+// Database Configuration (DB_* env vars, see utils/db.js)
+// Queries join the transaction of the code they run in, so batches can span requests
+const sequelize = useAmbientTransactions(new Sequelize(createDbConfig()));
+
+// Authentication routes and per-entity authorization BEFORE Ultimate CRUD initialization
+app.use('/api/auth', createAuthRouter({ sequelize }));
+
+// Audit trail of table writes (admins only)
+app.use('/api/audit', createAuditRouter({ sequelize, entities }));
+
+// Ordered entity operations in one request, all-or-nothing unless atomic: false
+app.use('/api/batch', createBatchRouter({ app, sequelize, entities }));
+
+// Outbound webhooks, fed by the same change tracking as the audit trail (admins manage subscriptions)
+const webhooksEnabled = isEnabled('ENABLE_WEBHOOKS', true);
+const webhookDispatcher = createWebhookDispatcher(sequelize, entities);
+if (webhooksEnabled) {
+  onChange(webhookDispatcher.handleChange);
+}
+app.use('/api/webhooks', createWebhookRouter({ sequelize, entities, dispatcher: webhookDispatcher }));
+
+// Live changes to the tables over SSE here, and over WebSocket once the server listens
+const changeFeedEnabled = isEnabled('ENABLE_CHANGE_FEED', true);
+const changeFeed = createChangeFeed();
+if (changeFeedEnabled) {
+  onChange(changeFeed.publish);
+  app.use('/api/changes', createChangeStreamRouter({ feed: changeFeed, entities, sequelize }));
+}
 
-// Add custom validation middleware BEFORE Ultimate CRUD initialization
-app.use('/api/users', validateUserData);
-app.use('/api/categories', validateCategoryData);
-
-// Database Configuration
-const dbConfig = {
-  dialect: process.env.DB_DIALECT || 'sqlite',
-  logging: process.env.NODE_ENV === 'development' ? console.log : false, // Disable SQL logging in production
-  
-  define: {
-    timestamps: true,
-    underscored: false
+// Response cache for views, queries and procedures with a cache block; every
+// successful write to a table (REST or GraphQL) drops the entries depending on it
+const responseCache = isEnabled('ENABLE_RESPONSE_CACHE', true) ? createMemoryCache() : null;
+if (responseCache) {
+  checkCacheConfig(entities);
+  entities
+    .filter(entity => entity.type === 'table')
+    .forEach(entity => {
+      app.use(entity.route, invalidateOnWrite(entity, { store: responseCache }));
+    });
+  app.use('/graphql', invalidateGraphQL(entities, { store: responseCache }));
+}
+
+// File uploads check permissions themselves (an upload is an update of its row)
+const uploadStorage = createLocalStorage();
+app.use('/uploads', uploadStorage.serve());
+entities
+  .filter(entity => entity.type === 'table' && getUploadColumns(entity, entities).length > 0)
+  .forEach(entity => {
+    app.use(entity.route, createUploadRouter(entity, { sequelize, storage: uploadStorage, entities }));
+  });
+
+// Order placement and fulfilment (order, items and stock in one transaction) and
+// stock levels check their permissions themselves
+const ordersEntity = findEntity(entities, 'orders');
+const productsEntity = findEntity(entities, 'products');
+const inventoryEntity = findEntity(entities, 'inventory');
+app.use(ordersEntity.route, createOrderRouter(ordersEntity, { sequelize }));
+app.use(productsEntity.route, createProductStockRouter(productsEntity, { sequelize }));
+app.use(inventoryEntity.route, createLocationStockRouter(inventoryEntity, {
+  sequelize,
+  stockEntity: findEntity(entities, 'stock_levels')
+}));
+
+// Soft delete: DELETE marks rows (and their cascaded children) instead of
+// removing them; restore and purge check their permissions themselves
+const softDeleteEntities = entities.filter(entity => entity.type === 'table' && entity.softDelete);
+softDeleteEntities.forEach(entity => {
+  app.use(entity.route, createSoftDeleteRouter(entity, { sequelize, entities, cache: responseCache }));
+});
+
+// Moderation queue and decisions, and the approved comment threads of posts,
+// check their permissions themselves
+const moderatedEntities = entities.filter(entity => entity.type === 'table' && entity.moderation);
+moderatedEntities.forEach(entity => {
+  app.use(entity.route, createModerationRouter(entity, { sequelize, entities }));
+  const thread = getThreadConfig(entities, entity);
+  if (thread) {
+    app.use(thread.parent.route, createThreadRouter(entity, { sequelize, entities }));
   }
-};
+});
+
+// CSV / NDJSON import into tables and streaming export of tables and views
+// check their permissions themselves (every imported row as a single write)
+entities
+  .filter(entity => entity.type === 'table' || entity.type === 'view')
+  .forEach(entity => {
+    app.use(entity.route, createBulkRouter(entity, { sequelize, entities }));
+  });
+
+entities.forEach(entity => {
+  app.use(entity.route, authorizeEntity(entity, { sequelize }));
+});
+app.use('/graphql', authorizeGraphQL(entities, { sequelize }));
 
-// Configure based on database type
-if (dbConfig.dialect === 'sqlite') {
-  dbConfig.storage = process.env.SQLITE_PATH || './blog.db';
-} else {
-  dbConfig.host = process.env.DB_HOST || 'localhost';
-  dbConfig.port = process.env.DB_PORT || (dbConfig.dialect === 'postgres' ? 5432 : 3306);
-  dbConfig.database = process.env.DB_NAME || 'ultimate_crud_blog';
-  dbConfig.username = process.env.DB_USER || (dbConfig.dialect === 'postgres' ? 'postgres' : 'root');
-  dbConfig.password = process.env.DB_PASS || 'password';
+// Deleted rows answer 404 on the generated REST routes, and only soft delete removes them
+softDeleteEntities.forEach(entity => {
+  app.use(entity.route, hideDeleted(entity, { sequelize }));
+});
+app.use('/graphql', refuseDeleteMutations(entities));
+
+// Unapproved comments are only shown to their authors and moderators
+entities
+  .filter(entity => entity.type === 'table' && entity.moderation)
+  .forEach(entity => {
+    app.use(entity.route, hideUnapproved(entity, { sequelize, entities }));
+  });
+
+// Optimistic concurrency: ETags on single rows, If-Match / expectedVersion on writes
+entities
+  .filter(entity => entity.type === 'table' && entity.concurrency)
+  .forEach(entity => {
+    app.use(entity.route, checkConcurrency(entity, { sequelize }));
+  });
+app.use('/graphql', checkConcurrencyGraphQL(entities, { sequelize }));
+
+// Cached responses are served after the permission check
+if (responseCache) {
+  entities
+    .filter(entity => entity.cache)
+    .forEach(entity => {
+      app.use(entity.route, cacheResponse(entity, { store: responseCache }));
+    });
+}
+
+// Search endpoints and the GraphQL fields served alongside the generated schema
+// (view, query and procedure fields are added once the database is reachable)
+app.use('/api/search', createSearchRouter({ sequelize }));
+const graphqlExtensions = createGraphQLExtensions();
+registerSearchFields(graphqlExtensions);
+registerOrderFields(graphqlExtensions, { entities });
+registerSoftDeleteFields(graphqlExtensions, { entities });
+registerModerationFields(graphqlExtensions, { entities });
+if (changeFeedEnabled) {
+  registerChangeFields(graphqlExtensions, { entities, feed: changeFeed });
+}
+const changeSockets = createChangeSocketServer({ feed: changeFeed, entities, sequelize });
+const subscriptionServer = createSubscriptionServer({ extensions: graphqlExtensions, sequelize });
+app.use('/graphql', graphqlExtensions.middleware({ sequelize }));
+
+// Services record their own writes in the audit trail; the writes of the generated
+// mutations and (last, below) of the generated REST routes are recorded here
+const auditEnabled = isEnabled('ENABLE_AUDIT_LOG', true);
+const trackChanges = auditEnabled || webhooksEnabled || changeFeedEnabled;
+if (trackChanges) {
+  app.use('/graphql', auditGraphQL(entities, { sequelize }));
 }
 
-const sequelize = new Sequelize(dbConfig);
+// Add rule-based validation middleware BEFORE Ultimate CRUD initialization
+entities
+  .filter(entity => entity.type === 'table' && entity.rules)
+  .forEach(entity => {
+    app.use(entity.route, validateEntity(entity));
+  });
+
+// Integrity rules (async lookups on the shared sequelize instance) run after validation
+entities
+  .filter(entity => entity.type === 'table' && entity.integrity)
+  .forEach(entity => {
+    app.use(entity.route, enforceIntegrity(entity, { sequelize, entities }));
+  });
+
+// Custom queries and procedures run here with named, type-checked parameters
+entities
+  .filter(entity => entity.type === 'query' || entity.type === 'procedure')
+  .forEach(entity => {
+    app.use(entity.route, createQueryRouter(entity, { sequelize }));
+  });
+
+if (trackChanges) {
+  entities
+    .filter(entity => entity.type === 'table')
+    .forEach(entity => {
+      app.use(entity.route, auditEntity(entity, { sequelize, entities }));
+    });
+}
 
 // Initialize Ultimate CRUD
 const initializeApp = async () => {
   try {
+    // Pick each query's SQL for the active dialect; fails fast when one is missing
+    const dialect = sequelize.getDialect();
+    const dialectEntities = resolveDialectSql(entities, dialect);
+    // Procedures need a stored procedure or an application handler (SQLite)
+    checkProcedureSupport(dialectEntities, dialect);
+
     // Test database connection
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
 
+    // Refuse to serve a schema older than the code (npm run migrate)
+    await checkMigrations(sequelize);
+
+    // Retry webhook deliveries left pending, then keep polling for due ones
+    if (webhooksEnabled) {
+      webhookDispatcher.start();
+    }
+
+    // GraphQL fields for views, queries and procedures, typed from their discovered columns
+    await registerEntityFields(graphqlExtensions, dialectEntities, { sequelize, cache: responseCache });
+
     // Initialize Ultimate CRUD with entities
     const ultimateCrud = UltimateCrud.create({
       app,
       sequelize,
-      entities,
+      entities: dialectEntities,
       config: {
         enableGraphQL: true,
         enableRest: true,
@@ -95,6 +324,10 @@ const initializeApp = async () => {
 
     // Initialize Ultimate CRUD
     await ultimateCrud.initialize();
+
+    // Deleted rows, and unapproved ones the user may not see, are left out of the queries Ultimate CRUD's models run
+    excludeDeleted(dialectEntities, { sequelize });
+    excludeUnapproved(dialectEntities, { sequelize });
     console.log('✅ Ultimate CRUD initialized successfully.');
 
     // Health check endpoint
@@ -114,6 +347,13 @@ const initializeApp = async () => {
         endpoints: {
           health: '/health',
           api: '/api',
+          auth: '/api/auth',
+          audit: '/api/audit',
+          batch: '/api/batch',
+          webhooks: '/api/webhooks',
+          changes: '/api/changes/:entity',
+          search: '/api/search',
+          uploads: '/uploads',
           graphql: '/graphql',
           docs: '/docs',
           openapi: '/openapi.json'
@@ -126,22 +366,48 @@ const initializeApp = async () => {
       });
     });
 
+    // Log unhandled errors with the request's correlation id (registered last)
+    app.use(errorLogger);
+
     // Start server
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log('\n🚀 Simple Blog API Started!');
       console.log(`📍 Server: http://localhost:${PORT}`);
       console.log(`🌐 API Base: http://localhost:${PORT}/api`);
-      console.log(`🎮 GraphQL: http://localhost:${PORT}/graphql`);
+      console.log(`🎮 GraphQL: http://localhost:${PORT}/graphql (subscriptions: ws://localhost:${PORT}/graphql)`);
       console.log(`📚 Documentation: http://localhost:${PORT}/docs`);
       console.log(`💚 Health Check: http://localhost:${PORT}/health`);
       
       console.log('\n📖 Available REST Endpoints:');
+      console.log('   POST        /api/auth/login');
+      console.log('   POST        /api/auth/refresh');
+      console.log('   GET         /api/search/posts?q=');
+      console.log('   GET         /api/search/comments?q=');
+      console.log('   GET         /api/audit[/:id]       (admin)');
+      console.log('   POST        /api/batch             (ordered operations, {{id.body.data.id}} references)');
+      console.log('   GET/POST    /api/webhooks          (admin)');
+      console.log('   GET/PATCH/DEL /api/webhooks/:id, POST /api/webhooks/:id/ping|rotate-secret');
+      console.log('   GET         /api/webhooks/:id/deliveries, POST .../deliveries/:deliveryId/replay');
+      console.log('   GET         /api/changes/:entity   (SSE; WebSocket on ws://.../api/changes)');
+      console.log('   POST        /api/<table>/import    (CSV or NDJSON; ?mode=upsert&dryRun=true)');
+      console.log('   GET         /api/<table|view>/export?format=csv|ndjson');
       console.log('   GET/POST    /api/users');
       console.log('   GET/PUT/DEL /api/users/:id');
+      console.log('   POST/DEL    /api/users/:id/avatar');
+      console.log('   POST        /api/{users,posts,comments}/:id/restore');
+      console.log('   DEL         /api/{users,posts,comments}/:id/purge');
       console.log('   GET/POST    /api/categories');
       console.log('   GET/POST    /api/posts');
+      console.log('   POST/DEL    /api/posts/:id/featured-image');
       console.log('   GET/POST    /api/comments');
+      console.log('   GET         /api/comments/pending  (moderator)');
+      console.log('   POST        /api/comments/:id/approve|reject, /api/comments/moderate');
+      console.log('   GET         /api/posts/:id/thread');
+      console.log('   POST        /api/orders/place');
+      console.log('   POST        /api/orders/:id/complete|cancel');
+      console.log('   GET         /api/products/:id/stock');
+      console.log('   GET/PUT     /api/inventory/:code/stock[/:product_id]');
       console.log('   GET         /api/post-stats        (view)');
       console.log('   GET         /api/user-analytics    (view)');
       console.log('   POST        /api/user-summary      (procedure)');
@@ -159,12 +425,28 @@ const initializeApp = async () => {
       console.log('\n');
     });
 
+    // WebSocket endpoints: the change feed and GraphQL subscriptions
+    if (changeFeedEnabled) {
+      const upgradeHandlers = {
+        '/api/changes': changeSockets.handleUpgrade,
+        '/graphql': subscriptionServer.handleUpgrade
+      };
+      server.on('upgrade', (req, socket, head) => {
+        const handler = upgradeHandlers[new URL(req.url, 'http://localhost').pathname];
+        if (handler) {
+          handler(req, socket, head);
+        } else {
+          socket.destroy();
+        }
+      });
+    }
+
   } catch (error) {
     console.error('❌ Failed to start application:', error.message);
     console.error('\n💡 Make sure:');
     console.error('   1. Database is running and accessible');
     console.error('   2. Database credentials are correct');
-    console.error('   3. Database schema is created (run data/database-[dialect].sql)');
+    console.error('   3. Database schema is up to date (npm run migrate)');
     console.error('   4. Required npm packages are installed');
     console.error('   5. For Docker: run docker-compose up -d in docker/ folder');
     process.exit(1);
@@ -177,6 +459,9 @@ initializeApp();
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🔄 Shutting down gracefully...');
+  changeSockets.close();
+  subscriptionServer.close();
+  await webhookDispatcher.stop();
   await sequelize.close();
   console.log('✅ Database connection closed.');
   process.exit(0);
@@ -0,0 +1,261 @@
+/**
+ * Audit Middleware
+ * Records the writes made by the routes and mutations Ultimate CRUD generates
+ * (services/audit.js); custom routes and GraphQL extension fields record
+ * their own writes in their services.
+ *
+ *   - REST, mounted last on each table route: POST / records the created row,
+ *     keyed from the response `data` (or the request body for assigned keys);
+ *     PUT/PATCH/DELETE /:id record the row before and after. Path segments
+ *     fill the key columns in order, so compound keys can be addressed as
+ *     /:order_uuid/:product_id; columns missing from the path are read from
+ *     the query string, then the body.
+ *   - GraphQL, mounted after the extensions: create/update/delete mutations on
+ *     tables, keyed from their arguments; creates select the key columns under
+ *     an alias that is removed from the response.
+ *
+ * Deletes also record the rows below through hasMany associations, which the
+ * schema cascades to. Entries are written once a 2xx response has been sent;
+ * inside an atomic batch the batch's transaction waits for them.
+ */
+
+const { Kind, parse, print, valueFromASTUntyped } = require('graphql');
+const { QueryTypes } = require('sequelize');
+const { getGraphQLRequest, collectRootFields, getFragments, rewriteJsonResponse } = require('../graphql/request');
+const { resolveGraphQLField } = require('./auth');
+const { readField, findEntity } = require('../utils/db');
+const { logger } = require('../utils/logger');
+const { holdTransaction } = require('../utils/transactions');
+const { getKeyColumns, toKey, trackRows } = require('../services/audit');
+
+const KEY_ALIAS_PREFIX = '_auditKey_';
+
+// Trackers for the rows below `key` through hasMany associations, breadth first
+const trackCascade = async (sequelize, entities, entity, key) => {
+  const trackers = [];
+  const values = Object.values(key);
+  if (values.length !== 1) {
+    return trackers;
+  }
+
+  const visited = new Set([`${entity.name}:${JSON.stringify(key)}`]);
+  const queue = [{ entity, values }];
+  while (queue.length > 0) {
+    const { entity: parent, values: parentValues } = queue.shift();
+    for (const association of (parent.associations || []).filter(item => item.type === 'hasMany')) {
+      const child = findEntity(entities, association.target);
+      if (!child || child.type !== 'table') {
+        continue;
+      }
+
+      const columns = await getKeyColumns(sequelize, child.name);
+      const rows = (await sequelize.query(
+        `SELECT ${columns.join(', ')} FROM ${child.name} WHERE ${association.foreignKey} IN (:parentValues)`,
+        { replacements: { parentValues }, type: QueryTypes.SELECT }
+      )).filter(row => {
+        const id = `${child.name}:${JSON.stringify(toKey(columns, row))}`;
+        const fresh = !visited.has(id);
+        visited.add(id);
+        return fresh;
+      });
+
+      if (rows.length > 0) {
+        trackers.push(await trackRows(sequelize, child.name, rows));
+        if (columns.length === 1) {
+          queue.push({ entity: child, values: rows.map(row => readField(row, columns[0])) });
+        }
+      }
+    }
+  }
+  return trackers;
+};
+
+// Record every tracker once the response went out with a 2xx status
+const recordAfterResponse = (req, res, trackers) => {
+  res.on('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return;
+    }
+    holdTransaction(trackers
+      .reduce((previous, tracker) => previous.then(() => tracker.record()), Promise.resolve())
+      .catch(error => logger.error('audit record failed', {
+        requestId: req.id,
+        route: req.originalUrl,
+        error: error.message
+      })));
+  });
+};
+
+// Rows in a response `data` value: a row, a list of rows, or nothing
+const toRows = (data) => [].concat(data && typeof data === 'object' ? data : []);
+
+const auditEntity = (entity, { sequelize, entities }) => async (req, res, next) => {
+  const segments = req.path.split('/').filter(Boolean).map(decodeURIComponent);
+  const isCreate = req.method === 'POST' && segments.length === 0;
+  const isChange = ['PUT', 'PATCH', 'DELETE'].includes(req.method) && segments.length > 0;
+  if (!isCreate && !isChange) {
+    return next();
+  }
+
+  try {
+    const columns = await getKeyColumns(sequelize, entity.name);
+    if (segments.length > columns.length) {
+      return next();
+    }
+
+    if (isCreate) {
+      const tracker = await trackRows(sequelize, entity.name, []);
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        const rows = toRows(payload && payload.data).filter(row => toKey(columns, row));
+        (rows.length > 0 ? rows : toRows(req.body)).forEach(row => tracker.add(row));
+        return json(payload);
+      };
+      recordAfterResponse(req, res, [tracker]);
+      return next();
+    }
+
+    const source = { ...(req.body || {}), ...req.query };
+    segments.forEach((segment, index) => { source[columns[index]] = segment; });
+    const key = toKey(columns, source);
+    if (!key) {
+      logger.warn('audit skipped: incomplete key', { entity: entity.name, route: req.originalUrl });
+      return next();
+    }
+
+    const trackers = [await trackRows(sequelize, entity.name, [key])];
+    if (req.method === 'DELETE') {
+      trackers.push(...await trackCascade(sequelize, entities, entity, key));
+    }
+    recordAfterResponse(req, res, trackers);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const keyAlias = column => ({
+  kind: Kind.FIELD,
+  alias: { kind: Kind.NAME, value: `${KEY_ALIAS_PREFIX}${column}` },
+  name: { kind: Kind.NAME, value: column }
+});
+
+// Key of a created row from its aliased key columns
+const readAliasedKey = (columns, row) => {
+  const aliased = {};
+  columns.forEach(column => { aliased[column] = row[`${KEY_ALIAS_PREFIX}${column}`]; });
+  return aliased;
+};
+
+const stripKeyAliases = (row) => {
+  if (!row || typeof row !== 'object') {
+    return row;
+  }
+  const stripped = { ...row };
+  Object.keys(stripped)
+    .filter(field => field.startsWith(KEY_ALIAS_PREFIX))
+    .forEach(field => { delete stripped[field]; });
+  return stripped;
+};
+
+const auditGraphQL = (entities, { sequelize }) => async (req, res, next) => {
+  if (req.method !== 'POST') {
+    return next();
+  }
+  const { query, operationName, variables } = getGraphQLRequest(req);
+  if (!query) {
+    return next();
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return next();
+  }
+
+  const fragments = getFragments(document);
+  const operations = document.definitions.filter(definition =>
+    definition.kind === Kind.OPERATION_DEFINITION && definition.operation === 'mutation' &&
+    (!operationName || (definition.name && definition.name.value === operationName))
+  );
+
+  const trackers = [];
+  const creates = [];
+  try {
+    for (const operation of operations) {
+      for (const field of collectRootFields(operation.selectionSet, fragments)) {
+        const target = resolveGraphQLField(entities, 'mutation', field.name.value);
+        if (!target || target.entity.type !== 'table' || target.action === 'read') {
+          continue;
+        }
+
+        const { entity, action } = target;
+        const columns = await getKeyColumns(sequelize, entity.name);
+        const args = {};
+        (field.arguments || []).forEach(argument => {
+          args[argument.name.value] = valueFromASTUntyped(argument.value, variables);
+        });
+        const data = args.input || args.data || {};
+
+        if (action === 'create') {
+          const tracker = await trackRows(sequelize, entity.name, []);
+          if (field.selectionSet) {
+            columns.forEach(column => field.selectionSet.selections.push(keyAlias(column)));
+          }
+          creates.push({ key: (field.alias || field.name).value, columns, data, tracker });
+          trackers.push(tracker);
+          continue;
+        }
+
+        const source = { ...data, ...args };
+        if (columns.length === 1 && source[columns[0]] === undefined) {
+          source[columns[0]] = args.id;
+        }
+        const key = toKey(columns, source);
+        if (!key) {
+          logger.warn('audit skipped: incomplete key', { entity: entity.name, field: field.name.value });
+          continue;
+        }
+        trackers.push(await trackRows(sequelize, entity.name, [key]));
+        if (action === 'delete') {
+          trackers.push(...await trackCascade(sequelize, entities, entity, key));
+        }
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (trackers.length === 0) {
+    return next();
+  }
+
+  if (creates.length > 0) {
+    req.body.query = print(document);
+    rewriteJsonResponse(res, (result) => {
+      creates.forEach(({ key, columns, data, tracker }) => {
+        if (!result.data || !result.data[key]) {
+          return;
+        }
+        const rows = toRows(result.data[key]);
+        rows.forEach(row => tracker.add(readAliasedKey(columns, row)));
+        // Assigned keys the mutation does not return
+        if (!rows.some(row => toKey(columns, readAliasedKey(columns, row)))) {
+          toRows(data).forEach(row => tracker.add(row));
+        }
+        result.data[key] = Array.isArray(result.data[key])
+          ? result.data[key].map(stripKeyAliases)
+          : stripKeyAliases(result.data[key]);
+      });
+      return result;
+    });
+  }
+  recordAfterResponse(req, res, trackers);
+  next();
+};
+
+module.exports = {
+  auditEntity,
+  auditGraphQL
+};
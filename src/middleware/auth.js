@@ -0,0 +1,376 @@
+/**
+ * Authentication & Authorization Middleware for Ultimate CRUD
+ * Verifies JWT bearer tokens and enforces the per-entity `permissions` block
+ * declared in model/entities.js on both the REST routes and /graphql
+ */
+
+const jwt = require('jsonwebtoken');
+const { parse, Kind, valueFromASTUntyped } = require('graphql');
+const { getGraphQLRequest, collectRootFields, getFragments } = require('../graphql/request');
+const { getPrimaryKey, readField, createRecordLoader } = require('../utils/db');
+const { requestContext } = require('../utils/logger');
+
+// Applied to any entity (or action) without an explicit permissions entry:
+// everything is readable, only admins may write
+const DEFAULT_PERMISSIONS = {
+  read: 'public',
+  create: 'admin',
+  update: 'admin',
+  delete: 'admin'
+};
+
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Published secrets (.env.example, earlier versions) that anyone could sign tokens with
+const PLACEHOLDER_SECRETS = [
+  'your-super-secret-jwt-key-change-this-in-production',
+  'ultimate-crud-development-secret'
+];
+
+// Throws unless JWT_SECRET is set to a secret of its own, whatever NODE_ENV says
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set; set it in .env (npx ultimate-crud setup generates one)');
+  }
+  if (PLACEHOLDER_SECRETS.includes(secret)) {
+    throw new Error('JWT_SECRET still holds the example value; replace it with a secret of your own');
+  }
+  return secret;
+};
+
+// Called at startup, so a missing secret stops the app instead of failing each login
+const checkJwtSecret = () => {
+  getJwtSecret();
+};
+
+// ===========================================
+// TOKENS
+// ===========================================
+
+const issueTokens = (user) => {
+  const claims = { username: user.username, role: user.role };
+  const secret = getJwtSecret();
+  const expiresIn = process.env.JWT_EXPIRES_IN || '15m';
+
+  return {
+    tokenType: 'Bearer',
+    expiresIn,
+    accessToken: jwt.sign({ ...claims, type: 'access' }, secret, {
+      subject: String(user.id),
+      expiresIn
+    }),
+    refreshToken: jwt.sign({ type: 'refresh' }, secret, {
+      subject: String(user.id),
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    })
+  };
+};
+
+// Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure
+const verifyToken = (token, expectedType) => {
+  const payload = jwt.verify(token, getJwtSecret());
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Expected a ${expectedType} token`);
+  }
+  return payload;
+};
+
+// req.user for an access token; throws like verifyToken
+const getTokenUser = (token) => {
+  const payload = verifyToken(token, 'access');
+  return {
+    id: /^\d+$/.test(payload.sub) ? Number(payload.sub) : payload.sub,
+    username: payload.username,
+    role: payload.role,
+    // ms timestamp; connections that outlive the request end there (middleware/changeFeed.js)
+    expiresAt: payload.exp ? payload.exp * 1000 : null
+  };
+};
+
+const getTokenErrorMessage = (error) =>
+  (error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token');
+
+// ===========================================
+// PERMISSION RULES
+// ===========================================
+
+const getRule = (entity, action) => {
+  const permissions = { ...DEFAULT_PERMISSIONS, ...(entity.permissions || {}) };
+  return [].concat(permissions[action] || 'admin');
+};
+
+const isOwner = (record, ownerField, user) => {
+  const owner = readField(record, ownerField);
+  return owner !== undefined && owner !== null && String(owner) === String(user.id);
+};
+
+/**
+ * Decide whether `user` may perform `action` on `entity`.
+ * Rules are 'public', 'authenticated', 'owner', 'admin' or a list of roles;
+ * admins are always allowed. For create, an 'owner' rule fills in the owner
+ * field of `data` when it is missing (pass `fillOwner: false` to reject instead).
+ * Resolves to null when allowed, or { status, message } when denied.
+ */
+const checkAccess = async ({ entity, action, user, id, data, loadRecord, fillOwner = true }) => {
+  const rule = getRule(entity, action);
+  const { ownerField, protectedFields = [] } = entity.permissions || {};
+
+  const isAdmin = Boolean(user) && user.role === 'admin';
+
+  if (!isAdmin && data && (action === 'create' || action === 'update')) {
+    const blocked = protectedFields.filter(field => data[field] !== undefined);
+    if (blocked.length > 0) {
+      return user
+        ? { status: 403, message: `Only administrators may set: ${blocked.join(', ')}` }
+        : { status: 401, message: 'Authentication required' };
+    }
+  }
+
+  if (rule.includes('public')) {
+    return null;
+  }
+  if (!user) {
+    return { status: 401, message: 'Authentication required' };
+  }
+  if (isAdmin || rule.includes('authenticated') || rule.includes(user.role)) {
+    return null;
+  }
+
+  if (rule.includes('owner') && ownerField) {
+    if (action === 'create' && data) {
+      if (data[ownerField] === undefined && fillOwner) {
+        data[ownerField] = user.id;
+        return null;
+      }
+      if (isOwner(data, ownerField, user)) {
+        return null;
+      }
+      return { status: 403, message: `${ownerField} must be your own user id` };
+    }
+
+    if (id !== undefined && id !== null) {
+      const record = await loadRecord(id);
+      // Let Ultimate CRUD answer with its own 404
+      if (!record) {
+        return null;
+      }
+      if (!isOwner(record, ownerField, user)) {
+        return { status: 403, message: `You do not own this ${entity.name} record` };
+      }
+      if (data && data[ownerField] !== undefined && !isOwner(data, ownerField, user)) {
+        return { status: 403, message: `${ownerField} cannot be reassigned` };
+      }
+      return null;
+    }
+  }
+
+  return { status: 403, message: `You are not allowed to ${action} ${entity.name}` };
+};
+
+// ===========================================
+// MIDDLEWARE
+// ===========================================
+
+const sendAuthError = (res, status, message) => {
+  return res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    details: { message }
+  });
+};
+
+// Populates req.user (and the request context, for services/audit.js) from a
+// Bearer token; anonymous requests pass through
+const authenticate = (req, res, next) => {
+  req.user = null;
+
+  const header = req.headers.authorization;
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return sendAuthError(res, 401, 'Authorization header must use the Bearer scheme');
+  }
+
+  try {
+    req.user = getTokenUser(token);
+    const context = requestContext.getStore();
+    if (context) {
+      context.user = req.user;
+    }
+    next();
+  } catch (error) {
+    return sendAuthError(res, 401, getTokenErrorMessage(error));
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return sendAuthError(res, 401, 'Authentication required');
+  }
+  next();
+};
+
+// Mounted on entity.route, ahead of the routes Ultimate CRUD generates
+const authorizeEntity = (entity, { sequelize }) => {
+  const loadRecord = createRecordLoader(entity, sequelize);
+
+  return async (req, res, next) => {
+    const method = METHOD_ACTIONS[req.method];
+    if (!method) {
+      return next();
+    }
+
+    // Views, queries and procedures are read-only, whatever the HTTP verb
+    const action = entity.type === 'table' ? method : 'read';
+    const id = req.path.split('/')[1];
+
+    try {
+      const denied = await checkAccess({
+        entity,
+        action,
+        user: req.user,
+        id: id ? decodeURIComponent(id) : undefined,
+        data: action === 'create' || action === 'update' ? req.body : undefined,
+        loadRecord
+      });
+
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const normalizeName = (name) => name.replace(/_/g, '').toLowerCase();
+
+// Map a root GraphQL field (usersList, users, createPosts, post_stats...) to an entity action
+const resolveGraphQLField = (entities, operation, fieldName) => {
+  const tables = entities.filter(entity => entity.type === 'table');
+
+  // Views, queries (query fields) and procedures (mutations) are named after the entity
+  const named = entities.find(e => e.type !== 'table' && e.name === fieldName &&
+    (e.type === 'procedure') === (operation === 'mutation'));
+  if (named) {
+    return { entity: named, action: 'read' };
+  }
+
+  if (operation === 'mutation') {
+    const match = /^(create|update|delete)(.+)$/.exec(fieldName);
+    if (!match) {
+      return null;
+    }
+    const target = normalizeName(match[2]);
+    const entity = tables.find(e => {
+      const name = normalizeName(e.name);
+      return name === target || name === `${target}s` || name.replace(/s$/, '') === target;
+    });
+    return entity ? { entity, action: match[1] } : null;
+  }
+
+  const entity = tables.find(e => fieldName === e.name || fieldName === `${e.name}List`);
+  return entity ? { entity, action: 'read' } : null;
+};
+
+// Applies the same entity permissions to GraphQL root fields
+const authorizeGraphQL = (entities, { sequelize }) => {
+  const loaders = {};
+  const getLoader = (entity) => {
+    loaders[entity.name] = loaders[entity.name] || createRecordLoader(entity, sequelize);
+    return loaders[entity.name];
+  };
+
+  return async (req, res, next) => {
+    const { query, operationName, variables } = getGraphQLRequest(req);
+    if (!query) {
+      return next();
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      // Let the GraphQL server report syntax errors
+      return next();
+    }
+
+    const fragments = getFragments(document);
+
+    const operations = document.definitions.filter(definition =>
+      definition.kind === Kind.OPERATION_DEFINITION &&
+      (!operationName || (definition.name && definition.name.value === operationName))
+    );
+
+    try {
+      for (const operation of operations) {
+        for (const field of collectRootFields(operation.selectionSet, fragments)) {
+          const target = resolveGraphQLField(entities, operation.operation, field.name.value);
+          if (!target) {
+            continue;
+          }
+
+          const args = {};
+          (field.arguments || []).forEach(argument => {
+            args[argument.name.value] = valueFromASTUntyped(argument.value, variables);
+          });
+
+          const { entity, action } = target;
+          const primaryKey = getPrimaryKey(entity);
+          const data = args.input || args.data || args;
+
+          const denied = await checkAccess({
+            entity,
+            action,
+            user: req.user,
+            id: args[primaryKey] !== undefined ? args[primaryKey] : args.id,
+            data: action === 'create' || action === 'update' ? data : undefined,
+            loadRecord: getLoader(entity),
+            fillOwner: false
+          });
+
+          if (denied) {
+            return res.status(denied.status).json({
+              errors: [{
+                message: denied.message,
+                path: [field.alias ? field.alias.value : field.name.value],
+                extensions: { code: denied.status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN' }
+              }]
+            });
+          }
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  authorizeEntity,
+  authorizeGraphQL,
+  resolveGraphQLField,
+  checkAccess,
+  getRule,
+  sendAuthError,
+  issueTokens,
+  verifyToken,
+  getTokenUser,
+  getTokenErrorMessage,
+  checkJwtSecret,
+  DEFAULT_PERMISSIONS
+};
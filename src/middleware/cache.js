@@ -0,0 +1,255 @@
+/**
+ * Response Cache Middleware
+ * Caches the 200 responses of views, queries and procedures that declare a
+ * `cache` block in model/entities.js:
+ *
+ *   cache: {
+ *     ttl: 60,                              // seconds
+ *     dependsOn: ['posts', 'comments']      // tables whose writes invalidate it
+ *   }
+ *
+ * Responses carry ETag, Cache-Control (max-age = remaining lifetime) and
+ * X-Cache: HIT|MISS; a GET with a matching If-None-Match gets 304. Writes
+ * through REST (any POST/PUT/PATCH/DELETE under a table's route) and GraphQL
+ * mutations invalidate every entry that depends on the written table.
+ *
+ * Entries live in a store with the interface
+ *   get(key) -> Promise<value | undefined>
+ *   set(key, value, { ttlMs, tags, startedAt }) -> Promise<void>
+ *   invalidate(tags) -> Promise<number>
+ * where `startedAt` lets the store drop values computed before the latest
+ * invalidation of one of their tags. createMemoryCache() is the in-process
+ * default; pass a shared store with the same interface when running several
+ * instances.
+ */
+
+const { createHash } = require('crypto');
+const { parse, Kind } = require('graphql');
+const { getGraphQLRequest, collectRootFields, getFragments } = require('../graphql/request');
+const { resolveGraphQLField } = require('./auth');
+const { logger } = require('../utils/logger');
+const { afterCommit } = require('../utils/transactions');
+
+const READ_METHODS = ['GET', 'HEAD'];
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const createMemoryCache = ({ maxEntries = 1000, cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+  const invalidatedAt = new Map();
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }, cleanupIntervalMs);
+  timer.unref();
+
+  return {
+    async get (key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set (key, value, { ttlMs, tags = [], startedAt = Date.now() }) {
+      // A write landed while this value was being computed
+      if (tags.some(tag => (invalidatedAt.get(tag) || 0) >= startedAt)) {
+        return;
+      }
+      // Maps iterate in insertion order, so the first key is the oldest entry
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+    },
+
+    async invalidate (tags) {
+      const now = Date.now();
+      tags.forEach(tag => invalidatedAt.set(tag, now));
+      let removed = 0;
+      entries.forEach((entry, key) => {
+        if (entry.tags.some(tag => tags.includes(tag))) {
+          entries.delete(key);
+          removed += 1;
+        }
+      });
+      return removed;
+    }
+  };
+};
+
+const createETag = (body) => `"${createHash('sha1').update(body).digest('base64url')}"`;
+
+const isPublic = (entity) => [].concat((entity.permissions || {}).read || 'public').includes('public');
+
+// Throws at startup for cache blocks naming unknown tables
+const checkCacheConfig = (entities) => {
+  const tables = entities.filter(entity => entity.type === 'table').map(entity => entity.name);
+  entities
+    .filter(entity => entity.cache)
+    .forEach(entity => {
+      if (entity.type === 'table') {
+        throw new Error(`Entity "${entity.name}": cache is only supported for views, queries and procedures`);
+      }
+      if (!(entity.cache.ttl > 0)) {
+        throw new Error(`Entity "${entity.name}": cache.ttl must be a positive number of seconds`);
+      }
+      (entity.cache.dependsOn || []).forEach(name => {
+        if (!tables.includes(name)) {
+          throw new Error(`Entity "${entity.name}" cache depends on unknown table "${name}"`);
+        }
+      });
+    });
+};
+
+/**
+ * Read through the cache: `compute` runs on a miss and its result is stored
+ * under `key` for the entity's ttl. Returns { value, hit, expiresAt }.
+ */
+const readThrough = async (store, entity, key, compute) => {
+  const cached = await store.get(key);
+  if (cached) {
+    return { ...cached, hit: true };
+  }
+
+  const startedAt = Date.now();
+  const value = await compute();
+  const ttlMs = entity.cache.ttl * 1000;
+  const entry = { value, expiresAt: Date.now() + ttlMs };
+  store.set(key, entry, { ttlMs, tags: entity.cache.dependsOn || [], startedAt })
+    .catch(error => logger.warn('cache store failed', { entity: entity.name, error: error.message }));
+  return { ...entry, hit: false };
+};
+
+// Mounted on the route of each view, query and procedure with a cache block,
+// after authorizeEntity so permissions are checked on hits too
+const cacheResponse = (entity, { store }) => {
+  const cacheControl = isPublic(entity) ? 'public' : 'private';
+
+  const sendEntry = (req, res, { body, etag }, { hit, expiresAt }) => {
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+    res.set('ETag', etag);
+    res.set('Cache-Control', `${cacheControl}, max-age=${maxAge}`);
+    res.set('X-Cache', hit ? 'HIT' : 'MISS');
+    if (READ_METHODS.includes(req.method) && req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+    res.status(200).type('application/json').send(body);
+  };
+
+  return async (req, res, next) => {
+    // Queries and procedures are read with POST too
+    const cacheable = READ_METHODS.includes(req.method) || (req.method === 'POST' && entity.type !== 'view');
+    if (!cacheable) {
+      return next();
+    }
+
+    const key = `${entity.name}:${req.originalUrl}:${req.method === 'POST' ? JSON.stringify(req.body || {}) : ''}`;
+
+    try {
+      const cached = await store.get(key);
+      if (cached) {
+        return sendEntry(req, res, cached.value, { hit: true, expiresAt: cached.expiresAt });
+      }
+    } catch (error) {
+      logger.warn('cache lookup failed', { entity: entity.name, error: error.message });
+      return next();
+    }
+
+    // Capture the JSON the route sends; only 200 responses are stored
+    const startedAt = Date.now();
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      if (res.statusCode !== 200) {
+        return json(payload);
+      }
+      const body = JSON.stringify(payload);
+      const ttlMs = entity.cache.ttl * 1000;
+      const entry = { value: { body, etag: createETag(body) }, expiresAt: Date.now() + ttlMs };
+      store.set(key, entry, { ttlMs, tags: entity.cache.dependsOn || [], startedAt })
+        .catch(error => logger.warn('cache store failed', { entity: entity.name, error: error.message }));
+      return sendEntry(req, res, entry.value, { hit: false, expiresAt: entry.expiresAt });
+    };
+    next();
+  };
+};
+
+// Inside an atomic batch the write is not visible until the batch commits, and a
+// read in between re-caches the old data, so the tags are invalidated again then
+const invalidateAfterResponse = (res, store, tags) => {
+  const invalidate = () => store.invalidate(tags)
+    .catch(error => logger.warn('cache invalidation failed', { tags, error: error.message }));
+
+  res.on('finish', () => {
+    if (res.statusCode >= 200 && res.statusCode < 300 && tags.length > 0) {
+      invalidate();
+      afterCommit(invalidate);
+    }
+  });
+};
+
+// Mounted on every table route, ahead of the routers that write to it
+const invalidateOnWrite = (entity, { store }) => (req, res, next) => {
+  if (WRITE_METHODS.includes(req.method)) {
+    invalidateAfterResponse(res, store, [entity.name]);
+  }
+  next();
+};
+
+// Mutations invalidate the tables they write; application mutations that
+// map to no table (placeOrder...) invalidate every table
+const invalidateGraphQL = (entities, { store }) => {
+  const tables = entities.filter(entity => entity.type === 'table').map(entity => entity.name);
+
+  return (req, res, next) => {
+    const { query, operationName } = getGraphQLRequest(req);
+    if (!query) {
+      return next();
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return next();
+    }
+
+    const fragments = getFragments(document);
+    const tags = new Set();
+    document.definitions
+      .filter(definition => definition.kind === Kind.OPERATION_DEFINITION && definition.operation === 'mutation' &&
+        (!operationName || (definition.name && definition.name.value === operationName)))
+      .forEach(operation => {
+        collectRootFields(operation.selectionSet, fragments).forEach(field => {
+          const target = resolveGraphQLField(entities, 'mutation', field.name.value);
+          if (!target) {
+            tables.forEach(table => tags.add(table));
+          } else if (target.action !== 'read') {
+            tags.add(target.entity.name);
+          }
+        });
+      });
+
+    invalidateAfterResponse(res, store, [...tags]);
+    next();
+  };
+};
+
+module.exports = {
+  createMemoryCache,
+  checkCacheConfig,
+  readThrough,
+  cacheResponse,
+  invalidateOnWrite,
+  invalidateGraphQL
+};
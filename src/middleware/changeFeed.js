@@ -0,0 +1,200 @@
+/**
+ * Change Feed Access
+ * Who may follow which changes (services/changeFeed.js), shared by the SSE
+ * and WebSocket endpoints (routes/changes.js) and GraphQL subscriptions
+ * (graphql/changes.js), and who may export which rows (routes/bulk.js):
+ *
+ *   - the entity's `read` permission applies as on GET /:id: 'owner' rules
+ *     admit authenticated users and are then checked against every row
+ *   - unapproved rows of moderated entities stay hidden as in REST reads
+ *
+ * Browsers cannot set headers on EventSource and WebSocket requests, so these
+ * endpoints also accept the access token as ?access_token=. The token is only
+ * read when a connection opens, so watchSession() ends the connection when it
+ * expires or its user is deactivated or deleted; clients reconnect with a
+ * fresh token.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { checkAccess, getRule, getTokenUser, getTokenErrorMessage, sendAuthError } = require('./auth');
+const { createUnapprovedCheck } = require('./moderation');
+const { getPrimaryKey, readField } = require('../utils/db');
+const { requestContext, logger } = require('../utils/logger');
+
+// setTimeout fires at once beyond this delay, so longer waits are re-armed
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Resolves to { canSee(row) } when `user` may follow `entity`, or to
+ * { denied: { status, message } } otherwise.
+ */
+const authorizeChanges = async ({ entities, entity, user }) => {
+  const denied = await checkAccess({ entity, action: 'read', user });
+  const { ownerField } = entity.permissions || {};
+  const perRow = Boolean(denied) && Boolean(user) && Boolean(ownerField) && getRule(entity, 'read').includes('owner');
+  if (denied && !perRow) {
+    return { denied };
+  }
+
+  const isUnapproved = entity.moderation ? await createUnapprovedCheck(entities, entity, user) : () => false;
+  const canSee = async (row) => {
+    if (isUnapproved(row)) {
+      return false;
+    }
+    if (!perRow) {
+      return true;
+    }
+    const id = readField(row, getPrimaryKey(entity));
+    return !await checkAccess({
+      entity,
+      action: 'read',
+      user,
+      id: id === undefined || id === null ? '' : id,
+      loadRecord: async () => row
+    });
+  };
+  return { canSee };
+};
+
+// Bearer token of a raw (upgrade) request: the Authorization header, else ?access_token=
+const readAccessToken = (req) => {
+  const header = req.headers.authorization;
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : '';
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+};
+
+// { user } for a token (null when there is none), or { status, message }
+const authenticateToken = (token) => {
+  if (token === null || token === undefined) {
+    return { user: null };
+  }
+  try {
+    return { user: getTokenUser(token) };
+  } catch (error) {
+    return { status: 401, message: getTokenErrorMessage(error) };
+  }
+};
+
+// Answer a WebSocket upgrade request with an HTTP error and drop the connection
+const rejectUpgrade = (socket, status, message) => {
+  const body = JSON.stringify({ error: status === 401 ? 'Unauthorized' : 'Forbidden', details: { message } });
+  socket.end([
+    `HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : 'Forbidden'}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+};
+
+// Ping the clients of a ws server every `intervalMs`, dropping those that stopped answering
+const keepAlive = (server, intervalMs) => {
+  server.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+  });
+  const timer = setInterval(() => {
+    server.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+// Whether `user` may still log in: exists, not soft-deleted and active (routes/auth.js)
+const isUserActive = async (sequelize, user) => {
+  const [row] = await sequelize.query(
+    'SELECT isActive AS is_active FROM users WHERE id = :id AND deletedAt IS NULL',
+    { replacements: { id: user.id }, type: QueryTypes.SELECT }
+  );
+  return Boolean(row) && (row.is_active === true || Number(row.is_active) === 1);
+};
+
+/**
+ * Watch the session behind a long-lived connection: `end(message)` is called
+ * once, when the user's access token expires or when a check every
+ * `intervalMs` finds the user deactivated or deleted. Anonymous connections
+ * have nothing to watch. Returns stop().
+ */
+const watchSession = ({ sequelize, user, intervalMs }, end) => {
+  if (!user) {
+    return () => {};
+  }
+  let expiryTimer = null;
+  let checkTimer = null;
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(expiryTimer);
+    clearInterval(checkTimer);
+  };
+  const finish = (message) => {
+    if (!stopped) {
+      stop();
+      end(message);
+    }
+  };
+
+  const armExpiry = () => {
+    const remaining = user.expiresAt - Date.now();
+    if (remaining <= 0) {
+      return finish('Access token has expired');
+    }
+    expiryTimer = setTimeout(armExpiry, Math.min(remaining, MAX_TIMEOUT_MS));
+    expiryTimer.unref();
+  };
+  if (user.expiresAt) {
+    armExpiry();
+  }
+
+  checkTimer = setInterval(async () => {
+    try {
+      if (!await isUserActive(sequelize, user)) {
+        finish('User no longer exists or is inactive');
+      }
+    } catch (error) {
+      logger.warn('change feed session check failed', { userId: user.id, error: error.message });
+    }
+  }, intervalMs);
+  checkTimer.unref();
+
+  return stop;
+};
+
+// Mounted after authenticate on the SSE routes: ?access_token= when no header was sent
+const authenticateQueryToken = (req, res, next) => {
+  if (req.user || req.query.access_token === undefined) {
+    return next();
+  }
+  const result = authenticateToken(String(req.query.access_token));
+  if (!result.user) {
+    return sendAuthError(res, result.status, result.message);
+  }
+  req.user = result.user;
+  const context = requestContext.getStore();
+  if (context) {
+    context.user = req.user;
+  }
+  next();
+};
+
+module.exports = {
+  authorizeChanges,
+  readAccessToken,
+  authenticateToken,
+  authenticateQueryToken,
+  rejectUpgrade,
+  keepAlive,
+  watchSession
+};
@@ -0,0 +1,341 @@
+/**
+ * Optimistic Concurrency Middleware
+ * Entities with a `concurrency: { column, required }` block in model/entities.js
+ * version their rows with `column`, a counter the schema increments on every update:
+ *
+ *   - GET /:id answers with an ETag of the row's version
+ *   - PUT/PATCH/DELETE /:id with If-Match answer 412 when the row changed
+ *     since that ETag was read; with `required: true` a missing If-Match
+ *     answers 428. Successful PUT/PATCH send the new ETag.
+ *   - GraphQL update mutations take the same check as an `expectedVersion`
+ *     argument (the ETag, or the column value as read), which is removed
+ *     before the query reaches the generated schema
+ *
+ * The column has to change on every write, which the schema's triggers take
+ * care of. A checked write first claims its row with an UPDATE that only
+ * matches the version read (412 when it matches nothing), in a transaction
+ * that the write itself then joins and that commits before the response is
+ * sent. A concurrent write to the row waits for it, in any API instance, and
+ * then fails its own claim; inside an atomic /api/batch the claim holds
+ * until the batch commits.
+ */
+
+const { createHash } = require('crypto');
+const { QueryTypes } = require('sequelize');
+const { Kind, parse, print, valueFromASTUntyped } = require('graphql');
+const { getGraphQLRequest, collectRootFields, getFragments } = require('../graphql/request');
+const { pruneDocument } = require('../graphql/extensions');
+const { resolveGraphQLField } = require('./auth');
+const { getPrimaryKey, readField, createRecordLoader } = require('../utils/db');
+const { lockingTransaction } = require('../utils/dialects');
+const { logger } = require('../utils/logger');
+
+const WRITE_METHODS = ['PUT', 'PATCH', 'DELETE'];
+
+const readVersion = (entity, row) => {
+  const value = readField(row, entity.concurrency.column);
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+const createVersionTag = (entity, row) =>
+  `"${createHash('sha1').update(`${entity.name}:${readVersion(entity, row)}`).digest('base64url')}"`;
+
+// If-Match uses strong comparison: weak (W/) tags never match
+const matchesIfMatch = (header, tag) => header.split(',').map(value => value.trim())
+  .some(value => value === '*' || value === tag);
+
+// expectedVersion may be the ETag (quotes optional) or the column value
+const matchesExpectedVersion = (entity, row, expected) => {
+  const tag = createVersionTag(entity, row);
+  const text = String(expected);
+  return text === tag || `"${text}"` === tag || text === readVersion(entity, row);
+};
+
+// Rolls back a checked write without an error of its own
+const ROLLBACK = new Error('Checked write rolled back');
+
+// The version column keeps its value; the triggers only count real changes on SQLite
+const claimRow = async (sequelize, { entity, id, version }) => {
+  const { column } = entity.concurrency;
+  const [, affected] = await sequelize.query(
+    `UPDATE ${entity.name} SET ${column} = ${column} WHERE ${getPrimaryKey(entity)} = :id AND ${column} = :version`,
+    { replacements: { id, version }, type: QueryTypes.UPDATE }
+  );
+  return affected > 0;
+};
+
+// Keeps the response from going out until release(); `sent` resolves to the
+// arguments of res.end, or null when the client went away first
+const holdResponse = (res) => {
+  const end = res.end;
+  const sent = new Promise(resolve => {
+    res.end = (...args) => resolve(args);
+    res.once('close', () => resolve(null));
+  });
+  const restore = () => { res.end = end; };
+  return {
+    sent,
+    restore,
+    release: (args) => {
+      restore();
+      if (args) {
+        end.apply(res, args);
+      }
+    }
+  };
+};
+
+/**
+ * Claim each of `claims` ([{ entity, id, version }]) for the rest of the
+ * request, then call `respond`, which has to send the response: the write it
+ * leads to joins the claims' transaction, which commits before a 2xx
+ * response goes out and rolls back otherwise. Resolves to the claim whose
+ * row changed since `version` was read (nothing is written and `respond` is
+ * not called), or null.
+ */
+const writeClaimed = async (sequelize, res, claims, respond) => {
+  if (claims.length === 0) {
+    respond();
+    return null;
+  }
+
+  let changed = null;
+  let response = null;
+  let args = null;
+  try {
+    await sequelize.transaction(lockingTransaction(sequelize.getDialect()), async () => {
+      for (const claim of claims) {
+        if (!await claimRow(sequelize, claim)) {
+          changed = claim;
+          throw ROLLBACK;
+        }
+      }
+      response = holdResponse(res);
+      respond();
+      args = await response.sent;
+      if (!args || res.statusCode < 200 || res.statusCode >= 300) {
+        throw ROLLBACK;
+      }
+    });
+  } catch (error) {
+    if (error !== ROLLBACK && !response) {
+      throw error;
+    }
+    if (error !== ROLLBACK) {
+      // The route answered, but its write did not commit
+      logger.error('checked write failed to commit', { error: error.message });
+      response.restore();
+      res.removeHeader('Content-Length');
+      res.removeHeader('ETag');
+      res.status(500).json({
+        error: 'Internal server error',
+        details: { message: 'The change could not be saved' }
+      });
+      return null;
+    }
+  }
+  if (response) {
+    response.release(args);
+  }
+  return changed;
+};
+
+const sendPreconditionError = (res, status, message) => res.status(status).json({
+  error: status === 428 ? 'Precondition required' : 'Precondition failed',
+  details: { message }
+});
+
+/**
+ * Returns async (req, res, id, write) for the If-Match check of a write to
+ * row `id`. `write` performs the write and sends the response; it is called
+ * unless a 412 or 428 is sent instead, after claiming the row when the
+ * request has an If-Match (see writeClaimed).
+ */
+const createWriteGuard = (entity, { sequelize }) => {
+  const loadRecord = createRecordLoader(entity, sequelize);
+
+  const sendChanged = async (res, id) => {
+    const row = await loadRecord(id);
+    if (row) {
+      res.set('ETag', createVersionTag(entity, row));
+    }
+    sendPreconditionError(res, 412, `${entity.name} record ${id} has been changed since it was read`);
+  };
+
+  return async (req, res, id, write) => {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      if (entity.concurrency.required) {
+        return sendPreconditionError(res, 428, `Changes to ${entity.name} require an If-Match header with the record's ETag`);
+      }
+      return write();
+    }
+
+    const row = await loadRecord(id);
+    // Unknown rows are left to the route's own 404
+    if (!row) {
+      return write();
+    }
+    if (!matchesIfMatch(ifMatch, createVersionTag(entity, row))) {
+      return sendChanged(res, id);
+    }
+    const claim = { entity, id, version: readField(row, entity.concurrency.column) };
+    if (await writeClaimed(sequelize, res, [claim], write)) {
+      return sendChanged(res, id);
+    }
+  };
+};
+
+// Mounted on the route of each entity with a concurrency block, after authorizeEntity
+const checkConcurrency = (entity, { sequelize }) => {
+  const loadRecord = createRecordLoader(entity, sequelize);
+  const guardWrite = createWriteGuard(entity, { sequelize });
+
+  return async (req, res, next) => {
+    const segments = req.path.split('/').filter(Boolean);
+    if (segments.length !== 1) {
+      return next();
+    }
+    const id = decodeURIComponent(segments[0]);
+
+    try {
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        const row = await loadRecord(id);
+        if (row) {
+          res.set('ETag', createVersionTag(entity, row));
+        }
+        return next();
+      }
+      if (!WRITE_METHODS.includes(req.method)) {
+        return next();
+      }
+
+      if (req.method !== 'DELETE') {
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return json(payload);
+          }
+          loadRecord(id)
+            .then(row => {
+              if (row) {
+                res.set('ETag', createVersionTag(entity, row));
+              }
+            })
+            .catch(() => {})
+            .then(() => json(payload));
+          return res;
+        };
+      }
+      await guardWrite(req, res, id, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const sendGraphQLError = (res, status, message, path) => res.status(status).json({
+  errors: [{
+    message,
+    path,
+    extensions: { code: status === 428 ? 'PRECONDITION_REQUIRED' : 'PRECONDITION_FAILED' }
+  }]
+});
+
+// Mounted on /graphql after authorizeGraphQL and ahead of the GraphQL extensions
+const checkConcurrencyGraphQL = (entities, { sequelize }) => {
+  const loaders = {};
+  const getLoader = (entity) => {
+    loaders[entity.name] = loaders[entity.name] || createRecordLoader(entity, sequelize);
+    return loaders[entity.name];
+  };
+
+  return async (req, res, next) => {
+    if (req.method !== 'POST') {
+      return next();
+    }
+    const { query, operationName, variables } = getGraphQLRequest(req);
+    if (!query) {
+      return next();
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return next();
+    }
+
+    const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+    const operation = operationName
+      ? operations.find(definition => definition.name && definition.name.value === operationName)
+      : operations.length === 1 ? operations[0] : null;
+    if (!operation || operation.operation !== 'mutation') {
+      return next();
+    }
+
+    const checks = [];
+    for (const field of collectRootFields(operation.selectionSet, getFragments(document))) {
+      const target = resolveGraphQLField(entities, 'mutation', field.name.value);
+      if (!target || target.action !== 'update' || !target.entity.concurrency) {
+        continue;
+      }
+
+      const { entity } = target;
+      const path = [(field.alias || field.name).value];
+      const args = {};
+      (field.arguments || []).forEach(argument => {
+        args[argument.name.value] = valueFromASTUntyped(argument.value, variables);
+      });
+      const id = args[getPrimaryKey(entity)] !== undefined ? args[getPrimaryKey(entity)] : args.id;
+
+      if (args.expectedVersion === undefined || args.expectedVersion === null) {
+        if (entity.concurrency.required) {
+          return sendGraphQLError(res, 428, `${field.name.value} requires an expectedVersion argument`, path);
+        }
+        continue;
+      }
+      field.arguments = field.arguments.filter(argument => argument.name.value !== 'expectedVersion');
+      checks.push({ entity, id, expected: args.expectedVersion, path });
+    }
+
+    if (checks.length === 0) {
+      return next();
+    }
+
+    const sendChanged = ({ entity, id, path }) =>
+      sendGraphQLError(res, 412, `${entity.name} record ${id} has been changed since it was read`, path);
+
+    let changed;
+    try {
+      // One claim per row, however many mutations address it
+      const claims = new Map();
+      for (const check of checks) {
+        const { entity, id, expected } = check;
+        const row = await getLoader(entity)(id);
+        if (row && !matchesExpectedVersion(entity, row, expected)) {
+          return sendChanged(check);
+        }
+        if (row) {
+          claims.set(`${entity.name}:${id}`, { ...check, version: readField(row, entity.concurrency.column) });
+        }
+      }
+
+      // Drops the variable definitions only expectedVersion used
+      req.body.query = print(pruneDocument(document, operation, () => true));
+      changed = await writeClaimed(sequelize, res, [...claims.values()], next);
+    } catch (error) {
+      return next(error);
+    }
+    if (changed) {
+      sendChanged(changed);
+    }
+  };
+};
+
+module.exports = {
+  checkConcurrency,
+  checkConcurrencyGraphQL,
+  createWriteGuard,
+  createVersionTag
+};
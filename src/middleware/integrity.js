@@ -0,0 +1,205 @@
+/**
+ * Data Integrity Middleware for Ultimate CRUD
+ * Verifies referential and cross-field invariants that need database lookups
+ * before a write reaches Ultimate CRUD, answering 422 with field-level details
+ *
+ * Each table in model/entities.js may declare an `integrity` block:
+ *   references:  { postId: { entity: 'posts' },
+ *                  parentId: { entity: 'comments', sameAs: { postId: 'postId' } } }
+ *   transitions: { status: { draft: ['published'], archived: ['published'] } }
+ *   checks:      ['publishedPostHasDate'] (names from integrityChecks below)
+ * Rules run against the record as it will look after the write (stored row
+ * merged with the request body), so partial updates are checked consistently.
+ */
+
+const { readField, findEntity, isSoftDeleted, createRecordLoader } = require('../utils/db');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const integrityChecks = {
+  // A published post must carry its publication date
+  publishedPostHasDate: async ({ record }) => {
+    if (readField(record, 'status') === 'published' && isEmpty(readField(record, 'publishedAt'))) {
+      return [{
+        field: 'publishedAt',
+        message: 'publishedAt is required when status is published'
+      }];
+    }
+    return [];
+  },
+
+  // Order status changes settle stock reservations (services/orders.js), so
+  // they go through the order routes rather than a plain update
+  orderStatusThroughLifecycle: async ({ previous, data }) => {
+    const status = readField(previous, 'status');
+    if (previous && data.status !== undefined && String(data.status) !== String(status)) {
+      return [{
+        field: 'status',
+        message: 'status changes go through POST /api/orders/:id/complete or /api/orders/:id/cancel'
+      }];
+    }
+    return [];
+  }
+};
+
+const touches = (data, fields) => fields.some(field => data[field] !== undefined);
+
+const checkReferences = async ({ entity, entities, references, record, data, recordId, getLoader }) => {
+  const errors = [];
+
+  for (const field of Object.keys(references)) {
+    const reference = references[field];
+    const sameAs = reference.sameAs || {};
+
+    // Only re-check references affected by this write
+    if (!touches(data, [field, ...Object.keys(sameAs)])) {
+      continue;
+    }
+
+    const value = readField(record, field);
+    if (isEmpty(value)) {
+      continue;
+    }
+
+    if (reference.entity === entity.name && recordId !== undefined && String(value) === String(recordId)) {
+      errors.push({ field, message: `${field} cannot reference the record itself` });
+      continue;
+    }
+
+    // Soft-deleted rows cannot be referenced by new or changed records
+    const target = await getLoader(reference.entity)(value);
+    if (!target || isSoftDeleted(findEntity(entities, reference.entity), target)) {
+      errors.push({ field, message: `${reference.entity} record ${value} does not exist` });
+      continue;
+    }
+
+    Object.keys(sameAs).forEach(localField => {
+      const targetField = sameAs[localField];
+      if (String(readField(target, targetField)) !== String(readField(record, localField))) {
+        errors.push({
+          field,
+          message: `${reference.entity} record ${value} belongs to a different ${localField}`
+        });
+      }
+    });
+  }
+
+  return errors;
+};
+
+const checkTransitions = ({ transitions, previous, data }) => {
+  const errors = [];
+  if (!previous) {
+    return errors;
+  }
+
+  Object.keys(transitions).forEach(field => {
+    const from = readField(previous, field);
+    const to = data[field];
+    if (to === undefined || String(to) === String(from)) {
+      return;
+    }
+    const allowed = transitions[field][from] || [];
+    if (!allowed.includes(to)) {
+      errors.push({
+        field,
+        message: `${field} cannot change from ${from} to ${to}`
+      });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Run an entity's integrity block against a pending write.
+ * `id` is the primary key for updates, undefined for creates; lookups run in
+ * `transaction` when one is given (bulk imports, routes/bulk.js).
+ * Returns [{ field, message }]; an update of a missing record yields no
+ * errors so Ultimate CRUD can answer with its own 404.
+ */
+const checkIntegrity = async ({ entity, entities, sequelize, id, data, transaction }) => {
+  const { references = {}, transitions = {}, checks = [] } = entity.integrity || {};
+  const loaders = {};
+  const getLoader = (name) => {
+    const target = findEntity(entities, name);
+    if (!target) {
+      throw new Error(`Entity "${entity.name}" references unknown entity "${name}"`);
+    }
+    loaders[name] = loaders[name] || createRecordLoader(target, sequelize, { transaction });
+    return loaders[name];
+  };
+
+  const previous = id !== undefined ? await getLoader(entity.name)(id) : null;
+  if (id !== undefined && !previous) {
+    return [];
+  }
+
+  const record = { ...(previous || {}), ...data };
+  const context = { entity, sequelize, record, previous, data, action: previous ? 'update' : 'create' };
+
+  const errors = [
+    ...checkTransitions({ transitions, previous, data }),
+    ...await checkReferences({ entity, entities, references, record, data, recordId: id, getLoader })
+  ];
+
+  for (const name of checks) {
+    errors.push(...await integrityChecks[name](context));
+  }
+
+  return errors;
+};
+
+const sendIntegrityErrors = (res, errors) => {
+  return res.status(422).json({
+    error: 'Integrity check failed',
+    details: {
+      message: 'The following fields violate data integrity rules',
+      validation_errors: errors
+    }
+  });
+};
+
+// Mounted on entity.route after validateEntity, for each table with an integrity block
+const enforceIntegrity = (entity, { sequelize, entities }) => {
+  ((entity.integrity || {}).checks || []).forEach(name => {
+    if (!integrityChecks[name]) {
+      throw new Error(`Entity "${entity.name}" references unknown integrity check "${name}"`);
+    }
+  });
+
+  return async (req, res, next) => {
+    if (!['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      return next();
+    }
+
+    const segments = req.path.split('/').filter(Boolean);
+    if (segments.length > 1) {
+      return next();
+    }
+
+    try {
+      const errors = await checkIntegrity({
+        entity,
+        entities,
+        sequelize,
+        id: segments[0] ? decodeURIComponent(segments[0]) : undefined,
+        data: req.body || {}
+      });
+
+      if (errors.length > 0) {
+        return sendIntegrityErrors(res, errors);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  enforceIntegrity,
+  checkIntegrity,
+  sendIntegrityErrors,
+  integrityChecks
+};
@@ -0,0 +1,85 @@
+/**
+ * Request Logging Middleware
+ * Assigns every request a correlation id (X-Request-Id), runs the rest of the
+ * chain inside that context and writes one JSON log line per response
+ */
+
+const { randomUUID } = require('crypto');
+const { logger, requestContext } = require('../utils/logger');
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// Must be registered first so every later middleware (and Sequelize) sees the id
+const correlationId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  requestContext.run({ requestId }, next);
+};
+
+// Longest matching entity route wins (/api/posts vs /api/post-stats)
+const createEntityResolver = (entities) => {
+  const routes = [...entities].sort((a, b) => b.route.length - a.route.length);
+  return (path) => {
+    const entity = routes.find(e => path === e.route || path.startsWith(`${e.route}/`));
+    return entity ? entity.name : undefined;
+  };
+};
+
+const requestLogger = ({ entities = [] } = {}) => {
+  const resolveEntity = createEntityResolver(entities);
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+      logger[level]('request', {
+        requestId: req.id,
+        method: req.method,
+        route: req.originalUrl.split('?')[0],
+        entity: resolveEntity(req.originalUrl.split('?')[0]),
+        status: res.statusCode,
+        latencyMs: Math.round(latencyMs * 100) / 100,
+        user: req.user ? req.user.id : null,
+        ip: req.ip
+      });
+    });
+
+    next();
+  };
+};
+
+// Final error handler: logs the failure and returns the correlation id to the client
+const errorLogger = (error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+
+  logger[status >= 500 ? 'error' : 'warn']('request failed', {
+    requestId: req.id,
+    method: req.method,
+    route: req.originalUrl,
+    error: error.message,
+    ...(status >= 500 ? { stack: error.stack } : {})
+  });
+
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : error.message,
+    details: {
+      message: status >= 500 && process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : error.message,
+      requestId: req.id
+    }
+  });
+};
+
+module.exports = {
+  correlationId,
+  requestLogger,
+  errorLogger
+};
@@ -0,0 +1,119 @@
+/**
+ * Moderation Middleware
+ * Keeps unapproved rows of entities with a `moderation` block (comments) out
+ * of the reads Ultimate CRUD generates, except for their author and for users
+ * with the entity's `moderate` permission:
+ *
+ *   - Models: excludeUnapproved() hooks the finds and counts of the models
+ *     Ultimate CRUD defines, adding the isApproved / owner condition for the
+ *     user of the current request (requestContext, utils/logger.js). Its REST
+ *     and GraphQL lists, single rows and association fields (a post's
+ *     comments, a comment's replies) all load through them, so page sizes and
+ *     totals only count visible rows. Queries outside a request are left alone
+ *   - REST: GET /:id of an unapproved row answers 404 ahead of the other
+ *     middleware that read the row (ETags)
+ */
+
+const { Op } = require('sequelize');
+const { checkAccess } = require('./auth');
+const { readField, createRecordLoader } = require('../utils/db');
+const { requestContext } = require('../utils/logger');
+const { isApproved } = require('../services/moderation');
+
+// Entities `user` may moderate, checked once per request
+const getModeratedBy = async (entities, user) => {
+  const names = new Set();
+  for (const entity of entities.filter(item => item.moderation)) {
+    if (!await checkAccess({ entity, action: 'moderate', user })) {
+      names.add(entity.name);
+    }
+  }
+  return names;
+};
+
+const getOwnerField = entity => (entity.permissions || {}).ownerField;
+
+// Returns (entity, row) => boolean for the rows `user` may not see
+const createHiddenCheck = (moderated, user) => (entity, row) => {
+  if (!entity.moderation || moderated.has(entity.name) || isApproved(row)) {
+    return false;
+  }
+  const owner = getOwnerField(entity) ? readField(row, getOwnerField(entity)) : undefined;
+  return !user || owner === undefined || owner === null || String(owner) !== String(user.id);
+};
+
+// (row) => boolean for the rows of `entity` hidden from `user`, outside a request (change feeds)
+const createUnapprovedCheck = async (entities, entity, user) => {
+  const isHidden = createHiddenCheck(await getModeratedBy(entities, user), user);
+  return row => isHidden(entity, row);
+};
+
+// Where clause for the rows of `entity` that `user` may see, or null for all of them
+const getVisibleCondition = (entity, moderated, user) => {
+  if (moderated.has(entity.name)) {
+    return null;
+  }
+  const ownerField = getOwnerField(entity);
+  return user && ownerField
+    ? { [Op.or]: [{ isApproved: true }, { [ownerField]: user.id }] }
+    : { isApproved: true };
+};
+
+/**
+ * Limit the finds and counts of the models Ultimate CRUD defined for
+ * moderated entities to the rows the request's user may see. Called once
+ * ultimateCrud.initialize() resolved.
+ */
+const excludeUnapproved = (entities, { sequelize }) => {
+  entities
+    .filter(entity => entity.moderation && sequelize.isDefined(entity.name))
+    .forEach(entity => {
+      const restrict = async (options) => {
+        const context = requestContext.getStore();
+        if (!context) {
+          return;
+        }
+        const condition = getVisibleCondition(entity, await getModeratedBy(entities, context.user), context.user);
+        if (condition) {
+          options.where = options.where ? { [Op.and]: [options.where, condition] } : condition;
+        }
+      };
+
+      const model = sequelize.model(entity.name);
+      model.addHook('beforeFind', restrict);
+      model.addHook('beforeCount', restrict);
+    });
+};
+
+// Mounted after authorizeEntity on the route of each entity with a `moderation` block
+const hideUnapproved = (entity, { sequelize, entities }) => {
+  const loadRecord = createRecordLoader(entity, sequelize);
+
+  return async (req, res, next) => {
+    const segments = req.path.split('/').filter(Boolean);
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || segments.length !== 1) {
+      return next();
+    }
+
+    try {
+      const isHidden = createHiddenCheck(await getModeratedBy(entities, req.user), req.user);
+      const id = decodeURIComponent(segments[0]);
+      const record = await loadRecord(id);
+      if (record && isHidden(entity, record)) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `${entity.name} ${id} not found` }
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  excludeUnapproved,
+  hideUnapproved,
+  createUnapprovedCheck
+};
@@ -0,0 +1,124 @@
+/**
+ * Rate Limiting Middleware
+ * Fixed-window request budgets keyed on the authenticated user (or client IP),
+ * with defaults from RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX_REQUESTS and
+ * per-entity overrides from the `rateLimit` block in model/entities.js:
+ *
+ *   rateLimit: {
+ *     windowMs: 60000,            // optional, defaults to the env window
+ *     max: 60,                    // requests per window for every method
+ *     methods: { POST: { max: 5 } } // stricter budgets per HTTP method
+ *   }
+ *
+ * Counters live in a store with the interface
+ *   increment(key, windowMs) -> Promise<{ count, resetTime }>
+ *   reset(key) -> Promise<void>
+ * createMemoryStore() is the in-process default; pass a shared store (Redis,
+ * database...) with the same interface when running several instances.
+ */
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_REQUESTS = 100;
+
+const getDefaults = () => ({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || DEFAULT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || DEFAULT_MAX_REQUESTS
+});
+
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so idle clients don't accumulate
+  const timer = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetTime <= now) {
+        hits.delete(key);
+      }
+    });
+  }, cleanupIntervalMs);
+  timer.unref();
+
+  return {
+    async increment (key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetTime <= now) {
+        entry = { count: 0, resetTime: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetTime: entry.resetTime };
+    },
+
+    async reset (key) {
+      hits.delete(key);
+    }
+  };
+};
+
+const defaultKeyGenerator = (req) => req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+/**
+ * Create a rate limiting middleware.
+ * `name` namespaces the counters so each route keeps its own budget.
+ */
+const rateLimit = ({
+  name = 'global',
+  store,
+  windowMs,
+  max,
+  methods = {},
+  keyGenerator = defaultKeyGenerator
+} = {}) => {
+  if (!store) {
+    throw new Error('rateLimit requires a store (see createMemoryStore)');
+  }
+
+  const defaults = getDefaults();
+  const baseWindowMs = windowMs || defaults.windowMs;
+  const baseMax = max || defaults.max;
+  // A block with only `methods` leaves the other methods to the global budget
+  const limitsAllMethods = max !== undefined || Object.keys(methods).length === 0;
+
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || (!limitsAllMethods && !methods[req.method])) {
+      return next();
+    }
+
+    const override = methods[req.method] || {};
+    const limit = override.max || baseMax;
+    const window = override.windowMs || baseWindowMs;
+    const bucket = methods[req.method] ? `${name}:${req.method}` : name;
+
+    try {
+      const { count, resetTime } = await store.increment(`${bucket}:${keyGenerator(req)}`, window);
+      const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > limit) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too many requests',
+          details: {
+            message: `Rate limit of ${limit} requests per ${Math.round(window / 1000)} seconds exceeded`,
+            retryAfter: resetSeconds
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  defaultKeyGenerator
+};
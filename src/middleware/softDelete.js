@@ -0,0 +1,107 @@
+/**
+ * Soft Delete Middleware
+ * Keeps rows marked by services/softDelete.js out of the routes Ultimate CRUD
+ * generates for entities with `softDelete: true`:
+ *
+ *   - Models: excludeDeleted() gives the models Ultimate CRUD defines a
+ *     default scope of `deletedAt IS NULL`, so the queries behind its REST and
+ *     GraphQL reads (lists, single rows, association fields) skip deleted rows
+ *     and its page sizes and totals only count live ones
+ *   - REST: GET/PUT/PATCH /:id of a deleted row answer 404 ahead of the other
+ *     middleware that read the row (ETags, uploads)
+ *   - GraphQL: the generated delete mutations are refused in favour of
+ *     softDelete<Entity> (graphql/softDelete.js)
+ */
+
+const { Kind, parse } = require('graphql');
+const { getGraphQLRequest, collectRootFields, getFragments } = require('../graphql/request');
+const { resolveGraphQLField } = require('./auth');
+const { isSoftDeleted, createRecordLoader } = require('../utils/db');
+
+/**
+ * Give the models Ultimate CRUD defined for soft-delete entities a default
+ * scope without deleted rows. Called once ultimateCrud.initialize() resolved.
+ */
+const excludeDeleted = (entities, { sequelize }) => {
+  entities
+    .filter(entity => entity.softDelete && sequelize.isDefined(entity.name))
+    .forEach(entity => {
+      sequelize.model(entity.name).addScope('defaultScope', { where: { deletedAt: null } }, { override: true });
+    });
+};
+
+// Mounted on the route of each soft-delete entity, after authorizeEntity
+const hideDeleted = (entity, { sequelize }) => {
+  const loadRecord = createRecordLoader(entity, sequelize);
+
+  return async (req, res, next) => {
+    const segments = req.path.split('/').filter(Boolean);
+
+    try {
+      if (segments.length === 1 && ['GET', 'HEAD', 'PUT', 'PATCH'].includes(req.method)) {
+        const id = decodeURIComponent(segments[0]);
+        const record = await loadRecord(id);
+        if (record && isSoftDeleted(entity, record)) {
+          return res.status(404).json({
+            error: 'Not found',
+            details: { message: `${entity.name} ${id} not found` }
+          });
+        }
+      }
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
+};
+
+const responseKey = field => (field.alias ? field.alias : field.name).value;
+
+const sendGraphQLError = (res, message, path) => res.status(400).json({
+  errors: [{ message, path, extensions: { code: 'BAD_REQUEST' } }]
+});
+
+const toPascalCase = name => name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+// Mounted on /graphql after authorizeGraphQL and ahead of the GraphQL extensions
+const refuseDeleteMutations = (entities) => (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return next();
+  }
+  const { query, operationName } = getGraphQLRequest(req);
+  if (!query) {
+    return next();
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return next();
+  }
+
+  const fragments = getFragments(document);
+  const operations = document.definitions.filter(definition =>
+    definition.kind === Kind.OPERATION_DEFINITION && definition.operation === 'mutation' &&
+    (!operationName || (definition.name && definition.name.value === operationName))
+  );
+
+  for (const operation of operations) {
+    for (const field of collectRootFields(operation.selectionSet, fragments)) {
+      const target = resolveGraphQLField(entities, operation.operation, field.name.value);
+      if (target && target.action === 'delete' && target.entity.type === 'table' && target.entity.softDelete) {
+        return sendGraphQLError(res,
+          `${target.entity.name} are soft-deleted: use softDelete${toPascalCase(target.entity.name)} instead`,
+          [responseKey(field)]);
+      }
+    }
+  }
+  next();
+};
+
+module.exports = {
+  excludeDeleted,
+  hideDeleted,
+  refuseDeleteMutations,
+  toPascalCase
+};
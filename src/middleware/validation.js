@@ -1,13 +1,19 @@
 /**
  * Custom Validation Middleware for Ultimate CRUD
  * Handles business logic validations that go beyond database constraints
+ *
+ * Each entity in model/entities.js may declare a `rules` block keyed by field:
+ *   required, minLength, maxLength, pattern, enum, range: { min, max },
+ *   custom: ['validateEmailDomain'] (names from customValidations below),
+ *   label (used in default messages) and messages: { <rule>: 'override' }
+ * validateEntity(entity) enforces those rules on POST/PUT/PATCH.
  */
 
 const customValidations = {
   // Email domain validation
   validateEmailDomain: (email) => {
     const blockedDomains = ['gmail.com', 'tempmail.org', '10minutemail.com'];
-    const domain = email.split('@')[1];
+    const domain = String(email).split('@')[1];
     if (blockedDomains.includes(domain)) {
       return {
         valid: false,
@@ -34,120 +40,141 @@ const customValidations = {
       }
     }
     return { valid: true };
-  },
+  }
+};
 
-  // Username format validation
-  validateUsername: (username) => {
-    if (username) {
-      if (username.length < 3) {
-        return {
-          valid: false,
-          message: 'Username must be at least 3 characters long'
-        };
-      }
-      if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-        return {
-          valid: false,
-          message: 'Username can only contain letters, numbers, and underscores'
-        };
-      }
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const toLabel = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+// Default messages, overridable per field through `messages`
+const defaultMessages = {
+  required: (label) => `${label} is required`,
+  minLength: (label, min) => `${label} must be at least ${min} characters long`,
+  maxLength: (label, max) => `${label} must be at most ${max} characters long`,
+  pattern: (label) => `${label} has an invalid format`,
+  enum: (label, values) => `${label} must be one of: ${values.join(', ')}`,
+  range: (label, { min, max }) => {
+    if (min !== undefined && max !== undefined) {
+      return `${label} must be between ${min} and ${max}`;
     }
-    return { valid: true };
+    return min !== undefined ? `${label} must be at least ${min}` : `${label} must be at most ${max}`;
   }
 };
 
-// Validation middleware for users
-const validateUserData = (req, res, next) => {
-  if (req.method === 'POST' || req.method === 'PUT') {
-    const { email, age, username } = req.body;
-    const errors = [];
-
-    // Validate email domain
-    if (email) {
-      const emailValidation = customValidations.validateEmailDomain(email);
-      if (!emailValidation.valid) {
-        errors.push({
-          field: 'email',
-          message: emailValidation.message
-        });
-      }
-    }
+/**
+ * Check a single field against its rule definition.
+ * Returns the first failing message, or null when the value is valid.
+ */
+const checkField = (field, rule, value, data, { partial }) => {
+  const label = rule.label || toLabel(field);
+  const messages = rule.messages || {};
+  const fail = (name, arg) => messages[name] || defaultMessages[name](label, arg);
 
-    // Validate age
-    if (age !== undefined) {
-      const ageValidation = customValidations.validateAge(age);
-      if (!ageValidation.valid) {
-        errors.push({
-          field: 'age',
-          message: ageValidation.message
-        });
-      }
+  if (isEmpty(value)) {
+    // Partial updates only validate the fields they send
+    if (rule.required && !(partial && value === undefined)) {
+      return fail('required');
     }
+    return null;
+  }
 
-    // Validate username
-    if (username) {
-      const usernameValidation = customValidations.validateUsername(username);
-      if (!usernameValidation.valid) {
-        errors.push({
-          field: 'username',
-          message: usernameValidation.message
-        });
-      }
+  if (rule.minLength !== undefined && String(value).length < rule.minLength) {
+    return fail('minLength', rule.minLength);
+  }
+  if (rule.maxLength !== undefined && String(value).length > rule.maxLength) {
+    return fail('maxLength', rule.maxLength);
+  }
+  if (rule.pattern && !rule.pattern.test(String(value))) {
+    return fail('pattern');
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('enum', rule.enum);
+  }
+  if (rule.range) {
+    const number = Number(value);
+    const { min, max } = rule.range;
+    if (Number.isNaN(number) || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+      return fail('range', rule.range);
     }
+  }
 
-    // If there are validation errors, return them
-    if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: {
-          message: 'The following fields have validation errors',
-          validation_errors: errors
-        }
-      });
+  for (const name of [].concat(rule.custom || [])) {
+    const validator = customValidations[name];
+    if (!validator) {
+      throw new Error(`Unknown custom validation "${name}" on field "${field}"`);
+    }
+    const result = validator(value, data);
+    if (!result.valid) {
+      return result.message;
     }
   }
 
-  next();
+  return null;
 };
 
-// Validation middleware for categories
-const validateCategoryData = (req, res, next) => {
-  if (req.method === 'POST' || req.method === 'PUT') {
-    const { name, slug } = req.body;
-    const errors = [];
-
-    // Validate category name
-    if (name && name.length < 2) {
-      errors.push({
-        field: 'name',
-        message: 'Category name must be at least 2 characters long'
-      });
+// Validate a record against a rules block; returns [{ field, message }]
+const validateRecord = (rules, data, options = {}) => {
+  const errors = [];
+  Object.keys(rules).forEach(field => {
+    const message = checkField(field, rules[field], data[field], data, options);
+    if (message) {
+      errors.push({ field, message });
     }
+  });
+  return errors;
+};
 
-    // Validate slug format
-    if (slug && !/^[a-z0-9-]+$/.test(slug)) {
-      errors.push({
-        field: 'slug',
-        message: 'Slug can only contain lowercase letters, numbers, and hyphens'
-      });
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: {
+      message: 'The following fields have validation errors',
+      validation_errors: errors
     }
+  });
+};
+
+// Generic validation middleware, mounted on entity.route for each table with rules
+const validateEntity = (entity) => {
+  const rules = entity.rules || {};
+
+  // Fail at startup rather than on the first request
+  Object.keys(rules).forEach(field => {
+    [].concat(rules[field].custom || []).forEach(name => {
+      if (!customValidations[name]) {
+        throw new Error(`Entity "${entity.name}" references unknown custom validation "${name}"`);
+      }
+    });
+  });
+
+  return (req, res, next) => {
+    if (!['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      return next();
+    }
+
+    // Only the collection and single-record routes carry entity payloads
+    const segments = req.path.split('/').filter(Boolean);
+    if (segments.length > 1) {
+      return next();
+    }
+
+    // PUT replaces the record, so only PATCH may leave required fields out
+    const errors = validateRecord(rules, req.body || {}, {
+      partial: req.method === 'PATCH'
+    });
 
     if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: {
-          message: 'The following fields have validation errors',
-          validation_errors: errors
-        }
-      });
+      return sendValidationErrors(res, errors);
     }
-  }
 
-  next();
+    next();
+  };
 };
 
 module.exports = {
-  validateUserData,
-  validateCategoryData,
+  validateEntity,
+  validateRecord,
+  sendValidationErrors,
   customValidations
 };
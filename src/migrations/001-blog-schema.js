@@ -0,0 +1,604 @@
+/**
+ * Blog schema: users, credentials, categories, posts and comments with their
+ * indexes, full-text search and updatedAt maintenance, the analytics views,
+ * and the user_summary / popular_posts procedures (MySQL, PostgreSQL).
+ */
+
+const tables = {
+  mysql: [
+    `CREATE TABLE users (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      username VARCHAR(50) NOT NULL UNIQUE,
+      email VARCHAR(100) NOT NULL UNIQUE,
+      firstName VARCHAR(50),
+      lastName VARCHAR(50),
+      bio TEXT,
+      avatar VARCHAR(255),
+      role ENUM('user', 'moderator', 'admin') DEFAULT 'user',
+      isActive BOOLEAN DEFAULT TRUE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_username (username),
+      INDEX idx_email (email),
+      INDEX idx_active (isActive)
+    )`,
+
+    // Password hashes, never exposed as an entity
+    `CREATE TABLE user_credentials (
+      userId INT PRIMARY KEY,
+      passwordHash VARCHAR(255) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE categories (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      color VARCHAR(7) DEFAULT '#007bff',
+      isActive BOOLEAN DEFAULT TRUE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_slug (slug),
+      INDEX idx_active (isActive)
+    )`,
+
+    `CREATE TABLE posts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(200) NOT NULL,
+      slug VARCHAR(200) NOT NULL UNIQUE,
+      content LONGTEXT NOT NULL,
+      excerpt TEXT,
+      featuredImage VARCHAR(255),
+      status ENUM('draft', 'published', 'archived') DEFAULT 'draft',
+      publishedAt TIMESTAMP NULL,
+      userId INT NOT NULL,
+      categoryId INT NOT NULL,
+      views INT DEFAULT 0,
+      likes INT DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (categoryId) REFERENCES categories(id) ON DELETE RESTRICT,
+
+      INDEX idx_status (status),
+      INDEX idx_published_at (publishedAt),
+      INDEX idx_user_id (userId),
+      INDEX idx_category_id (categoryId),
+      INDEX idx_slug (slug),
+      FULLTEXT idx_search (title, content)
+    )`,
+
+    `CREATE TABLE comments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      content TEXT NOT NULL,
+      postId INT NOT NULL,
+      userId INT NOT NULL,
+      parentId INT NULL,
+      isApproved BOOLEAN DEFAULT FALSE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (postId) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parentId) REFERENCES comments(id) ON DELETE CASCADE,
+
+      INDEX idx_post_id (postId),
+      INDEX idx_user_id (userId),
+      INDEX idx_parent_id (parentId),
+      INDEX idx_approved (isApproved),
+      FULLTEXT idx_comment_search (content)
+    )`
+  ],
+
+  postgres: [
+    `CREATE OR REPLACE FUNCTION update_updated_at_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.updatedAt = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql`,
+
+    `CREATE TABLE users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL UNIQUE,
+      email VARCHAR(100) NOT NULL UNIQUE,
+      firstName VARCHAR(50),
+      lastName VARCHAR(50),
+      bio TEXT,
+      avatar VARCHAR(255),
+      role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+      isActive BOOLEAN DEFAULT TRUE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_users_username ON users(username)',
+    'CREATE INDEX idx_users_email ON users(email)',
+    'CREATE INDEX idx_users_active ON users(isActive)',
+    `CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+    // Password hashes, never exposed as an entity
+    `CREATE TABLE user_credentials (
+      userId INTEGER PRIMARY KEY,
+      passwordHash VARCHAR(255) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    `CREATE TRIGGER update_user_credentials_updated_at BEFORE UPDATE ON user_credentials
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+    `CREATE TABLE categories (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      color VARCHAR(7) DEFAULT '#007bff',
+      isActive BOOLEAN DEFAULT TRUE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_categories_slug ON categories(slug)',
+    'CREATE INDEX idx_categories_active ON categories(isActive)',
+    `CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+    "CREATE TYPE post_status AS ENUM ('draft', 'published', 'archived')",
+    `CREATE TABLE posts (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      slug VARCHAR(200) NOT NULL UNIQUE,
+      content TEXT NOT NULL,
+      excerpt TEXT,
+      featuredImage VARCHAR(255),
+      status post_status DEFAULT 'draft',
+      publishedAt TIMESTAMP NULL,
+      userId INTEGER NOT NULL,
+      categoryId INTEGER NOT NULL,
+      views INTEGER DEFAULT 0,
+      likes INTEGER DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (categoryId) REFERENCES categories(id) ON DELETE RESTRICT
+    )`,
+    'CREATE INDEX idx_posts_status ON posts(status)',
+    'CREATE INDEX idx_posts_published_at ON posts(publishedAt)',
+    'CREATE INDEX idx_posts_user_id ON posts(userId)',
+    'CREATE INDEX idx_posts_category_id ON posts(categoryId)',
+    'CREATE INDEX idx_posts_slug ON posts(slug)',
+    "CREATE INDEX idx_posts_search ON posts USING gin(to_tsvector('english', title || ' ' || content))",
+    `CREATE TRIGGER update_posts_updated_at BEFORE UPDATE ON posts
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`,
+
+    `CREATE TABLE comments (
+      id SERIAL PRIMARY KEY,
+      content TEXT NOT NULL,
+      postId INTEGER NOT NULL,
+      userId INTEGER NOT NULL,
+      parentId INTEGER NULL,
+      isApproved BOOLEAN DEFAULT FALSE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (postId) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parentId) REFERENCES comments(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX idx_comments_post_id ON comments(postId)',
+    'CREATE INDEX idx_comments_user_id ON comments(userId)',
+    'CREATE INDEX idx_comments_parent_id ON comments(parentId)',
+    'CREATE INDEX idx_comments_approved ON comments(isApproved)',
+    "CREATE INDEX idx_comments_search ON comments USING gin(to_tsvector('english', content))",
+    `CREATE TRIGGER update_comments_updated_at BEFORE UPDATE ON comments
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()`
+  ],
+
+  sqlite: [
+    `CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      email TEXT NOT NULL UNIQUE,
+      firstName TEXT,
+      lastName TEXT,
+      bio TEXT,
+      avatar TEXT,
+      role TEXT DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+      isActive INTEGER DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_users_username ON users(username)',
+    'CREATE INDEX idx_users_email ON users(email)',
+    'CREATE INDEX idx_users_active ON users(isActive)',
+    `CREATE TRIGGER update_users_updated_at AFTER UPDATE ON users
+    FOR EACH ROW BEGIN
+      UPDATE users SET updatedAt = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`,
+
+    // Password hashes, never exposed as an entity
+    `CREATE TABLE user_credentials (
+      userId INTEGER PRIMARY KEY,
+      passwordHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      slug TEXT NOT NULL UNIQUE,
+      description TEXT,
+      color TEXT DEFAULT '#007bff',
+      isActive INTEGER DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_categories_slug ON categories(slug)',
+    'CREATE INDEX idx_categories_active ON categories(isActive)',
+    `CREATE TRIGGER update_categories_updated_at AFTER UPDATE ON categories
+    FOR EACH ROW BEGIN
+      UPDATE categories SET updatedAt = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`,
+
+    `CREATE TABLE posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      slug TEXT NOT NULL UNIQUE,
+      content TEXT NOT NULL,
+      excerpt TEXT,
+      featuredImage TEXT,
+      status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+      publishedAt DATETIME NULL,
+      userId INTEGER NOT NULL,
+      categoryId INTEGER NOT NULL,
+      views INTEGER DEFAULT 0,
+      likes INTEGER DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (categoryId) REFERENCES categories(id) ON DELETE RESTRICT
+    )`,
+    'CREATE INDEX idx_posts_status ON posts(status)',
+    'CREATE INDEX idx_posts_published_at ON posts(publishedAt)',
+    'CREATE INDEX idx_posts_user_id ON posts(userId)',
+    'CREATE INDEX idx_posts_category_id ON posts(categoryId)',
+    'CREATE INDEX idx_posts_slug ON posts(slug)',
+    "CREATE VIRTUAL TABLE posts_fts USING fts5(title, content, content='posts', content_rowid='id')",
+    `CREATE TRIGGER posts_fts_insert AFTER INSERT ON posts BEGIN
+      INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+    END`,
+    `CREATE TRIGGER posts_fts_delete AFTER DELETE ON posts BEGIN
+      INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+    END`,
+    `CREATE TRIGGER posts_fts_update AFTER UPDATE ON posts BEGIN
+      INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+      INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+    END`,
+    `CREATE TRIGGER update_posts_updated_at AFTER UPDATE ON posts
+    FOR EACH ROW BEGIN
+      UPDATE posts SET updatedAt = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`,
+
+    `CREATE TABLE comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      content TEXT NOT NULL,
+      postId INTEGER NOT NULL,
+      userId INTEGER NOT NULL,
+      parentId INTEGER NULL,
+      isApproved INTEGER DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (postId) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parentId) REFERENCES comments(id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX idx_comments_post_id ON comments(postId)',
+    'CREATE INDEX idx_comments_user_id ON comments(userId)',
+    'CREATE INDEX idx_comments_parent_id ON comments(parentId)',
+    'CREATE INDEX idx_comments_approved ON comments(isApproved)',
+    "CREATE VIRTUAL TABLE comments_fts USING fts5(content, content='comments', content_rowid='id')",
+    `CREATE TRIGGER comments_fts_insert AFTER INSERT ON comments BEGIN
+      INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+    END`,
+    `CREATE TRIGGER comments_fts_delete AFTER DELETE ON comments BEGIN
+      INSERT INTO comments_fts(comments_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END`,
+    `CREATE TRIGGER comments_fts_update AFTER UPDATE ON comments BEGIN
+      INSERT INTO comments_fts(comments_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+    END`,
+    `CREATE TRIGGER update_comments_updated_at AFTER UPDATE ON comments
+    FOR EACH ROW BEGIN
+      UPDATE comments SET updatedAt = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`
+  ]
+};
+
+// The views only differ in boolean literals and date arithmetic
+const fragments = {
+  mysql: { true: 'TRUE', createView: 'CREATE OR REPLACE VIEW', daysSince: column => `DATEDIFF(NOW(), ${column})` },
+  postgres: { true: 'TRUE', createView: 'CREATE OR REPLACE VIEW', daysSince: column => `EXTRACT(DAY FROM (NOW() - ${column}))` },
+  sqlite: { true: '1', createView: 'CREATE VIEW', daysSince: column => `JULIANDAY('now') - JULIANDAY(${column})` }
+};
+
+const views = ({ true: TRUE, createView, daysSince }) => [
+  `${createView} post_stats AS
+  SELECT
+    p.id,
+    p.title,
+    p.slug,
+    p.status,
+    p.publishedAt,
+    u.username as author,
+    c.name as category,
+    p.views,
+    p.likes,
+    COUNT(DISTINCT cm.id) as commentCount,
+    COUNT(DISTINCT CASE WHEN cm.isApproved = ${TRUE} THEN cm.id END) as approvedCommentCount,
+    (p.views + p.likes * 2 + COUNT(DISTINCT cm.id) * 3) as popularityScore
+  FROM posts p
+  LEFT JOIN users u ON p.userId = u.id
+  LEFT JOIN categories c ON p.categoryId = c.id
+  LEFT JOIN comments cm ON p.id = cm.postId
+  GROUP BY p.id, p.title, p.slug, p.status, p.publishedAt, u.username, c.name, p.views, p.likes
+  ORDER BY popularityScore DESC`,
+
+  `${createView} user_analytics AS
+  SELECT
+    u.id,
+    u.username,
+    u.email,
+    u.firstName,
+    u.lastName,
+    COUNT(DISTINCT p.id) as totalPosts,
+    COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+    COUNT(DISTINCT c.id) as totalComments,
+    COALESCE(SUM(p.views), 0) as totalViews,
+    COALESCE(SUM(p.likes), 0) as totalLikes,
+    u.createdAt as joinedAt,
+    ${daysSince('u.createdAt')} as daysSinceJoined,
+    (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore
+  FROM users u
+  LEFT JOIN posts p ON u.id = p.userId
+  LEFT JOIN comments c ON u.id = c.userId
+  WHERE u.isActive = ${TRUE}
+  GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.createdAt
+  ORDER BY engagementScore DESC`,
+
+  `${createView} category_summary AS
+  SELECT
+    c.id,
+    c.name,
+    c.slug,
+    c.description,
+    c.color,
+    COUNT(DISTINCT p.id) as postCount,
+    COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPostCount,
+    COALESCE(AVG(p.views), 0) as avgViews,
+    COALESCE(SUM(p.likes), 0) as totalLikes,
+    MAX(p.publishedAt) as lastPostDate,
+    COUNT(DISTINCT p.userId) as uniqueAuthors
+  FROM categories c
+  LEFT JOIN posts p ON c.id = p.categoryId
+  WHERE c.isActive = ${TRUE}
+  GROUP BY c.id, c.name, c.slug, c.description, c.color
+  ORDER BY postCount DESC, totalLikes DESC`
+];
+
+// SQLite has no stored procedures: user_summary runs as a handler in
+// services/procedures.js and popular_posts is a query entity
+const procedures = {
+  mysql: [
+    `CREATE PROCEDURE user_summary(IN user_id INT)
+    BEGIN
+      SELECT
+        u.id,
+        u.username,
+        u.email,
+        CONCAT(COALESCE(u.firstName, ''), ' ', COALESCE(u.lastName, '')) as fullName,
+        u.bio,
+        u.isActive,
+        COUNT(DISTINCT p.id) as totalPosts,
+        COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+        COUNT(DISTINCT c.id) as totalComments,
+        COALESCE(SUM(p.views), 0) as totalViews,
+        COALESCE(SUM(p.likes), 0) as totalLikes,
+        u.createdAt as joinedAt,
+        DATEDIFF(NOW(), u.createdAt) as daysSinceJoined,
+        (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore,
+        CASE
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 100 THEN 'High'
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 50 THEN 'Medium'
+          ELSE 'Low'
+        END as engagementLevel
+      FROM users u
+      LEFT JOIN posts p ON u.id = p.userId
+      LEFT JOIN comments c ON u.id = c.userId
+      WHERE u.id = user_id
+      GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.bio, u.isActive, u.createdAt;
+    END`,
+
+    // MySQL procedure parameters cannot have defaults; the entity supplies them
+    `CREATE PROCEDURE popular_posts(IN days_back INT, IN limit_count INT)
+    BEGIN
+      SELECT
+        p.id,
+        p.title,
+        p.slug,
+        p.excerpt,
+        p.featuredImage,
+        p.publishedAt,
+        u.username as author,
+        c.name as category,
+        p.views,
+        p.likes,
+        COUNT(DISTINCT cm.id) as commentCount,
+        (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+      FROM posts p
+      JOIN users u ON p.userId = u.id
+      JOIN categories c ON p.categoryId = c.id
+      LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = TRUE
+      WHERE p.status = 'published'
+      AND p.publishedAt >= DATE_SUB(NOW(), INTERVAL days_back DAY)
+      GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+      ORDER BY popularity_score DESC
+      LIMIT limit_count;
+    END`
+  ],
+
+  postgres: [
+    `CREATE OR REPLACE FUNCTION user_summary(user_id INTEGER)
+    RETURNS TABLE(
+      id INTEGER,
+      username VARCHAR(50),
+      email VARCHAR(100),
+      fullName TEXT,
+      bio TEXT,
+      isActive BOOLEAN,
+      totalPosts BIGINT,
+      publishedPosts BIGINT,
+      totalComments BIGINT,
+      totalViews BIGINT,
+      totalLikes BIGINT,
+      joinedAt TIMESTAMP,
+      daysSinceJoined INTEGER,
+      engagementScore BIGINT,
+      engagementLevel TEXT
+    ) AS $$
+    BEGIN
+      RETURN QUERY
+      SELECT
+        u.id,
+        u.username,
+        u.email,
+        CONCAT(COALESCE(u.firstName, ''), ' ', COALESCE(u.lastName, '')) as fullName,
+        u.bio,
+        u.isActive,
+        COUNT(DISTINCT p.id) as totalPosts,
+        COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+        COUNT(DISTINCT c.id) as totalComments,
+        COALESCE(SUM(p.views), 0) as totalViews,
+        COALESCE(SUM(p.likes), 0) as totalLikes,
+        u.createdAt as joinedAt,
+        EXTRACT(DAY FROM (NOW() - u.createdAt))::INTEGER as daysSinceJoined,
+        (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore,
+        CASE
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 100 THEN 'High'
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 50 THEN 'Medium'
+          ELSE 'Low'
+        END as engagementLevel
+      FROM users u
+      LEFT JOIN posts p ON u.id = p.userId
+      LEFT JOIN comments c ON u.id = c.userId
+      WHERE u.id = user_id
+      GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.bio, u.isActive, u.createdAt;
+    END;
+    $$ LANGUAGE plpgsql`,
+
+    `CREATE OR REPLACE FUNCTION popular_posts(days_back INTEGER DEFAULT 30, limit_count INTEGER DEFAULT 10)
+    RETURNS TABLE(
+      id INTEGER,
+      title VARCHAR(200),
+      slug VARCHAR(200),
+      excerpt TEXT,
+      featuredImage VARCHAR(255),
+      publishedAt TIMESTAMP,
+      author VARCHAR(50),
+      category VARCHAR(100),
+      views INTEGER,
+      likes INTEGER,
+      commentCount BIGINT,
+      popularity_score NUMERIC
+    ) AS $$
+    BEGIN
+      RETURN QUERY
+      SELECT
+        p.id,
+        p.title,
+        p.slug,
+        p.excerpt,
+        p.featuredImage,
+        p.publishedAt,
+        u.username as author,
+        c.name as category,
+        p.views,
+        p.likes,
+        COUNT(DISTINCT cm.id) as commentCount,
+        (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+      FROM posts p
+      JOIN users u ON p.userId = u.id
+      JOIN categories c ON p.categoryId = c.id
+      LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = TRUE
+      WHERE p.status = 'published'
+      AND p.publishedAt >= (NOW() - INTERVAL '1 day' * days_back)
+      GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+      ORDER BY popularity_score DESC
+      LIMIT limit_count;
+    END;
+    $$ LANGUAGE plpgsql`
+  ],
+
+  sqlite: []
+};
+
+const DROP_VIEWS = [
+  'DROP VIEW IF EXISTS category_summary',
+  'DROP VIEW IF EXISTS user_analytics',
+  'DROP VIEW IF EXISTS post_stats'
+];
+
+// Children first; triggers and indexes go with their tables
+const DROP_TABLES = [
+  'DROP TABLE IF EXISTS comments',
+  'DROP TABLE IF EXISTS posts',
+  'DROP TABLE IF EXISTS categories',
+  'DROP TABLE IF EXISTS user_credentials',
+  'DROP TABLE IF EXISTS users'
+];
+
+module.exports = {
+  up: ({ dialect }) => [
+    ...tables[dialect],
+    ...views(fragments[dialect]),
+    ...procedures[dialect]
+  ],
+
+  down: {
+    mysql: [
+      'DROP PROCEDURE IF EXISTS popular_posts',
+      'DROP PROCEDURE IF EXISTS user_summary',
+      ...DROP_VIEWS,
+      ...DROP_TABLES
+    ],
+    postgres: [
+      'DROP FUNCTION IF EXISTS popular_posts(INTEGER, INTEGER)',
+      'DROP FUNCTION IF EXISTS user_summary(INTEGER)',
+      ...DROP_VIEWS,
+      ...DROP_TABLES,
+      'DROP TYPE IF EXISTS post_status',
+      'DROP FUNCTION IF EXISTS update_updated_at_column()'
+    ],
+    // The FTS tables go last: cascading deletes still fire their sync triggers
+    sqlite: [
+      ...DROP_VIEWS,
+      ...DROP_TABLES,
+      'DROP TABLE IF EXISTS comments_fts',
+      'DROP TABLE IF EXISTS posts_fts'
+    ]
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Tables with non-standard primary keys: products (product_id), orders
+ * (order_uuid string), order_items (compound order_uuid + product_id) and
+ * inventory (location_code string).
+ */
+
+const autoIncrementKey = {
+  mysql: 'INT PRIMARY KEY AUTO_INCREMENT',
+  postgres: 'SERIAL PRIMARY KEY',
+  sqlite: 'INTEGER PRIMARY KEY AUTOINCREMENT'
+};
+
+const orderStatus = {
+  mysql: "ENUM('pending', 'completed', 'cancelled') DEFAULT 'pending'",
+  postgres: "VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled'))",
+  sqlite: "TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled'))"
+};
+
+module.exports = {
+  up: ({ dialect }) => [
+    `CREATE TABLE products (
+      product_id ${autoIncrementKey[dialect]},
+      name VARCHAR(100) NOT NULL,
+      price DECIMAL(10,2) NOT NULL,
+      description TEXT,
+      sku VARCHAR(50) UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE orders (
+      order_uuid VARCHAR(36) PRIMARY KEY,
+      customer_name VARCHAR(100) NOT NULL,
+      total_amount DECIMAL(10,2) NOT NULL,
+      status ${orderStatus[dialect]},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE order_items (
+      order_uuid VARCHAR(36),
+      product_id INTEGER,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      unit_price DECIMAL(10,2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (order_uuid, product_id),
+      FOREIGN KEY (order_uuid) REFERENCES orders(order_uuid) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE inventory (
+      location_code VARCHAR(10) PRIMARY KEY,
+      warehouse_name VARCHAR(100) NOT NULL,
+      address TEXT,
+      capacity INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS inventory',
+    'DROP TABLE IF EXISTS order_items',
+    'DROP TABLE IF EXISTS orders',
+    'DROP TABLE IF EXISTS products'
+  ]
+};
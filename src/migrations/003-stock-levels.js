@@ -0,0 +1,41 @@
+/**
+ * Stock per product and inventory location, and the reservations placed
+ * orders hold on it until they are completed or cancelled.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE stock_levels (
+      product_id INTEGER NOT NULL,
+      location_code VARCHAR(10) NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+      reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (product_id, location_code),
+      CHECK (reserved <= quantity),
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+      FOREIGN KEY (location_code) REFERENCES inventory(location_code) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE stock_reservations (
+      order_uuid VARCHAR(36) NOT NULL,
+      product_id INTEGER NOT NULL,
+      location_code VARCHAR(10) NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (order_uuid, product_id, location_code),
+      -- An order holding stock must be cancelled before it can be deleted
+      FOREIGN KEY (order_uuid) REFERENCES orders(order_uuid),
+      FOREIGN KEY (product_id, location_code) REFERENCES stock_levels(product_id, location_code) ON DELETE CASCADE
+    )`,
+
+    'CREATE INDEX idx_stock_levels_location ON stock_levels(location_code)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS stock_reservations',
+    'DROP TABLE IF EXISTS stock_levels'
+  ]
+};
@@ -0,0 +1,234 @@
+/**
+ * Soft delete for users, posts and comments: a nullable deletedAt marker
+ * (see `softDelete` in model/entities.js), and views and procedures that
+ * leave marked rows out. `down` restores the definitions of 001.
+ */
+
+const SOFT_DELETE_TABLES = ['users', 'posts', 'comments'];
+
+const timestamp = {
+  mysql: 'TIMESTAMP NULL DEFAULT NULL',
+  postgres: 'TIMESTAMP NULL',
+  sqlite: 'DATETIME NULL'
+};
+
+const fragments = {
+  mysql: { true: 'TRUE', createView: 'CREATE OR REPLACE VIEW', daysSince: column => `DATEDIFF(NOW(), ${column})` },
+  postgres: { true: 'TRUE', createView: 'CREATE OR REPLACE VIEW', daysSince: column => `EXTRACT(DAY FROM (NOW() - ${column}))` },
+  sqlite: { true: '1', createView: 'CREATE VIEW', daysSince: column => `JULIANDAY('now') - JULIANDAY(${column})` }
+};
+
+// SQL condition builders; with hideDeleted false they reproduce the 001 definitions
+const createFilter = (hideDeleted) => {
+  const live = alias => (hideDeleted ? `${alias}.deletedAt IS NULL` : null);
+  const and = (...conditions) => conditions.filter(Boolean).join(' AND ');
+  const where = (...conditions) => (conditions.some(Boolean) ? `WHERE ${and(...conditions)}` : '');
+  return { live, and, where };
+};
+
+const views = ({ true: TRUE, createView, daysSince }, { live, and, where }) => [
+  `${createView} post_stats AS
+  SELECT
+    p.id,
+    p.title,
+    p.slug,
+    p.status,
+    p.publishedAt,
+    u.username as author,
+    c.name as category,
+    p.views,
+    p.likes,
+    COUNT(DISTINCT cm.id) as commentCount,
+    COUNT(DISTINCT CASE WHEN cm.isApproved = ${TRUE} THEN cm.id END) as approvedCommentCount,
+    (p.views + p.likes * 2 + COUNT(DISTINCT cm.id) * 3) as popularityScore
+  FROM posts p
+  LEFT JOIN users u ON ${and('p.userId = u.id', live('u'))}
+  LEFT JOIN categories c ON p.categoryId = c.id
+  LEFT JOIN comments cm ON ${and('p.id = cm.postId', live('cm'))}
+  ${where(live('p'))}
+  GROUP BY p.id, p.title, p.slug, p.status, p.publishedAt, u.username, c.name, p.views, p.likes
+  ORDER BY popularityScore DESC`,
+
+  `${createView} user_analytics AS
+  SELECT
+    u.id,
+    u.username,
+    u.email,
+    u.firstName,
+    u.lastName,
+    COUNT(DISTINCT p.id) as totalPosts,
+    COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+    COUNT(DISTINCT c.id) as totalComments,
+    COALESCE(SUM(p.views), 0) as totalViews,
+    COALESCE(SUM(p.likes), 0) as totalLikes,
+    u.createdAt as joinedAt,
+    ${daysSince('u.createdAt')} as daysSinceJoined,
+    (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore
+  FROM users u
+  LEFT JOIN posts p ON ${and('u.id = p.userId', live('p'))}
+  LEFT JOIN comments c ON ${and('u.id = c.userId', live('c'))}
+  ${where(`u.isActive = ${TRUE}`, live('u'))}
+  GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.createdAt
+  ORDER BY engagementScore DESC`,
+
+  `${createView} category_summary AS
+  SELECT
+    c.id,
+    c.name,
+    c.slug,
+    c.description,
+    c.color,
+    COUNT(DISTINCT p.id) as postCount,
+    COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPostCount,
+    COALESCE(AVG(p.views), 0) as avgViews,
+    COALESCE(SUM(p.likes), 0) as totalLikes,
+    MAX(p.publishedAt) as lastPostDate,
+    COUNT(DISTINCT p.userId) as uniqueAuthors
+  FROM categories c
+  LEFT JOIN posts p ON ${and('c.id = p.categoryId', live('p'))}
+  WHERE c.isActive = ${TRUE}
+  GROUP BY c.id, c.name, c.slug, c.description, c.color
+  ORDER BY postCount DESC, totalLikes DESC`
+];
+
+// SQLite has no CREATE OR REPLACE VIEW
+const replaceViews = (dialect, filter) => [
+  ...(dialect === 'sqlite'
+    ? ['DROP VIEW IF EXISTS category_summary', 'DROP VIEW IF EXISTS user_analytics', 'DROP VIEW IF EXISTS post_stats']
+    : []),
+  ...views(fragments[dialect], filter)
+];
+
+const userSummarySelect = (daysSinceJoined, { live, and }) => `
+      SELECT
+        u.id,
+        u.username,
+        u.email,
+        CONCAT(COALESCE(u.firstName, ''), ' ', COALESCE(u.lastName, '')) as fullName,
+        u.bio,
+        u.isActive,
+        COUNT(DISTINCT p.id) as totalPosts,
+        COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+        COUNT(DISTINCT c.id) as totalComments,
+        COALESCE(SUM(p.views), 0) as totalViews,
+        COALESCE(SUM(p.likes), 0) as totalLikes,
+        u.createdAt as joinedAt,
+        ${daysSinceJoined} as daysSinceJoined,
+        (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore,
+        CASE
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 100 THEN 'High'
+          WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 50 THEN 'Medium'
+          ELSE 'Low'
+        END as engagementLevel
+      FROM users u
+      LEFT JOIN posts p ON ${and('u.id = p.userId', live('p'))}
+      LEFT JOIN comments c ON ${and('u.id = c.userId', live('c'))}
+      WHERE ${and('u.id = user_id', live('u'))}
+      GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.bio, u.isActive, u.createdAt;`;
+
+const popularPostsSelect = (publishedSince, { live, and }) => `
+      SELECT
+        p.id,
+        p.title,
+        p.slug,
+        p.excerpt,
+        p.featuredImage,
+        p.publishedAt,
+        u.username as author,
+        c.name as category,
+        p.views,
+        p.likes,
+        COUNT(DISTINCT cm.id) as commentCount,
+        (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+      FROM posts p
+      JOIN users u ON p.userId = u.id
+      JOIN categories c ON p.categoryId = c.id
+      LEFT JOIN comments cm ON ${and('p.id = cm.postId', 'cm.isApproved = TRUE', live('cm'))}
+      WHERE ${and("p.status = 'published'", live('p'))}
+      AND p.publishedAt >= ${publishedSince}
+      GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+      ORDER BY popularity_score DESC
+      LIMIT limit_count;`;
+
+// SQLite runs user_summary as a handler (services/procedures.js) and
+// popular_posts as a query entity, both filtered in the application
+const procedures = {
+  mysql: (filter) => [
+    'DROP PROCEDURE IF EXISTS user_summary',
+    `CREATE PROCEDURE user_summary(IN user_id INT)
+    BEGIN${userSummarySelect('DATEDIFF(NOW(), u.createdAt)', filter)}
+    END`,
+
+    'DROP PROCEDURE IF EXISTS popular_posts',
+    `CREATE PROCEDURE popular_posts(IN days_back INT, IN limit_count INT)
+    BEGIN${popularPostsSelect('DATE_SUB(NOW(), INTERVAL days_back DAY)', filter)}
+    END`
+  ],
+
+  postgres: (filter) => [
+    `CREATE OR REPLACE FUNCTION user_summary(user_id INTEGER)
+    RETURNS TABLE(
+      id INTEGER,
+      username VARCHAR(50),
+      email VARCHAR(100),
+      fullName TEXT,
+      bio TEXT,
+      isActive BOOLEAN,
+      totalPosts BIGINT,
+      publishedPosts BIGINT,
+      totalComments BIGINT,
+      totalViews BIGINT,
+      totalLikes BIGINT,
+      joinedAt TIMESTAMP,
+      daysSinceJoined INTEGER,
+      engagementScore BIGINT,
+      engagementLevel TEXT
+    ) AS $$
+    BEGIN
+      RETURN QUERY${userSummarySelect('EXTRACT(DAY FROM (NOW() - u.createdAt))::INTEGER', filter)}
+    END;
+    $$ LANGUAGE plpgsql`,
+
+    `CREATE OR REPLACE FUNCTION popular_posts(days_back INTEGER DEFAULT 30, limit_count INTEGER DEFAULT 10)
+    RETURNS TABLE(
+      id INTEGER,
+      title VARCHAR(200),
+      slug VARCHAR(200),
+      excerpt TEXT,
+      featuredImage VARCHAR(255),
+      publishedAt TIMESTAMP,
+      author VARCHAR(50),
+      category VARCHAR(100),
+      views INTEGER,
+      likes INTEGER,
+      commentCount BIGINT,
+      popularity_score NUMERIC
+    ) AS $$
+    BEGIN
+      RETURN QUERY${popularPostsSelect("(NOW() - INTERVAL '1 day' * days_back)", filter)}
+    END;
+    $$ LANGUAGE plpgsql`
+  ],
+
+  sqlite: () => []
+};
+
+const indexName = table => `idx_${table}_deleted_at`;
+
+module.exports = {
+  up: ({ dialect }) => [
+    ...SOFT_DELETE_TABLES.map(table => `ALTER TABLE ${table} ADD COLUMN deletedAt ${timestamp[dialect]}`),
+    ...SOFT_DELETE_TABLES.map(table => `CREATE INDEX ${indexName(table)} ON ${table}(deletedAt)`),
+    ...replaceViews(dialect, createFilter(true)),
+    ...procedures[dialect](createFilter(true))
+  ],
+
+  // Views and procedures go back first: SQLite refuses to drop columns they use,
+  // and indexed columns until their index is gone
+  down: ({ dialect }) => [
+    ...replaceViews(dialect, createFilter(false)),
+    ...procedures[dialect](createFilter(false)),
+    ...(dialect === 'sqlite' ? SOFT_DELETE_TABLES.map(table => `DROP INDEX IF EXISTS ${indexName(table)}`) : []),
+    ...SOFT_DELETE_TABLES.map(table => `ALTER TABLE ${table} DROP COLUMN deletedAt`)
+  ]
+};
@@ -0,0 +1,32 @@
+/**
+ * Audit trail of table writes (services/audit.js). Rows are never updated;
+ * user_id has no foreign key so entries outlive purged users.
+ */
+
+const autoIncrementKey = {
+  mysql: 'BIGINT PRIMARY KEY AUTO_INCREMENT',
+  postgres: 'BIGSERIAL PRIMARY KEY',
+  sqlite: 'INTEGER PRIMARY KEY AUTOINCREMENT'
+};
+
+module.exports = {
+  up: ({ dialect }) => [
+    `CREATE TABLE audit_log (
+      id ${autoIncrementKey[dialect]},
+      entity_name VARCHAR(64) NOT NULL,
+      record_key VARCHAR(255) NOT NULL,
+      action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      changes TEXT NOT NULL,
+      user_id INTEGER NULL,
+      username VARCHAR(50) NULL,
+      correlation_id VARCHAR(100) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    'CREATE INDEX idx_audit_log_record ON audit_log(entity_name, record_key)',
+    'CREATE INDEX idx_audit_log_created_at ON audit_log(created_at)',
+    'CREATE INDEX idx_audit_log_correlation_id ON audit_log(correlation_id)'
+  ],
+
+  down: 'DROP TABLE IF EXISTS audit_log'
+};
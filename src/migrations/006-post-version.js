@@ -0,0 +1,58 @@
+/**
+ * Version counter on posts for optimistic concurrency (`concurrency` in
+ * model/entities.js): every UPDATE increments it, whatever the client sends.
+ * updatedAt only has one-second precision on MySQL and SQLite, too coarse for
+ * two authors saving the same post.
+ */
+
+// SQLite lets a trigger fire the other triggers on the table, so the counter
+// watches every column except the ones its own and the updatedAt trigger set
+const SQLITE_WATCHED_COLUMNS = [
+  'title', 'slug', 'content', 'excerpt', 'featuredImage', 'status', 'publishedAt',
+  'userId', 'categoryId', 'views', 'likes', 'createdAt', 'deletedAt'
+];
+
+module.exports = {
+  up: {
+    mysql: [
+      'ALTER TABLE posts ADD COLUMN version INT NOT NULL DEFAULT 1',
+      `CREATE TRIGGER increment_posts_version BEFORE UPDATE ON posts
+        FOR EACH ROW SET NEW.version = OLD.version + 1`
+    ],
+    postgres: [
+      'ALTER TABLE posts ADD COLUMN version INTEGER NOT NULL DEFAULT 1',
+      `CREATE OR REPLACE FUNCTION increment_version_column()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.version = OLD.version + 1;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql`,
+      `CREATE TRIGGER increment_posts_version BEFORE UPDATE ON posts
+        FOR EACH ROW EXECUTE FUNCTION increment_version_column()`
+    ],
+    sqlite: [
+      'ALTER TABLE posts ADD COLUMN version INTEGER NOT NULL DEFAULT 1',
+      `CREATE TRIGGER increment_posts_version AFTER UPDATE OF ${SQLITE_WATCHED_COLUMNS.join(', ')} ON posts
+      FOR EACH ROW BEGIN
+        UPDATE posts SET version = OLD.version + 1 WHERE id = NEW.id;
+      END`
+    ]
+  },
+
+  down: {
+    mysql: [
+      'DROP TRIGGER IF EXISTS increment_posts_version',
+      'ALTER TABLE posts DROP COLUMN version'
+    ],
+    postgres: [
+      'DROP TRIGGER IF EXISTS increment_posts_version ON posts',
+      'DROP FUNCTION IF EXISTS increment_version_column()',
+      'ALTER TABLE posts DROP COLUMN version'
+    ],
+    sqlite: [
+      'DROP TRIGGER IF EXISTS increment_posts_version',
+      'ALTER TABLE posts DROP COLUMN version'
+    ]
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Moderation decisions on comments (`moderation` in model/entities.js):
+ * who approved or rejected a comment, when, and the reason for rejections.
+ * Unapproved comments without a decision form the moderation queue.
+ * moderatedBy has no foreign key so decisions outlive purged moderators.
+ */
+
+const timestamp = {
+  mysql: 'TIMESTAMP NULL DEFAULT NULL',
+  postgres: 'TIMESTAMP NULL',
+  sqlite: 'DATETIME NULL'
+};
+
+module.exports = {
+  up: ({ dialect }) => [
+    `ALTER TABLE comments ADD COLUMN moderatedAt ${timestamp[dialect]}`,
+    'ALTER TABLE comments ADD COLUMN moderatedBy INTEGER NULL',
+    'ALTER TABLE comments ADD COLUMN rejectionReason VARCHAR(500) NULL',
+    'CREATE INDEX idx_comments_moderation ON comments(isApproved, moderatedAt)'
+  ],
+
+  // SQLite refuses to drop indexed columns until their index is gone
+  down: ({ dialect }) => [
+    dialect === 'mysql' ? 'DROP INDEX idx_comments_moderation ON comments' : 'DROP INDEX IF EXISTS idx_comments_moderation',
+    'ALTER TABLE comments DROP COLUMN rejectionReason',
+    'ALTER TABLE comments DROP COLUMN moderatedBy',
+    'ALTER TABLE comments DROP COLUMN moderatedAt'
+  ]
+};
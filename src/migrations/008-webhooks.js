@@ -0,0 +1,53 @@
+/**
+ * Outbound webhooks (services/webhooks.js): subscriptions to entity change
+ * events and the log of their deliveries. Keys are UUIDs generated by the
+ * application. Deliveries are removed with their subscription by the service
+ * as well, since SQLite only enforces the foreign key with PRAGMA foreign_keys.
+ */
+
+const boolean = {
+  mysql: 'BOOLEAN NOT NULL DEFAULT TRUE',
+  postgres: 'BOOLEAN NOT NULL DEFAULT TRUE',
+  sqlite: 'INTEGER NOT NULL DEFAULT 1'
+};
+
+module.exports = {
+  up: ({ dialect }) => [
+    `CREATE TABLE webhook_subscriptions (
+      id VARCHAR(36) PRIMARY KEY,
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      events TEXT NOT NULL,
+      description VARCHAR(255) NULL,
+      is_active ${boolean[dialect]},
+      created_by INTEGER NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      subscription_id VARCHAR(36) NOT NULL,
+      event_id VARCHAR(36) NOT NULL,
+      event_name VARCHAR(100) NOT NULL,
+      payload TEXT NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NULL,
+      last_status_code INTEGER NULL,
+      last_error VARCHAR(500) NULL,
+      replay_of VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      delivered_at TIMESTAMP NULL,
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+    )`,
+
+    'CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)',
+    'CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_deliveries',
+    'DROP TABLE IF EXISTS webhook_subscriptions'
+  ]
+};
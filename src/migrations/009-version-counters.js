@@ -0,0 +1,60 @@
+/**
+ * Version counters on users, categories and comments, as 006 added to posts,
+ * for optimistic concurrency (`concurrency` in model/entities.js). Their
+ * updatedAt only changes once a second on MySQL and SQLite, so two writes in
+ * the same second kept the same ETag.
+ */
+
+const TABLES = ['users', 'categories', 'comments'];
+
+// SQLite lets a trigger fire the other triggers on the table, so each counter
+// watches every column except the ones its own and the updatedAt trigger set
+const SQLITE_WATCHED_COLUMNS = {
+  users: [
+    'username', 'email', 'firstName', 'lastName', 'bio', 'avatar', 'role',
+    'isActive', 'createdAt', 'deletedAt'
+  ],
+  categories: ['name', 'slug', 'description', 'color', 'isActive', 'createdAt'],
+  comments: [
+    'content', 'postId', 'userId', 'parentId', 'isApproved', 'createdAt',
+    'deletedAt', 'moderatedAt', 'moderatedBy', 'rejectionReason'
+  ]
+};
+
+module.exports = {
+  up: {
+    mysql: TABLES.flatMap(table => [
+      `ALTER TABLE ${table} ADD COLUMN version INT NOT NULL DEFAULT 1`,
+      `CREATE TRIGGER increment_${table}_version BEFORE UPDATE ON ${table}
+        FOR EACH ROW SET NEW.version = OLD.version + 1`
+    ]),
+    // increment_version_column() comes from 006
+    postgres: TABLES.flatMap(table => [
+      `ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`,
+      `CREATE TRIGGER increment_${table}_version BEFORE UPDATE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION increment_version_column()`
+    ]),
+    sqlite: TABLES.flatMap(table => [
+      `ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`,
+      `CREATE TRIGGER increment_${table}_version AFTER UPDATE OF ${SQLITE_WATCHED_COLUMNS[table].join(', ')} ON ${table}
+      FOR EACH ROW BEGIN
+        UPDATE ${table} SET version = OLD.version + 1 WHERE id = NEW.id;
+      END`
+    ])
+  },
+
+  down: {
+    mysql: TABLES.flatMap(table => [
+      `DROP TRIGGER IF EXISTS increment_${table}_version`,
+      `ALTER TABLE ${table} DROP COLUMN version`
+    ]),
+    postgres: TABLES.flatMap(table => [
+      `DROP TRIGGER IF EXISTS increment_${table}_version ON ${table}`,
+      `ALTER TABLE ${table} DROP COLUMN version`
+    ]),
+    sqlite: TABLES.flatMap(table => [
+      `DROP TRIGGER IF EXISTS increment_${table}_version`,
+      `ALTER TABLE ${table} DROP COLUMN version`
+    ])
+  }
+};
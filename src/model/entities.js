@@ -2,6 +2,78 @@
  * Blog Entity Definitions for Ultimate CRUD
  * Ultimate CRUD will automatically discover table schemas from the database
  * We only need to specify entity types, routes, and custom configurations
+ *
+ * Permissions (enforced by middleware/auth.js on REST and GraphQL):
+ * each action (read, create, update, delete) takes 'public', 'authenticated',
+ * 'owner', 'admin' or a list of roles. Admins can do everything, 'owner'
+ * compares `ownerField` with the logged-in user's id. Entities without a
+ * permissions block are publicly readable and writable by admins only.
+ * Custom routes may check further actions the same way (orders: `place`,
+ * soft-delete tables: `restore` and `purge`, moderated tables: `moderate`).
+ *
+ * Rules (enforced by middleware/validation.js on POST/PUT/PATCH):
+ * per-field required, minLength, maxLength, pattern, enum, range and custom
+ * (names of functions in customValidations). See that file for details.
+ *
+ * Integrity (enforced by middleware/integrity.js, 422 on failure):
+ * `references` that must exist (optionally matching fields via `sameAs`),
+ * allowed state `transitions`, and async `checks` from integrityChecks.
+ *
+ * Query and procedure parameters are bound by name (`:days_back` in the SQL)
+ * after coercion to their declared `type`; `min`, `max` and `maxLength`
+ * bound the accepted values (routes/queries.js). `fullText: true` marks
+ * search terms, bound as plain words rather than FTS5 syntax on SQLite.
+ *
+ * Uploads (routes/uploads.js): `uploads: { 'path-segment': { column, label } }`
+ * adds POST/DELETE /:id/<path-segment> for files stored in that column; list
+ * the column in protectedFields so only those routes (and admins) write it.
+ *
+ * GraphQL (graphql/entities.js): views, queries and procedures are exposed
+ * under their entity name, typed from discovered result columns; an optional
+ * `columns: { name: 'INTEGER' | 'FLOAT' | 'BOOLEAN' | 'DATE' | 'STRING' }`
+ * block declares them where discovery is not possible.
+ *
+ * Rate limits (middleware/rateLimit.js): `rateLimit: { windowMs, max, methods }`
+ * gives an entity its own budget on top of the RATE_LIMIT_* defaults.
+ *
+ * Caching (middleware/cache.js): `cache: { ttl, dependsOn }` on a view, query
+ * or procedure caches its responses for `ttl` seconds, with ETag support;
+ * writes to any table in `dependsOn` invalidate them.
+ *
+ * Soft delete (routes/softDelete.js): `softDelete: true` turns DELETE into
+ * setting deletedAt on the row and on its children in other soft-delete
+ * entities (through hasMany associations), hides deleted rows from REST and
+ * GraphQL reads, and adds POST /:id/restore (`restore` permission) and
+ * DELETE /:id/purge (`purge` permission). The table needs a deletedAt column.
+ *
+ * Concurrency (middleware/concurrency.js): `concurrency: { column, required }`
+ * versions rows with `column`, a counter the schema increments on every
+ * update (timestamps are too coarse): GET /:id sends an ETag, PUT/PATCH/DELETE /:id with a stale
+ * If-Match answer 412, and GraphQL update mutations accept `expectedVersion`.
+ * `required: true` rejects writes without a version (428).
+ *
+ * Moderation (routes/moderation.js): `moderation: { thread }` hides rows
+ * until they are approved (isApproved) from everyone but their owner and
+ * users with the `moderate` permission, and adds GET /pending,
+ * POST /:id/approve, POST /:id/reject and POST /moderate (bulk).
+ * `thread: { parent, path, depth, maxDepth }` adds GET /:id/<path> on the
+ * parent entity's route: its approved rows nested through the entity's self
+ * reference. The table needs moderatedAt, moderatedBy and rejectionReason.
+ *
+ * Webhooks (services/webhooks.js): every table raises <entity>.created,
+ * .updated and .deleted; `webhooks: { events: { name: { field: value } } }`
+ * adds <entity>.<name>, raised when a write gives the fields those values
+ * (posts.published when status becomes 'published'). Subscriptions are
+ * managed under /api/webhooks.
+ *
+ * Bulk import / export (routes/bulk.js): every table takes CSV or NDJSON at
+ * POST <route>/import (rows checked like single-record writes, matched to
+ * stored rows on the primary key with ?mode=upsert), and tables and views
+ * stream out from GET <route>/export; no configuration needed.
+ *
+ * Seeding (services/seeder.js): `naturalKey` names the field(s) that identify
+ * a fixture row, so reseeding skips rows that exist (default: the first
+ * validation.uniqueFields entry, then the primary key).
  */
 
 const entities = [
@@ -13,10 +85,47 @@ const entities = [
     name: 'users',
     type: 'table',
     route: '/api/users',
+    naturalKey: 'username',
+    softDelete: true,
+    concurrency: { column: 'version' },
     validation: {
       uniqueFields: ['username', 'email'],
       conflictStatusCode: 409
     },
+    permissions: {
+      read: 'public',
+      create: 'admin',
+      update: 'owner',
+      delete: 'admin',
+      restore: ['moderator'],
+      ownerField: 'id',
+      // avatar is written by POST/DELETE /:id/avatar only
+      protectedFields: ['role', 'isActive', 'deletedAt', 'version', 'avatar']
+    },
+    uploads: {
+      avatar: { column: 'avatar', label: 'Avatar', maxFileSize: 2 * 1024 * 1024 }
+    },
+    rules: {
+      username: {
+        required: true,
+        minLength: 3,
+        maxLength: 50,
+        pattern: /^[a-zA-Z0-9_]+$/,
+        messages: {
+          pattern: 'Username can only contain letters, numbers, and underscores'
+        }
+      },
+      email: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        custom: ['validateEmailDomain'],
+        messages: {
+          pattern: 'Email must be a valid email address'
+        }
+      },
+      role: { enum: ['user', 'moderator', 'admin'] },
+      age: { custom: ['validateAge'] }
+    },
     // Schema will be auto-discovered from database
     // Custom associations can be defined if needed
     associations: [
@@ -46,10 +155,29 @@ const entities = [
     name: 'categories',
     type: 'table',
     route: '/api/categories',
+    naturalKey: 'slug',
+    concurrency: { column: 'version' },
     validation: {
       uniqueFields: ['name', 'slug'],
       conflictStatusCode: 409
     },
+    permissions: {
+      read: 'public',
+      create: 'admin',
+      update: 'admin',
+      delete: 'admin'
+    },
+    rules: {
+      name: { required: true, minLength: 2, label: 'Category name' },
+      slug: {
+        required: true,
+        pattern: /^[a-z0-9-]+$/,
+        messages: {
+          pattern: 'Slug can only contain lowercase letters, numbers, and hyphens'
+        }
+      },
+      color: { pattern: /^#[0-9a-fA-F]{6}$/, messages: { pattern: 'Color must be a hex value like #007bff' } }
+    },
     // Schema auto-discovered from database
     associations: [
       {
@@ -72,6 +200,55 @@ const entities = [
     name: 'posts',
     type: 'table',
     route: '/api/posts',
+    naturalKey: 'slug',
+    softDelete: true,
+    // Authors editing the same post: a counter, since updatedAt only has second precision
+    concurrency: { column: 'version' },
+    webhooks: {
+      events: { published: { status: 'published' } }
+    },
+    permissions: {
+      read: 'public',
+      create: 'owner',
+      update: 'owner',
+      delete: 'owner',
+      restore: ['moderator'],
+      ownerField: 'userId',
+      // featuredImage is written by POST/DELETE /:id/featured-image only
+      protectedFields: ['deletedAt', 'version', 'featuredImage']
+    },
+    uploads: {
+      'featured-image': { column: 'featuredImage', label: 'Featured image' }
+    },
+    rules: {
+      title: { required: true, minLength: 3, maxLength: 200 },
+      slug: {
+        required: true,
+        pattern: /^[a-z0-9-]+$/,
+        messages: {
+          pattern: 'Slug can only contain lowercase letters, numbers, and hyphens'
+        }
+      },
+      content: { required: true },
+      status: { enum: ['draft', 'published', 'archived'] },
+      categoryId: { required: true },
+      views: { range: { min: 0 } },
+      likes: { range: { min: 0 } }
+    },
+    integrity: {
+      references: {
+        userId: { entity: 'users' },
+        categoryId: { entity: 'categories' }
+      },
+      transitions: {
+        status: {
+          draft: ['published', 'archived'],
+          published: ['draft', 'archived'],
+          archived: ['published']
+        }
+      },
+      checks: ['publishedPostHasDate']
+    },
     // Schema auto-discovered from database
     // Foreign key relationships will be detected automatically
     associations: [
@@ -106,6 +283,41 @@ const entities = [
     name: 'comments',
     type: 'table',
     route: '/api/comments',
+    naturalKey: ['postId', 'userId', 'content'],
+    softDelete: true,
+    concurrency: { column: 'version' },
+    // GET /api/posts/:id/thread?depth=
+    moderation: {
+      thread: { parent: 'posts', path: 'thread', depth: 3, maxDepth: 10 }
+    },
+    permissions: {
+      read: 'public',
+      create: 'owner',
+      update: 'owner',
+      delete: ['owner', 'moderator'],
+      restore: ['moderator'],
+      moderate: ['moderator'],
+      ownerField: 'userId',
+      protectedFields: ['isApproved', 'moderatedAt', 'moderatedBy', 'rejectionReason', 'deletedAt', 'version']
+    },
+    rules: {
+      content: { required: true, maxLength: 5000 },
+      postId: { required: true }
+    },
+    integrity: {
+      references: {
+        postId: { entity: 'posts' },
+        userId: { entity: 'users' },
+        // A reply must belong to the same post as its parent comment
+        parentId: { entity: 'comments', sameAs: { postId: 'postId' } }
+      }
+    },
+    // The public comment form is the most abused endpoint
+    rateLimit: {
+      methods: {
+        POST: { max: 5, windowMs: 60 * 1000 }
+      }
+    },
     // Schema auto-discovered from database
     associations: [
       {
@@ -149,6 +361,10 @@ const entities = [
     type: 'view',
     route: '/api/post-stats',
     // Schema will be auto-discovered from the post_stats view in database
+    cache: {
+      ttl: 60,
+      dependsOn: ['posts', 'users', 'categories', 'comments']
+    },
     responseMessages: {
       200: 'Post statistics retrieved successfully'
     }
@@ -158,7 +374,14 @@ const entities = [
     name: 'user_analytics', 
     type: 'view',
     route: '/api/user-analytics',
+    permissions: {
+      read: 'authenticated'
+    },
     // Schema will be auto-discovered from the user_analytics view in database
+    cache: {
+      ttl: 300,
+      dependsOn: ['users', 'posts', 'comments']
+    },
     responseMessages: {
       200: 'User analytics retrieved successfully'
     }
@@ -169,6 +392,10 @@ const entities = [
     type: 'view', 
     route: '/api/category-summary',
     // Schema will be auto-discovered from the category_summary view in database
+    cache: {
+      ttl: 300,
+      dependsOn: ['categories', 'posts']
+    },
     responseMessages: {
       200: 'Category summary retrieved successfully'
     }
@@ -197,9 +424,14 @@ const entities = [
       JOIN users u ON p.userId = u.id
       JOIN categories c ON p.categoryId = c.id
       WHERE p.status = 'published'
+        AND p.deletedAt IS NULL
       ORDER BY p.publishedAt DESC
       LIMIT 10
     `,
+    cache: {
+      ttl: 60,
+      dependsOn: ['posts', 'users', 'categories']
+    },
     responseMessages: {
       200: 'Recent posts retrieved successfully'
     }
@@ -209,32 +441,115 @@ const entities = [
     name: 'search_posts',
     type: 'query',
     route: '/api/search-posts',
-    sql: `
-      SELECT 
-        p.id,
-        p.title,
-        p.slug,
-        p.excerpt,
-        p.publishedAt,
-        u.username as author,
-        c.name as category,
-        p.views,
-        p.likes,
-        MATCH(p.title, p.content) AGAINST(? IN NATURAL LANGUAGE MODE) as relevance
-      FROM posts p
-      JOIN users u ON p.userId = u.id
-      JOIN categories c ON p.categoryId = c.id
-      WHERE p.status = 'published'
-        AND MATCH(p.title, p.content) AGAINST(? IN NATURAL LANGUAGE MODE)
-      ORDER BY relevance DESC, p.publishedAt DESC
-      LIMIT 20
-    `,
+    rateLimit: {
+      max: 30,
+      windowMs: 60 * 1000
+    },
+    // Each dialect uses its native full-text index (see migrations/001-blog-schema.js)
+    sql: {
+      mysql: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          MATCH(p.title, p.content) AGAINST(:search_term IN NATURAL LANGUAGE MODE) as relevance
+        FROM posts p
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        WHERE p.status = 'published'
+          AND p.deletedAt IS NULL
+          AND MATCH(p.title, p.content) AGAINST(:search_term IN NATURAL LANGUAGE MODE)
+        ORDER BY relevance DESC, p.publishedAt DESC
+        LIMIT :limit_count OFFSET :offset
+      `,
+      postgres: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          ts_rank(to_tsvector('english', p.title || ' ' || p.content), plainto_tsquery('english', :search_term)) as relevance
+        FROM posts p
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        WHERE p.status = 'published'
+          AND p.deletedAt IS NULL
+          AND to_tsvector('english', p.title || ' ' || p.content) @@ plainto_tsquery('english', :search_term)
+        ORDER BY relevance DESC, p.publishedAt DESC
+        LIMIT :limit_count OFFSET :offset
+      `,
+      sqlite: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          -bm25(posts_fts) as relevance
+        FROM posts_fts
+        JOIN posts p ON p.id = posts_fts.rowid
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        WHERE posts_fts MATCH :search_term
+          AND p.status = 'published'
+          AND p.deletedAt IS NULL
+        ORDER BY relevance DESC, p.publishedAt DESC
+        LIMIT :limit_count OFFSET :offset
+      `
+    },
+    // Result columns for the GraphQL type (no rows to discover them from without a term)
+    columns: {
+      id: 'INTEGER',
+      title: 'STRING',
+      slug: 'STRING',
+      excerpt: 'STRING',
+      publishedAt: 'DATE',
+      author: 'STRING',
+      category: 'STRING',
+      views: 'INTEGER',
+      likes: 'INTEGER',
+      relevance: 'FLOAT'
+    },
     parameters: [
       {
         name: 'search_term',
         type: 'STRING',
         required: true,
+        maxLength: 200,
+        fullText: true,
         description: 'Search term to look for in post title and content'
+      },
+      {
+        name: 'limit_count',
+        type: 'INTEGER',
+        required: false,
+        default: 20,
+        min: 1,
+        max: 100,
+        description: 'Maximum number of results to return (default: 20)'
+      },
+      {
+        name: 'offset',
+        type: 'INTEGER',
+        required: false,
+        default: 0,
+        min: 0,
+        description: 'Number of results to skip, for paging (default: 0)'
       }
     ],
     responseMessages: {
@@ -247,14 +562,37 @@ const entities = [
   // STORED PROCEDURES / QUERIES (Database-specific)
   // ===========================================
   
-  // Note: SQLite doesn't support stored procedures, so these become queries
-  // MySQL and PostgreSQL support actual stored procedures
+  // MySQL and PostgreSQL call the stored procedure / function named by `procedure`.
+  // SQLite has none, so it runs the handler registered under the entity name
+  // (or `handler`) in services/procedures.js, with the same parameters and rows.
   
   {
     name: 'user_summary',
     type: 'procedure',
     route: '/api/user-summary',
     procedure: 'user_summary', // Explicit procedure name
+    // Any user_id can be asked for, and the summary includes the email address
+    permissions: {
+      read: 'admin'
+    },
+    // MySQL procedures do not describe their result set, so the GraphQL type is declared
+    columns: {
+      id: 'INTEGER',
+      username: 'STRING',
+      email: 'STRING',
+      fullName: 'STRING',
+      bio: 'STRING',
+      isActive: 'BOOLEAN',
+      totalPosts: 'INTEGER',
+      publishedPosts: 'INTEGER',
+      totalComments: 'INTEGER',
+      totalViews: 'INTEGER',
+      totalLikes: 'INTEGER',
+      joinedAt: 'DATE',
+      daysSinceJoined: 'INTEGER',
+      engagementScore: 'INTEGER',
+      engagementLevel: 'STRING'
+    },
     parameters: [
       {
         name: 'user_id',
@@ -274,36 +612,91 @@ const entities = [
     name: 'popular_posts',
     type: 'query',
     route: '/api/popular-posts',
-    sql: `
-      SELECT 
-        p.id,
-        p.title,
-        p.slug,
-        p.excerpt,
-        p.featuredImage,
-        p.publishedAt,
-        u.username as author,
-        c.name as category,
-        p.views,
-        p.likes,
-        COUNT(DISTINCT cm.id) as commentCount,
-        (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
-      FROM posts p
-      JOIN users u ON p.userId = u.id
-      JOIN categories c ON p.categoryId = c.id
-      LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = true
-      WHERE p.status = 'published' 
-      AND p.publishedAt >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-      GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
-      ORDER BY popularity_score DESC
-      LIMIT 10
-    `,
+    sql: {
+      mysql: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.featuredImage,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          COUNT(DISTINCT cm.id) as commentCount,
+          (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+        FROM posts p
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = TRUE AND cm.deletedAt IS NULL
+        WHERE p.status = 'published'
+        AND p.deletedAt IS NULL
+        AND p.publishedAt >= DATE_SUB(NOW(), INTERVAL :days_back DAY)
+        GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+        ORDER BY popularity_score DESC
+        LIMIT :limit_count OFFSET :offset
+      `,
+      postgres: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.featuredImage,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          COUNT(DISTINCT cm.id) as commentCount,
+          (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+        FROM posts p
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = TRUE AND cm.deletedAt IS NULL
+        WHERE p.status = 'published'
+        AND p.deletedAt IS NULL
+        AND p.publishedAt >= NOW() - INTERVAL '1 day' * :days_back
+        GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+        ORDER BY popularity_score DESC
+        LIMIT :limit_count OFFSET :offset
+      `,
+      sqlite: `
+        SELECT 
+          p.id,
+          p.title,
+          p.slug,
+          p.excerpt,
+          p.featuredImage,
+          p.publishedAt,
+          u.username as author,
+          c.name as category,
+          p.views,
+          p.likes,
+          COUNT(DISTINCT cm.id) as commentCount,
+          (p.views * 0.6 + p.likes * 0.3 + COUNT(DISTINCT cm.id) * 0.1) as popularity_score
+        FROM posts p
+        JOIN users u ON p.userId = u.id
+        JOIN categories c ON p.categoryId = c.id
+        LEFT JOIN comments cm ON p.id = cm.postId AND cm.isApproved = 1 AND cm.deletedAt IS NULL
+        WHERE p.status = 'published'
+        AND p.deletedAt IS NULL
+        AND p.publishedAt >= datetime('now', '-' || :days_back || ' days')
+        GROUP BY p.id, p.title, p.slug, p.excerpt, p.featuredImage, p.publishedAt, u.username, c.name, p.views, p.likes
+        ORDER BY popularity_score DESC
+        LIMIT :limit_count OFFSET :offset
+      `
+    },
     parameters: [
       {
         name: 'days_back',
         type: 'INTEGER',
         required: false,
         default: 30,
+        min: 1,
+        max: 365,
         description: 'Number of days to look back (default: 30)'
       },
       {
@@ -311,9 +704,24 @@ const entities = [
         type: 'INTEGER',
         required: false,
         default: 10,
+        min: 1,
+        max: 100,
         description: 'Maximum number of posts to return (default: 10)'
+      },
+      {
+        name: 'offset',
+        type: 'INTEGER',
+        required: false,
+        default: 0,
+        min: 0,
+        description: 'Number of posts to skip, for paging (default: 0)'
       }
     ],
+    // Scores depend on the current date too, so the ttl stays short
+    cache: {
+      ttl: 120,
+      dependsOn: ['posts', 'users', 'categories', 'comments']
+    },
     responseMessages: {
       200: 'Popular posts retrieved successfully',
       400: 'Invalid parameters provided'
@@ -332,6 +740,11 @@ const entities = [
       uniqueFields: ['sku'],
       conflictStatusCode: 409
     },
+    rules: {
+      name: { required: true, maxLength: 100 },
+      price: { required: true, range: { min: 0 } },
+      sku: { maxLength: 50 }
+    },
     // Primary key: product_id (auto-increment)
     // Ultimate CRUD should auto-discover this
     associations: [
@@ -355,8 +768,32 @@ const entities = [
     name: 'orders',
     type: 'table',
     route: '/api/orders',
+    // POST /api/orders/place creates an order with its items and reserves their
+    // stock; POST /api/orders/:id/complete and /cancel settle it (routes/orders.js).
+    // Customers get their order in the placement response; listing them,
+    // GraphQL reads and the change feed are for admins
+    permissions: {
+      read: 'admin',
+      place: 'authenticated'
+    },
+    webhooks: {
+      events: {
+        completed: { status: 'completed' },
+        cancelled: { status: 'cancelled' }
+      }
+    },
+    integrity: {
+      checks: ['orderStatusThroughLifecycle']
+    },
+    rules: {
+      order_uuid: { required: true, maxLength: 36 },
+      customer_name: { required: true, maxLength: 100 },
+      total_amount: { required: true, range: { min: 0 } },
+      status: { enum: ['pending', 'completed', 'cancelled'] }
+    },
     // Primary key: order_uuid (VARCHAR, manual assignment)
-    // Ultimate CRUD should auto-discover this
+    // Ultimate CRUD should auto-discover this; the custom middleware reads primaryKey
+    primaryKey: 'order_uuid',
     associations: [
       {
         type: 'hasMany',
@@ -377,6 +814,16 @@ const entities = [
     name: 'order_items',
     type: 'table',
     route: '/api/order-items',
+    // Items reveal what each customer ordered
+    permissions: {
+      read: 'admin'
+    },
+    rules: {
+      order_uuid: { required: true },
+      product_id: { required: true },
+      quantity: { range: { min: 1 } },
+      unit_price: { required: true, range: { min: 0 } }
+    },
     // Compound primary key: (order_uuid, product_id)
     // Ultimate CRUD should auto-discover this
     associations: [
@@ -409,6 +856,11 @@ const entities = [
       uniqueFields: ['location_code'],
       conflictStatusCode: 409
     },
+    rules: {
+      location_code: { required: true, maxLength: 10 },
+      warehouse_name: { required: true, maxLength: 100 },
+      capacity: { range: { min: 0 } }
+    },
     // Primary key: location_code (VARCHAR, manual assignment)
     // Ultimate CRUD should auto-discover this
     responseMessages: {
@@ -418,6 +870,42 @@ const entities = [
       404: 'Inventory location not found',
       409: 'Location code already exists'
     }
+  },
+
+  {
+    name: 'stock_levels',
+    type: 'table',
+    route: '/api/stock-levels',
+    naturalKey: ['product_id', 'location_code'],
+    rules: {
+      product_id: { required: true },
+      location_code: { required: true, maxLength: 10 },
+      quantity: { range: { min: 0 } },
+      reserved: { range: { min: 0 } }
+    },
+    // Compound primary key: (product_id, location_code). Stock is normally set
+    // through PUT /api/inventory/:location_code/stock/:product_id (routes/stock.js),
+    // which keeps it above the units reserved by pending orders
+    associations: [
+      {
+        type: 'belongsTo',
+        target: 'products',
+        foreignKey: 'product_id',
+        as: 'product'
+      },
+      {
+        type: 'belongsTo',
+        target: 'inventory',
+        foreignKey: 'location_code',
+        as: 'location'
+      }
+    ],
+    responseMessages: {
+      200: 'Stock levels retrieved successfully',
+      201: 'Stock level created successfully',
+      400: 'Invalid stock level data',
+      404: 'Stock level not found'
+    }
   }
 ];
 
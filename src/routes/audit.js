@@ -0,0 +1,114 @@
+/**
+ * Audit Routes (services/audit.js), read-only and admin only
+ * GET /api/audit        entries, most recent first
+ *                       ?entity=&record=&action=&user_id=&correlation_id=&from=&to=&page=&limit=
+ * GET /api/audit/:id    a single entry
+ *
+ * `record` takes the key values of one row in key column order, comma
+ * separated for compound keys (record=<order_uuid>,<product_id>), and needs
+ * `entity`. `from` and `to` accept any date the Date constructor parses.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseParameters } = require('../utils/parameters');
+const { ACTIONS, getKeyColumns, toKey, listAuditEntries, findAuditEntry } = require('../services/audit');
+
+const LIST_PARAMETERS = [
+  { name: 'entity', type: 'STRING', maxLength: 64 },
+  { name: 'record', type: 'STRING', maxLength: 255 },
+  { name: 'action', type: 'STRING' },
+  { name: 'user_id', type: 'INTEGER', min: 1 },
+  { name: 'correlation_id', type: 'STRING', maxLength: 100 },
+  { name: 'from', type: 'DATE' },
+  { name: 'to', type: 'DATE' },
+  { name: 'page', type: 'INTEGER', default: 1, min: 1 },
+  { name: 'limit', type: 'INTEGER', default: 50, min: 1, max: 200 }
+];
+
+// Checked like an entity so that the usual 401/403 answers apply
+const AUDIT_ENTITY = { name: 'audit_log', permissions: { read: 'admin' } };
+
+const createAuditRouter = ({ sequelize, entities }) => {
+  const router = express.Router();
+  const tables = entities.filter(entity => entity.type === 'table').map(entity => entity.name);
+
+  router.use(async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity: AUDIT_ENTITY, action: 'read', user: req.user });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const { values, errors } = parseParameters(LIST_PARAMETERS, req.query);
+      if (values.entity && !tables.includes(values.entity)) {
+        errors.push({ field: 'entity', message: `entity must be one of: ${tables.join(', ')}` });
+      }
+      if (values.action && !ACTIONS.includes(values.action)) {
+        errors.push({ field: 'action', message: `action must be one of: ${ACTIONS.join(', ')}` });
+      }
+      if (values.record && !values.entity) {
+        errors.push({ field: 'record', message: 'record requires entity' });
+      }
+      if (values.from && values.to && values.from > values.to) {
+        errors.push({ field: 'to', message: 'to must not be before from' });
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      let key = null;
+      if (values.record) {
+        const columns = await getKeyColumns(sequelize, values.entity);
+        const parts = values.record.split(',');
+        if (parts.length === columns.length) {
+          key = toKey(columns, Object.fromEntries(columns.map((column, index) => [column, parts[index]])));
+        }
+        if (!key) {
+          return sendValidationErrors(res, [{
+            field: 'record',
+            message: `record must hold ${columns.join(', ')}${columns.length > 1 ? ' separated by commas' : ''}`
+          }]);
+        }
+      }
+
+      const { entries, pagination } = await listAuditEntries(sequelize, { ...values, key });
+      res.json({
+        message: 'Audit entries retrieved successfully',
+        data: entries,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const entry = /^\d+$/.test(req.params.id) ? await findAuditEntry(sequelize, Number(req.params.id)) : null;
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `Audit entry ${req.params.id} not found` }
+        });
+      }
+      res.json({ message: 'Audit entry retrieved successfully', data: entry });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAuditRouter
+};
@@ -0,0 +1,171 @@
+/**
+ * Authentication Routes
+ * Login, token refresh and password management backed by the users table
+ * (password hashes live in user_credentials, which is never exposed as an entity)
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { QueryTypes } = require('sequelize');
+const { issueTokens, verifyToken, requireAuth } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const toPublicUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  role: row.role
+});
+
+const createAuthRouter = ({ sequelize }) => {
+  const router = express.Router();
+
+  // Lower-case aliases keep column names identical across dialects; soft-deleted
+  // users can neither log in nor refresh
+  const findUser = async (where, replacements) => {
+    const rows = await sequelize.query(`
+      SELECT u.id, u.username, u.email, u.role, u.isActive AS is_active, c.passwordHash AS password_hash
+      FROM users u
+      LEFT JOIN user_credentials c ON c.userId = u.id
+      WHERE ${where} AND u.deletedAt IS NULL
+    `, { replacements, type: QueryTypes.SELECT });
+    return rows[0] || null;
+  };
+
+  const isActive = (row) => row.is_active === true || Number(row.is_active) === 1;
+
+  router.post('/login', async (req, res, next) => {
+    try {
+      const { login, password } = req.body || {};
+      const errors = [];
+
+      if (!login) {
+        errors.push({ field: 'login', message: 'Username or email is required' });
+      }
+      if (!password) {
+        errors.push({ field: 'password', message: 'Password is required' });
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const user = await findUser('u.username = :login OR u.email = :login', { login });
+      const valid = user && user.password_hash && await bcrypt.compare(password, user.password_hash);
+
+      if (!valid) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          details: { message: 'Invalid username/email or password' }
+        });
+      }
+      if (!isActive(user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          details: { message: 'This account has been deactivated' }
+        });
+      }
+
+      res.json({
+        message: 'Login successful',
+        data: { user: toPublicUser(user), ...issueTokens(user) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/refresh', async (req, res, next) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return sendValidationErrors(res, [{ field: 'refreshToken', message: 'Refresh token is required' }]);
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: { message: 'Invalid or expired refresh token' }
+      });
+    }
+
+    try {
+      // Re-read the user so role changes and deactivation take effect on refresh
+      const user = await findUser('u.id = :id', { id: payload.sub });
+      if (!user || !isActive(user)) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          details: { message: 'User no longer exists or is inactive' }
+        });
+      }
+
+      res.json({
+        message: 'Token refreshed successfully',
+        data: { user: toPublicUser(user), ...issueTokens(user) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', requireAuth, async (req, res, next) => {
+    try {
+      const user = await findUser('u.id = :id', { id: req.user.id });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json({ message: 'Current user retrieved successfully', data: toPublicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Users change their own password; admins may set anyone's via userId
+  router.put('/password', requireAuth, async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      const isAdmin = req.user.role === 'admin';
+      const userId = isAdmin && req.body.userId ? req.body.userId : req.user.id;
+      const settingOwnPassword = String(userId) === String(req.user.id);
+
+      if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        return sendValidationErrors(res, [{
+          field: 'newPassword',
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        }]);
+      }
+
+      const user = await findUser('u.id = :id', { id: userId });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (settingOwnPassword && user.password_hash) {
+        const valid = currentPassword && await bcrypt.compare(currentPassword, user.password_hash);
+        if (!valid) {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            details: { message: 'Current password is incorrect' }
+          });
+        }
+      }
+
+      const passwordHash = await bcrypt.hash(String(newPassword), 10);
+      const sql = user.password_hash
+        ? 'UPDATE user_credentials SET passwordHash = :passwordHash, updatedAt = CURRENT_TIMESTAMP WHERE userId = :userId'
+        : 'INSERT INTO user_credentials (userId, passwordHash) VALUES (:userId, :passwordHash)';
+      await sequelize.query(sql, { replacements: { userId: user.id, passwordHash } });
+
+      res.json({ message: 'Password updated successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,189 @@
+/**
+ * Batch Routes (services/batch.js)
+ * POST /api/batch
+ *   body: { atomic: true, operations: [{ id, method, path, body, headers }] }
+ *
+ * Each operation runs through the app's own routing as a request of its own
+ * with the batch request's credentials, so it passes the same rate limits,
+ * permissions, validation, integrity checks and audit as when sent alone.
+ * Operations carry JSON bodies; file uploads are not batched.
+ *
+ * Atomic batches (the default) answer 200 when every operation succeeded and
+ * committed; otherwise they answer with the status of the operation that
+ * failed and nothing is written. `atomic: false` batches always answer 200.
+ * Either way `results` holds one entry per operation: { id, method, path,
+ * status, headers, body }, or `skipped: true` for those that never ran.
+ */
+
+const express = require('express');
+const http = require('http');
+const { PassThrough } = require('stream');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getBatchSettings, validateOperations, runBatch } = require('../services/batch');
+
+// Headers every operation takes from the batch request
+const FORWARDED_HEADERS = ['host', 'authorization', 'user-agent', 'x-forwarded-for', 'x-forwarded-proto'];
+
+// Headers of an operation's response returned with its result
+const RESULT_HEADERS = ['etag', 'location'];
+
+const readResponseBody = (res, chunks) => {
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text === '') {
+    return null;
+  }
+  if (/json/.test(res.getHeader('Content-Type') || '')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+// Run one operation through `app` as a request of its own, collecting its response
+const dispatch = (app, parent, operation, requestId) => new Promise((resolve) => {
+  const socket = new PassThrough();
+  socket.remoteAddress = parent.socket.remoteAddress;
+  socket.encrypted = parent.socket.encrypted;
+
+  const req = new http.IncomingMessage(socket);
+  Object.assign(req, {
+    method: operation.method,
+    url: operation.path,
+    httpVersion: '1.1',
+    httpVersionMajor: 1,
+    httpVersionMinor: 1,
+    complete: true
+  });
+  FORWARDED_HEADERS
+    .filter(name => parent.headers[name] !== undefined)
+    .forEach((name) => { req.headers[name] = parent.headers[name]; });
+  Object.assign(req.headers, operation.headers, {
+    'content-type': 'application/json',
+    'x-request-id': requestId
+  });
+  // Parsed already: express.json() leaves a request with _body alone
+  req.body = operation.body === undefined ? {} : operation.body;
+  req._body = true;
+  req.push(null);
+
+  const res = new http.ServerResponse(req);
+  const chunks = [];
+  let settled = false;
+  const settle = (status, body) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    resolve({
+      status,
+      headers: Object.fromEntries(RESULT_HEADERS
+        .filter(name => res.hasHeader(name))
+        .map(name => [name, res.getHeader(name)])),
+      body
+    });
+  };
+
+  res.write = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+    return true;
+  };
+  res.end = (chunk, encoding) => {
+    if (res.finished) {
+      return res;
+    }
+    res.write(chunk, encoding);
+    if (!res.headersSent) {
+      res.writeHead(res.statusCode);
+    }
+    res.finished = true;
+    res.emit('finish');
+    res.emit('close');
+    settle(res.statusCode, readResponseBody(res, chunks));
+    return res;
+  };
+  // A stream cut short after its status went out (e.g. a failed export)
+  res.destroy = () => {
+    res.finished = true;
+    res.emit('close');
+    settle(500, {
+      error: 'Internal server error',
+      details: { message: 'The response was cut short', requestId }
+    });
+    return res;
+  };
+
+  app.handle(req, res, (error) => {
+    if (res.finished) {
+      return;
+    }
+    const status = error ? error.status || error.statusCode || 500 : 404;
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(error
+      ? { error: status >= 500 ? 'Internal server error' : error.message, details: { message: error.message, requestId } }
+      : { error: 'Not found', details: { message: `Cannot ${operation.method} ${operation.path}` } }));
+  });
+});
+
+const createBatchRouter = ({ app, sequelize, entities }) => {
+  const router = express.Router();
+  const settings = getBatchSettings();
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const { atomic = true, operations } = req.body || {};
+      const errors = validateOperations(entities, operations, settings);
+      if (typeof atomic !== 'boolean') {
+        errors.push({ field: 'atomic', message: 'atomic must be a boolean' });
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { results, committed } = await runBatch(sequelize, {
+        entities,
+        operations,
+        atomic,
+        dispatch: (operation, index) => dispatch(app, req, operation, `${req.id}.${index + 1}`)
+      });
+
+      const reports = operations.map((operation, index) => ({
+        id: operation.id || null,
+        method: operation.method,
+        path: operation.path,
+        ...(results[index] || { status: null, skipped: true })
+      }));
+      const failures = results.filter(result => result.status >= 400).length;
+
+      if (!committed) {
+        const failed = results.length - 1;
+        return res.status(results[failed].status).json({
+          error: 'Batch failed',
+          details: {
+            message: `Operation ${failed + 1} (${operations[failed].method} ${operations[failed].path}) failed with ${results[failed].status}; the batch was rolled back`,
+            results: reports
+          }
+        });
+      }
+      res.json({
+        message: failures > 0
+          ? `Batch completed; ${failures} of ${operations.length} operations failed`
+          : 'Batch completed successfully',
+        data: { atomic, results: reports }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createBatchRouter
+};
@@ -0,0 +1,235 @@
+/**
+ * Bulk Routes (services/bulk.js), on the route of every table and view
+ * POST /import?mode=insert|upsert&dryRun=true&format=csv|ndjson   tables
+ *   body: CSV with a header row naming the columns (text/csv), or one JSON
+ *   object per line (application/x-ndjson); ?format= overrides Content-Type
+ * GET  /export?format=csv|ndjson                                  tables and views
+ *
+ * Every imported row passes the checks of a single-record write: the entity's
+ * rules (middleware/validation.js), its create or update permission with
+ * owner rules and protectedFields (middleware/auth.js) and its integrity
+ * block (middleware/integrity.js). When a row fails, the response lists the
+ * errors of every row (422) and nothing is written; dryRun=true runs the
+ * same checks and writes nothing either.
+ *
+ * Exports follow the `read` permission as the change feed does
+ * (middleware/changeFeed.js): owner rules are checked per row, and
+ * unapproved and soft-deleted rows are left out.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { validateRecord, sendValidationErrors } = require('../middleware/validation');
+const { checkIntegrity } = require('../middleware/integrity');
+const { authorizeChanges } = require('../middleware/changeFeed');
+const { parseParameters } = require('../utils/parameters');
+const { logger } = require('../utils/logger');
+const {
+  FORMATS,
+  IMPORT_MODES,
+  getBulkSettings,
+  describeColumns,
+  readImportRows,
+  importRows,
+  readExportBatches,
+  formatExportHeader,
+  formatExportRows
+} = require('../services/bulk');
+
+const IMPORT_PARAMETERS = [
+  { name: 'format', type: 'STRING' },
+  { name: 'mode', type: 'STRING', default: 'insert' },
+  { name: 'dryRun', type: 'BOOLEAN', default: false }
+];
+
+const EXPORT_PARAMETERS = [
+  { name: 'format', type: 'STRING', default: 'csv' }
+];
+
+const CONTENT_TYPES = {
+  csv: ['text/csv', 'application/csv'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl']
+};
+
+const checkChoice = (errors, name, value, choices) => {
+  if (value !== null && !choices.includes(value)) {
+    errors.push({ field: name, message: `${name} must be one of: ${choices.join(', ')}` });
+  }
+};
+
+// Resolves once `chunk` is written, after the client drained the previous ones (or left)
+const write = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    return resolve();
+  }
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const createBulkRouter = (entity, { sequelize, entities }) => {
+  const router = express.Router();
+  const settings = getBulkSettings();
+  const readBody = express.text({ type: () => true, limit: settings.maxBytes });
+
+  if (entity.type === 'table') {
+    router.post('/import', async (req, res, next) => {
+      try {
+        const { values: options, errors } = parseParameters(IMPORT_PARAMETERS, req.query);
+        checkChoice(errors, 'format', options.format, FORMATS);
+        checkChoice(errors, 'mode', options.mode, IMPORT_MODES);
+        if (errors.length > 0) {
+          return sendValidationErrors(res, errors);
+        }
+
+        const format = options.format || FORMATS.find(name => req.is(CONTENT_TYPES[name]));
+        if (!format) {
+          return res.status(415).json({
+            error: 'Unsupported Media Type',
+            details: { message: `Send text/csv or application/x-ndjson, or name the format with ?format=${FORMATS.join('|')}` }
+          });
+        }
+
+        // Owner rules fill in the owner field of every created row
+        const denied = await checkAccess({ entity, action: 'create', user: req.user, data: {} });
+        if (denied) {
+          return sendAuthError(res, denied.status, denied.message);
+        }
+
+        try {
+          await new Promise((resolve, reject) => readBody(req, res, error => (error ? reject(error) : resolve())));
+        } catch (error) {
+          if (error.type === 'entity.too.large') {
+            return res.status(413).json({
+              error: 'Payload too large',
+              details: { message: `Imports are limited to ${settings.maxBytes} bytes` }
+            });
+          }
+          throw error;
+        }
+        if (typeof req.body !== 'string') {
+          return sendValidationErrors(res, [{ field: 'body', message: `The body must be ${format === 'csv' ? 'CSV' : 'NDJSON'} text` }]);
+        }
+
+        const rows = await readImportRows(sequelize, entity, { format, text: req.body });
+        const result = await importRows(sequelize, entity, {
+          rows,
+          mode: options.mode,
+          dryRun: options.dryRun,
+          check: async ({ action, data, existing, id, transaction }) => {
+            const validationErrors = validateRecord(entity.rules || {}, data, { partial: action === 'update' });
+            if (validationErrors.length > 0) {
+              return validationErrors;
+            }
+            const rowDenied = await checkAccess({
+              entity,
+              action,
+              user: req.user,
+              id,
+              data,
+              loadRecord: async () => existing
+            });
+            if (rowDenied) {
+              return [{ field: null, message: rowDenied.message }];
+            }
+            return entity.integrity
+              ? checkIntegrity({ entity, entities, sequelize, id: existing ? id : undefined, data, transaction })
+              : [];
+          }
+        });
+
+        const summary = {
+          format,
+          mode: options.mode,
+          dryRun: options.dryRun,
+          rows: result.rows,
+          created: result.created,
+          updated: result.updated,
+          unchanged: result.unchanged
+        };
+        if (result.errors.length > 0) {
+          return res.status(422).json({
+            error: 'Import failed',
+            details: {
+              message: `${result.errors.length} of ${result.rows} rows have errors; nothing was imported`,
+              row_errors: result.errors
+            }
+          });
+        }
+        res.json({
+          message: options.dryRun ? 'Import checked successfully; nothing was written (dry run)' : 'Import completed successfully',
+          data: summary
+        });
+      } catch (error) {
+        if (error.status === 400) {
+          return res.status(400).json({
+            error: error.message,
+            details: { message: 'The import could not be read', validation_errors: error.validation_errors }
+          });
+        }
+        if (error.status === 413) {
+          return res.status(413).json({ error: 'Payload too large', details: { message: error.message } });
+        }
+        next(error);
+      }
+    });
+  }
+
+  router.get('/export', async (req, res, next) => {
+    try {
+      const { values: options, errors } = parseParameters(EXPORT_PARAMETERS, req.query);
+      checkChoice(errors, 'format', options.format, FORMATS);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const access = await authorizeChanges({ entities, entity, user: req.user });
+      if (access.denied) {
+        return sendAuthError(res, access.denied.status, access.denied.message);
+      }
+
+      const columns = (await describeColumns(sequelize, entity.name)).map(column => column.name);
+      const batches = readExportBatches(sequelize, entity, { batchSize: settings.batchSize });
+      let closed = false;
+      res.on('close', () => { closed = true; });
+
+      res.status(200).set({
+        'Content-Type': options.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${entity.name}.${options.format}"`,
+        'Cache-Control': 'no-store'
+      });
+      await write(res, formatExportHeader(options.format, columns));
+
+      for await (const rows of batches) {
+        const visible = [];
+        for (const row of rows) {
+          if (await access.canSee(row)) {
+            visible.push(row);
+          }
+        }
+        if (closed) {
+          break;
+        }
+        await write(res, formatExportRows(options.format, columns, visible));
+      }
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        return next(error);
+      }
+      // The status is sent: cut the download short rather than end it cleanly
+      logger.error('bulk export failed', { entity: entity.name, requestId: req.id, error: error.message });
+      res.destroy();
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createBulkRouter
+};
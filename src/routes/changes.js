@@ -0,0 +1,242 @@
+/**
+ * Change Feed Routes (services/changeFeed.js), live changes to the tables
+ *
+ * Server-Sent Events, mounted on /api/changes:
+ * GET /api/changes/:entity?<field>=<value>    one stream per table and filter
+ *   e.g. /api/changes/comments?postId=4, /api/changes/orders?order_uuid=<uuid>
+ *   Every event is a `message` whose data is the change as JSON.
+ *
+ * WebSocket, on the same path (ws://<host>/api/changes); JSON messages:
+ *   → { "type": "subscribe", "id": "c1", "entity": "comments", "filter": { "postId": 4 } }
+ *   ← { "type": "subscribed", "id": "c1", "entity": "comments", "filter": { "postId": 4 } }
+ *   ← { "type": "change", "id": "c1", "event": { entity, action, key, data, changes, occurredAt } }
+ *   → { "type": "unsubscribe", "id": "c1" }
+ *   ← { "type": "error", "id": "c1", "error": "Forbidden", "details": { "message": "..." } }
+ *
+ * Both check the table's read permission like its REST routes
+ * (middleware/changeFeed.js) and take the access token from the
+ * Authorization header or ?access_token=. When the token expires, or its
+ * user is deactivated or deleted, the stream ends with an `unauthorized`
+ * event and the socket closes with code 4401 after an `error` message;
+ * clients reconnect with a fresh token.
+ */
+
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const {
+  authorizeChanges,
+  readAccessToken,
+  authenticateToken,
+  authenticateQueryToken,
+  rejectUpgrade,
+  keepAlive,
+  watchSession
+} = require('../middleware/changeFeed');
+const { getFeedSettings, parseFilters } = require('../services/changeFeed');
+
+// Reconnection delay suggested to EventSource clients
+const SSE_RETRY_MS = 3000;
+const MAX_SUBSCRIPTION_ID_LENGTH = 100;
+// Close code for an ended session, as in graphql-transport-ws
+const CLOSE_UNAUTHORIZED = 4401;
+
+const findTable = (entities, name) => entities.find(entity => entity.type === 'table' && entity.name === name);
+
+const createChangeStreamRouter = ({ feed, entities, sequelize }) => {
+  const router = express.Router();
+  const settings = getFeedSettings();
+
+  router.use(authenticateQueryToken);
+
+  router.get('/:entity', async (req, res, next) => {
+    try {
+      const entity = findTable(entities, req.params.entity);
+      if (!entity) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `Unknown table: ${req.params.entity}` }
+        });
+      }
+      const access = await authorizeChanges({ entities, entity, user: req.user });
+      if (access.denied) {
+        return sendAuthError(res, access.denied.status, access.denied.message);
+      }
+      const input = Object.fromEntries(Object.entries(req.query).filter(([name]) => name !== 'access_token'));
+      const { values, errors } = await parseFilters(sequelize, entity, input);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keep proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${SSE_RETRY_MS}\n: following ${entity.name}\n\n`);
+
+      const unsubscribe = feed.subscribe({ entity, filters: values, canSee: access.canSee }, (event) => {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      });
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), settings.heartbeatMs);
+      const stopWatching = watchSession({ sequelize, user: req.user, intervalMs: settings.sessionCheckMs }, (message) => {
+        const error = { error: 'Unauthorized', details: { message } };
+        res.end(`event: unauthorized\ndata: ${JSON.stringify(error)}\n\n`);
+      });
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        stopWatching();
+        unsubscribe();
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+/**
+ * WebSocket endpoint for the same feed. Returns { handleUpgrade(req, socket,
+ * head), close() }; the server's upgrade listener hands it the requests for
+ * its path.
+ */
+const createChangeSocketServer = ({ feed, entities, sequelize }) => {
+  const settings = getFeedSettings();
+  const server = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+  const stopKeepAlive = keepAlive(server, settings.heartbeatMs);
+
+  const connect = (socket, user) => {
+    // id => unsubscribe, or null while the subscription is being checked
+    const subscriptions = new Map();
+    let closed = false;
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+    const sendError = (id, error, message, validationErrors) => send({
+      type: 'error',
+      id,
+      error,
+      details: { message, ...(validationErrors ? { validation_errors: validationErrors } : {}) }
+    });
+
+    const subscribe = async (id, message) => {
+      if (subscriptions.has(id)) {
+        return sendError(id, 'Conflict', `Subscription ${id} already exists`);
+      }
+      if (subscriptions.size >= settings.maxSubscriptions) {
+        return sendError(id, 'Too many subscriptions', `At most ${settings.maxSubscriptions} subscriptions per connection`);
+      }
+      const entity = findTable(entities, message.entity);
+      if (!entity) {
+        return sendError(id, 'Not found', `Unknown table: ${message.entity}`);
+      }
+
+      subscriptions.set(id, null);
+      try {
+        const access = await authorizeChanges({ entities, entity, user });
+        if (access.denied) {
+          subscriptions.delete(id);
+          return sendError(id, access.denied.status === 401 ? 'Unauthorized' : 'Forbidden', access.denied.message);
+        }
+        const { values, errors } = await parseFilters(sequelize, entity, message.filter === undefined ? {} : message.filter);
+        if (errors.length > 0) {
+          subscriptions.delete(id);
+          return sendError(id, 'Validation failed', 'The following fields have validation errors', errors);
+        }
+        // Unsubscribed or disconnected meanwhile
+        if (closed || !subscriptions.has(id)) {
+          return;
+        }
+
+        subscriptions.set(id, feed.subscribe({ entity, filters: values, canSee: access.canSee }, (event) => {
+          send({ type: 'change', id, event });
+        }));
+        send({ type: 'subscribed', id, entity: entity.name, filter: values });
+      } catch (error) {
+        subscriptions.delete(id);
+        sendError(id, 'Internal server error', error.message);
+      }
+    };
+
+    const unsubscribe = (id) => {
+      if (!subscriptions.has(id)) {
+        return sendError(id, 'Not found', `Subscription ${id} does not exist`);
+      }
+      const stop = subscriptions.get(id);
+      if (stop) {
+        stop();
+      }
+      subscriptions.delete(id);
+      send({ type: 'unsubscribed', id });
+    };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return sendError(null, 'Invalid message', 'Messages must be JSON');
+      }
+      if (!message || typeof message !== 'object') {
+        return sendError(null, 'Invalid message', 'Messages must be JSON objects');
+      }
+      const id = typeof message.id === 'string' || typeof message.id === 'number' ? String(message.id) : null;
+      if (!id || id.length > MAX_SUBSCRIPTION_ID_LENGTH) {
+        return sendError(null, 'Invalid message', `id must be a string of 1 to ${MAX_SUBSCRIPTION_ID_LENGTH} characters`);
+      }
+
+      if (message.type === 'subscribe') {
+        subscribe(id, message);
+      } else if (message.type === 'unsubscribe') {
+        unsubscribe(id);
+      } else {
+        sendError(id, 'Invalid message', 'type must be subscribe or unsubscribe');
+      }
+    });
+
+    const stopWatching = watchSession({ sequelize, user, intervalMs: settings.sessionCheckMs }, (message) => {
+      sendError(null, 'Unauthorized', message);
+      socket.close(CLOSE_UNAUTHORIZED, message);
+    });
+
+    socket.on('close', () => {
+      closed = true;
+      stopWatching();
+      subscriptions.forEach(stop => stop && stop());
+      subscriptions.clear();
+    });
+
+    send({ type: 'connected', user: user ? { id: user.id, username: user.username, role: user.role } : null });
+  };
+
+  const handleUpgrade = (req, socket, head) => {
+    const { user, status, message } = authenticateToken(readAccessToken(req));
+    if (status) {
+      return rejectUpgrade(socket, status, message);
+    }
+    server.handleUpgrade(req, socket, head, (client) => {
+      server.emit('connection', client, req);
+      connect(client, user);
+    });
+  };
+
+  const close = () => {
+    stopKeepAlive();
+    server.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+  };
+
+  return { handleUpgrade, close };
+};
+
+module.exports = {
+  createChangeStreamRouter,
+  createChangeSocketServer
+};
@@ -0,0 +1,173 @@
+/**
+ * Moderation Routes (services/moderation.js), on entities with a `moderation` block
+ * GET  /pending         the queue, oldest first (?postId=&page=&limit=)
+ * POST /:id/approve     approve one row
+ * POST /:id/reject      reject one row: { reason }
+ * POST /moderate        bulk decision: { action: 'approve' | 'reject', ids, reason }
+ *
+ * All of them require the entity's `moderate` permission. Rejections need a
+ * reason. Bulk decisions answer 200 with the ids decided on and those
+ * `missing` (unknown or deleted).
+ *
+ * Thread route, mounted on the route of the thread's parent entity:
+ * GET  /:id/thread      approved rows under the parent as a tree (?depth=)
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseParameters } = require('../utils/parameters');
+const {
+  getThreadConfig,
+  parseDecision,
+  checkReason,
+  moderateRecords,
+  listPending,
+  getThread
+} = require('../services/moderation');
+
+const PAST_TENSE = { approve: 'approved', reject: 'rejected' };
+
+// Mounted on the entity route ahead of authorizeEntity
+const createModerationRouter = (entity, { sequelize, entities }) => {
+  const router = express.Router();
+  const thread = getThreadConfig(entities, entity);
+  const listParameters = [
+    ...(thread ? [{ name: thread.foreignKey, type: 'INTEGER', min: 1 }] : []),
+    { name: 'page', type: 'INTEGER', default: 1, min: 1 },
+    { name: 'limit', type: 'INTEGER', default: 20, min: 1, max: 100 }
+  ];
+
+  const authorize = async (req, res) => {
+    const denied = await checkAccess({ entity, action: 'moderate', user: req.user });
+    if (denied) {
+      sendAuthError(res, denied.status, denied.message);
+    }
+    return !denied;
+  };
+
+  router.get('/pending', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res)) {
+        return;
+      }
+      const { values, errors } = parseParameters(listParameters, req.query);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { page, limit, ...filters } = values;
+      const { rows, pagination } = await listPending(sequelize, entity, { page, limit, filters });
+      res.json({
+        message: `Pending ${entity.name} retrieved successfully`,
+        data: rows,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/moderate', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res)) {
+        return;
+      }
+      const { values, errors } = parseDecision(req.body || {});
+      errors.push(...checkReason(values.action, values.reason));
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const result = await moderateRecords(sequelize, entity, values.ids, { ...values, moderator: req.user });
+      res.json({
+        message: `${result.ids.length} ${entity.name} records ${PAST_TENSE[values.action]}`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const decide = (action) => async (req, res, next) => {
+    try {
+      if (!await authorize(req, res)) {
+        return;
+      }
+      const { values, errors } = parseDecision(req.body || {}, { requireAction: false, requireIds: false });
+      errors.push(...checkReason(action, values.reason));
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { id } = req.params;
+      const result = /^\d+$/.test(id)
+        ? await moderateRecords(sequelize, entity, [Number(id)], { action, reason: values.reason, moderator: req.user })
+        : null;
+      if (!result || result.ids.length === 0) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `${entity.name} ${id} not found` }
+        });
+      }
+      res.json({
+        message: `${entity.name} record ${id} ${PAST_TENSE[action]} successfully`,
+        data: { id, action, reason: action === 'reject' ? values.reason : null }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.post('/:id/approve', decide('approve'));
+  router.post('/:id/reject', decide('reject'));
+
+  return router;
+};
+
+// Mounted on the route of the thread's parent entity (posts) ahead of authorizeEntity
+const createThreadRouter = (entity, { sequelize, entities }) => {
+  const router = express.Router();
+  const thread = getThreadConfig(entities, entity);
+  const threadParameters = [
+    { name: 'depth', type: 'INTEGER', default: thread.depth, min: 1, max: thread.maxDepth }
+  ];
+
+  router.get(`/:id/${thread.path}`, async (req, res, next) => {
+    try {
+      for (const target of [thread.parent, entity]) {
+        const denied = await checkAccess({ entity: target, action: 'read', user: req.user });
+        if (denied) {
+          return sendAuthError(res, denied.status, denied.message);
+        }
+      }
+      const { values, errors } = parseParameters(threadParameters, req.query);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const result = await getThread(sequelize, entities, entity, req.params.id, values);
+      if (!result) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `${thread.parent.name} ${req.params.id} not found` }
+        });
+      }
+      res.json({
+        message: `${entity.name} thread retrieved successfully`,
+        data: result.rows,
+        depth: values.depth,
+        total: result.total
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createModerationRouter,
+  createThreadRouter
+};
@@ -0,0 +1,97 @@
+/**
+ * Order Routes
+ * POST /api/orders/place          { customer_name, items: [{ product_id, quantity }] }
+ * POST /api/orders/:id/complete   ships the order's reserved stock
+ * POST /api/orders/:id/cancel     releases the order's reserved stock
+ *
+ * Placing creates the order and its items and reserves their stock in one
+ * transaction (services/orders.js), answering 201 with the stored order, or
+ * 409 when there is not enough stock. It requires the `place` permission of
+ * the orders entity; completing and cancelling require `update`.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { sendIntegrityErrors } = require('../middleware/integrity');
+const { parseOrder, placeOrder, changeOrderStatus } = require('../services/orders');
+
+// 409 (stock) and 422 (integrity) errors from the order and stock services
+const sendOrderError = (res, error) => {
+  if (error.status === 422) {
+    return sendIntegrityErrors(res, error.validation_errors);
+  }
+  return res.status(error.status).json({
+    error: error.message,
+    details: {
+      message: 'The order cannot be fulfilled with the current stock',
+      validation_errors: error.validation_errors
+    }
+  });
+};
+
+// Mounted on the orders route ahead of authorizeEntity and validateEntity
+const createOrderRouter = (entity, { sequelize }) => {
+  const router = express.Router();
+
+  router.post('/place', async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity, action: 'place', user: req.user });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+
+      const { values, errors } = parseOrder(req.body || {});
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const order = await placeOrder(sequelize, values);
+      res.status(201).json({
+        message: 'Order placed successfully',
+        data: order
+      });
+    } catch (error) {
+      if (error.status === 409 || error.status === 422) {
+        return sendOrderError(res, error);
+      }
+      next(error);
+    }
+  });
+
+  const changeStatus = (status, label) => async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const denied = await checkAccess({ entity, action: 'update', user: req.user, id, data: {} });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+
+      const order = await changeOrderStatus(sequelize, id, status);
+      if (!order) {
+        return res.status(404).json({
+          error: 'Not found',
+          details: { message: `Order ${id} not found` }
+        });
+      }
+      res.json({
+        message: `Order ${label} successfully`,
+        data: order
+      });
+    } catch (error) {
+      if (error.status === 422) {
+        return sendOrderError(res, error);
+      }
+      next(error);
+    }
+  };
+
+  router.post('/:id/complete', changeStatus('completed', 'completed'));
+  router.post('/:id/cancel', changeStatus('cancelled', 'cancelled'));
+
+  return router;
+};
+
+module.exports = {
+  createOrderRouter
+};
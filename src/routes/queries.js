@@ -0,0 +1,53 @@
+/**
+ * Custom Query & Procedure Routes
+ * Executes `query` and `procedure` entities with named parameter binding
+ * (`:days_back` in the SQL maps to the declared `days_back` parameter).
+ * Procedures fall back to their registered handler on SQLite (services/procedures.js).
+ * Mounted on each entity's route ahead of Ultimate CRUD, which still
+ * documents these endpoints in OpenAPI.
+ */
+
+const express = require('express');
+const { resolveExecutor } = require('../services/procedures');
+const { parseParameters } = require('../utils/parameters');
+const { sendValidationErrors } = require('../middleware/validation');
+
+const createQueryRouter = (entity, { sequelize }) => {
+  const dialect = sequelize.getDialect();
+  const execute = resolveExecutor(entity, dialect);
+  const messages = entity.responseMessages || {};
+  const router = express.Router();
+
+  const handler = async (req, res, next) => {
+    if (!execute) {
+      return res.status(501).json({
+        error: 'Not implemented',
+        details: { message: `${entity.name} is not available on ${dialect}` }
+      });
+    }
+
+    const { values, errors } = parseParameters(entity.parameters, { ...req.query, ...(req.body || {}) });
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    try {
+      const rows = await execute(sequelize, values);
+      res.json({
+        message: messages[200] || `${entity.name} retrieved successfully`,
+        data: rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get('/', handler);
+  router.post('/', handler);
+
+  return router;
+};
+
+module.exports = {
+  createQueryRouter
+};
@@ -0,0 +1,41 @@
+/**
+ * Search Routes
+ * GET /api/search/posts?q=...&category=&author=&page=&limit=
+ * GET /api/search/comments?q=...&category=&author=&page=&limit=
+ */
+
+const express = require('express');
+const { parseParameters } = require('../utils/parameters');
+const { sendValidationErrors } = require('../middleware/validation');
+const { SEARCH_PARAMETERS, searchPosts, searchComments } = require('../services/search');
+
+const createSearchRouter = ({ sequelize }) => {
+  const router = express.Router();
+
+  const handle = (search, label) => async (req, res, next) => {
+    const { values, errors } = parseParameters(SEARCH_PARAMETERS, req.query);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    try {
+      const { results, pagination } = await search(sequelize, values);
+      res.json({
+        message: `${label} search completed successfully`,
+        data: results,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get('/posts', handle(searchPosts, 'Post'));
+  router.get('/comments', handle(searchComments, 'Comment'));
+
+  return router;
+};
+
+module.exports = {
+  createSearchRouter
+};
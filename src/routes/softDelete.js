@@ -0,0 +1,167 @@
+/**
+ * Soft Delete Routes (services/softDelete.js), on entities with `softDelete: true`
+ * DELETE /:id           marks the row and its cascaded children as deleted
+ * POST   /:id/restore   brings back the row and the children deleted with it
+ * DELETE /:id/purge     removes an already deleted row for good
+ * GET    /deleted       deleted rows, most recent first (?page=&limit=)
+ *
+ * DELETE keeps the entity's `delete` permission; restore and the deleted
+ * list require `restore`, purging requires `purge` (admins by default).
+ * Restoring a row whose parent is still deleted, or purging a live row,
+ * answers 409. DELETE honours If-Match for entities with a concurrency block.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { createWriteGuard } = require('../middleware/concurrency');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseParameters } = require('../utils/parameters');
+const { createRecordLoader } = require('../utils/db');
+const { logger } = require('../utils/logger');
+const {
+  softDeleteRecord,
+  restoreRecord,
+  purgeRecord,
+  listDeleted,
+  getAffectedEntities
+} = require('../services/softDelete');
+
+const LIST_PARAMETERS = [
+  { name: 'page', type: 'INTEGER', default: 1, min: 1 },
+  { name: 'limit', type: 'INTEGER', default: 20, min: 1, max: 100 }
+];
+
+const sendNotFound = (res, entity, id) => res.status(404).json({
+  error: 'Not found',
+  details: { message: `${entity.name} ${id} not found` }
+});
+
+const sendConflict = (res, error) => res.status(409).json({
+  error: error.message,
+  details: {
+    message: error.validation_errors.map(item => item.message).join('; '),
+    validation_errors: error.validation_errors
+  }
+});
+
+// Mounted on the entity route ahead of authorizeEntity; `cache` is the
+// response cache, whose entries depending on cascaded tables are dropped too
+const createSoftDeleteRouter = (entity, { sequelize, entities, cache = null }) => {
+  const router = express.Router();
+  const loadRecord = createRecordLoader(entity, sequelize);
+  const affected = getAffectedEntities(entities, entity);
+  const guardWrite = entity.concurrency ? createWriteGuard(entity, { sequelize }) : null;
+
+  const invalidate = () => {
+    if (cache) {
+      cache.invalidate(affected)
+        .catch(error => logger.warn('cache invalidation failed', { tags: affected, error: error.message }));
+    }
+  };
+
+  const authorize = async (req, res, action) => {
+    const denied = await checkAccess({ entity, action, user: req.user, id: req.params.id, loadRecord });
+    if (denied) {
+      sendAuthError(res, denied.status, denied.message);
+    }
+    return !denied;
+  };
+
+  router.get('/deleted', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res, 'restore')) {
+        return;
+      }
+      const { values, errors } = parseParameters(LIST_PARAMETERS, req.query);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { rows, pagination } = await listDeleted(sequelize, entity, values);
+      res.json({
+        message: `Deleted ${entity.name} retrieved successfully`,
+        data: rows,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res, 'delete')) {
+        return;
+      }
+
+      const remove = async () => {
+        try {
+          const result = await softDeleteRecord(sequelize, entities, entity, req.params.id);
+          if (!result) {
+            return sendNotFound(res, entity, req.params.id);
+          }
+          invalidate();
+          res.json({
+            message: `${entity.name} record ${req.params.id} deleted successfully`,
+            data: result
+          });
+        } catch (error) {
+          next(error);
+        }
+      };
+      await (guardWrite ? guardWrite(req, res, req.params.id, remove) : remove());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/restore', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res, 'restore')) {
+        return;
+      }
+      const result = await restoreRecord(sequelize, entities, entity, req.params.id);
+      if (!result) {
+        return sendNotFound(res, entity, req.params.id);
+      }
+      invalidate();
+      res.json({
+        message: `${entity.name} record ${req.params.id} restored successfully`,
+        data: result
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return sendConflict(res, error);
+      }
+      next(error);
+    }
+  });
+
+  router.delete('/:id/purge', async (req, res, next) => {
+    try {
+      if (!await authorize(req, res, 'purge')) {
+        return;
+      }
+      const result = await purgeRecord(sequelize, entities, entity, req.params.id);
+      if (!result) {
+        return sendNotFound(res, entity, req.params.id);
+      }
+      invalidate();
+      res.json({
+        message: `${entity.name} record ${req.params.id} purged successfully`,
+        data: result
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return sendConflict(res, error);
+      }
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createSoftDeleteRouter
+};
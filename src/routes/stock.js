@@ -0,0 +1,127 @@
+/**
+ * Stock Routes (services/stock.js)
+ * GET /api/products/:id/stock                          stock per location, with totals
+ * GET /api/inventory/:location_code/stock              stock of every product at a location
+ * PUT /api/inventory/:location_code/stock/:product_id  { quantity } set the units on hand
+ *
+ * Reads follow the `read` permission of products / inventory, writes the
+ * `update` permission of stock_levels. Setting a quantity below the units
+ * reserved by pending orders answers 409.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseParameters } = require('../utils/parameters');
+const { getProductStock, getLocationStock, setStockLevel } = require('../services/stock');
+
+const STOCK_PARAMETERS = [
+  { name: 'product_id', type: 'INTEGER', required: true, min: 1 },
+  { name: 'quantity', type: 'INTEGER', required: true, min: 0 }
+];
+
+const sendNotFound = (res, message) => res.status(404).json({
+  error: 'Not found',
+  details: { message }
+});
+
+// Mounted on the products route ahead of authorizeEntity
+const createProductStockRouter = (entity, { sequelize }) => {
+  const router = express.Router();
+
+  router.get('/:id/stock', async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity, action: 'read', user: req.user });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+
+      const { values, errors } = parseParameters([STOCK_PARAMETERS[0]], { product_id: req.params.id });
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const stock = await getProductStock(sequelize, values.product_id);
+      if (!stock) {
+        return sendNotFound(res, `Product ${req.params.id} not found`);
+      }
+      res.json({
+        message: 'Product stock retrieved successfully',
+        data: stock
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+// Mounted on the inventory route ahead of authorizeEntity and validateEntity
+const createLocationStockRouter = (entity, { sequelize, stockEntity }) => {
+  const router = express.Router();
+
+  router.get('/:code/stock', async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity, action: 'read', user: req.user });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+
+      const stock = await getLocationStock(sequelize, req.params.code);
+      if (!stock) {
+        return sendNotFound(res, `Location ${req.params.code} not found`);
+      }
+      res.json({
+        message: 'Location stock retrieved successfully',
+        data: stock
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/:code/stock/:productId', async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity: stockEntity, action: 'update', user: req.user, data: {} });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+
+      const { values, errors } = parseParameters(STOCK_PARAMETERS, {
+        product_id: req.params.productId,
+        quantity: (req.body || {}).quantity
+      });
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const stock = await setStockLevel(sequelize, { ...values, location_code: req.params.code });
+      res.json({
+        message: 'Stock level updated successfully',
+        data: stock
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        return sendNotFound(res, error.message);
+      }
+      if (error.status === 409) {
+        return res.status(409).json({
+          error: error.message,
+          details: {
+            message: 'Stock cannot drop below the reserved units',
+            validation_errors: error.validation_errors
+          }
+        });
+      }
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createProductStockRouter,
+  createLocationStockRouter
+};
@@ -0,0 +1,255 @@
+/**
+ * Upload Routes
+ * Entities declare uploadable columns in an `uploads` block:
+ *
+ *   uploads: {
+ *     'featured-image': { column: 'featuredImage', label: 'Featured image', maxFileSize, allowedTypes }
+ *   }
+ *
+ * which adds, on the entity route:
+ *   POST   /:id/featured-image   multipart upload (field "file"), stores the file
+ *                                and writes its URL to the column
+ *   DELETE /:id/featured-image   clears the column and removes the file
+ *
+ * Both require `update` permission on the row. Files are stored under
+ * <entity>/<id>/ and only files under the row's own prefix are ever removed,
+ * so a URL copied into the column cannot get another row's file deleted
+ * (the columns belong in the entity's protectedFields as well). Deleting a row through REST
+ * removes its files and those of rows that reference it (integrity.references),
+ * since the database cascades those deletes; for `softDelete` entities the
+ * files stay until the row is purged (DELETE /:id/purge). Inside an atomic
+ * batch, replaced and deleted files are only removed once the batch commits,
+ * so a rollback never restores a URL whose file is gone. Limits default to
+ * UPLOAD_MAX_FILE_SIZE and UPLOAD_ALLOWED_TYPES.
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { QueryTypes } = require('sequelize');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getPrimaryKey, readField, createRecordLoader } = require('../utils/db');
+const { logger } = require('../utils/logger');
+const { trackRows } = require('../services/audit');
+const { whenCommitted } = require('../utils/transactions');
+
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// The stored type and extension come from the file's content, never from the client
+const SIGNATURES = [
+  { type: 'image/jpeg', extension: 'jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', extension: 'png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', extension: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { type: 'image/webp', extension: 'webp', matches: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const detectFileType = (buffer) => SIGNATURES.find(signature => buffer.length >= 12 && signature.matches(buffer)) || null;
+
+const getLimits = (upload) => ({
+  maxFileSize: upload.maxFileSize || parseInt(process.env.UPLOAD_MAX_FILE_SIZE, 10) || DEFAULT_MAX_FILE_SIZE,
+  allowedTypes: upload.allowedTypes ||
+    (process.env.UPLOAD_ALLOWED_TYPES ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()) : DEFAULT_ALLOWED_TYPES)
+});
+
+// Upload columns of `entity` and of entities whose references point at it
+const getUploadColumns = (entity, entities) => {
+  const columns = Object.values(entity.uploads || {}).map(upload => ({
+    entity,
+    column: upload.column,
+    foreignKey: getPrimaryKey(entity)
+  }));
+
+  entities
+    .filter(other => other !== entity && other.uploads && other.integrity && other.integrity.references)
+    .forEach(other => {
+      Object.entries(other.integrity.references)
+        .filter(([, reference]) => reference.entity === entity.name)
+        .forEach(([foreignKey]) => {
+          Object.values(other.uploads).forEach(upload => {
+            columns.push({ entity: other, column: upload.column, foreignKey });
+          });
+        });
+    });
+
+  return columns;
+};
+
+// Storage keys of a row's files start with this
+const getRowPrefix = (entity, id) => `${entity.name}/${encodeURIComponent(String(id))}/`;
+
+const sendNotFound = (res, entity, id) => res.status(404).json({
+  error: 'Not found',
+  details: { message: `${entity.name} ${id} not found` }
+});
+
+const createUploadRouter = (entity, { sequelize, storage, entities = [] }) => {
+  const router = express.Router();
+  const primaryKey = getPrimaryKey(entity);
+  const loadRecord = createRecordLoader(entity, sequelize);
+
+  const setColumn = async (column, id, value) => {
+    const audit = await trackRows(sequelize, entity.name, [{ [primaryKey]: id }]);
+    await sequelize.query(
+      `UPDATE ${entity.name} SET ${column} = :value WHERE ${primaryKey} = :id`,
+      { replacements: { value, id } }
+    );
+    await audit.record();
+  };
+
+  // Files are only removed when this storage owns them and stored them for the
+  // row (`owner` `id`); pasted URLs, external or of other rows, are left alone
+  const removeFile = async (url, owner, id) => {
+    const key = storage.keyFromUrl(url);
+    if (!key) {
+      return;
+    }
+    if (!key.startsWith(getRowPrefix(owner, id))) {
+      logger.warn('upload cleanup skipped a file of another row', { entity: owner.name, id, url });
+      return;
+    }
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.warn('upload cleanup failed', { entity: entity.name, url, error: error.message });
+    }
+  };
+
+  // Loads the row after checking `update` permission; sends 401/403/404 itself
+  const authorizeRow = async (req, res) => {
+    const { id } = req.params;
+    const denied = await checkAccess({ entity, action: 'update', user: req.user, id, data: {}, loadRecord });
+    if (denied) {
+      sendAuthError(res, denied.status, denied.message);
+      return null;
+    }
+    const record = await loadRecord(id);
+    if (!record) {
+      sendNotFound(res, entity, id);
+    }
+    return record;
+  };
+
+  Object.entries(entity.uploads || {}).forEach(([segment, upload]) => {
+    const { maxFileSize, allowedTypes } = getLimits(upload);
+    const label = upload.label || upload.column;
+    const parse = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxFileSize, files: 1 }
+    }).single('file');
+
+    router.post(`/:id/${segment}`, async (req, res, next) => {
+      try {
+        const record = await authorizeRow(req, res);
+        if (!record) {
+          return;
+        }
+
+        try {
+          await new Promise((resolve, reject) => parse(req, res, error => (error ? reject(error) : resolve())));
+        } catch (error) {
+          if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+              error: 'File too large',
+              details: { message: `${label} must be at most ${maxFileSize} bytes` }
+            });
+          }
+          if (error instanceof multer.MulterError) {
+            return sendValidationErrors(res, [{ field: 'file', message: error.message }]);
+          }
+          throw error;
+        }
+
+        if (!req.file) {
+          return sendValidationErrors(res, [{ field: 'file', message: `${label} file is required` }]);
+        }
+
+        const detected = detectFileType(req.file.buffer);
+        if (!detected || !allowedTypes.includes(detected.type)) {
+          return res.status(415).json({
+            error: 'Unsupported media type',
+            details: { message: `${label} must be one of: ${allowedTypes.join(', ')}` }
+          });
+        }
+
+        const { id } = req.params;
+        const rowId = readField(record, primaryKey);
+        const url = await storage.save({
+          buffer: req.file.buffer,
+          key: `${getRowPrefix(entity, rowId)}${randomUUID()}.${detected.extension}`,
+          contentType: detected.type
+        });
+
+        try {
+          await setColumn(upload.column, id, url);
+        } catch (error) {
+          await removeFile(url, entity, rowId);
+          throw error;
+        }
+        await whenCommitted(() => removeFile(readField(record, upload.column), entity, rowId));
+
+        res.json({
+          message: `${label} uploaded successfully`,
+          data: await loadRecord(id)
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    router.delete(`/:id/${segment}`, async (req, res, next) => {
+      try {
+        const record = await authorizeRow(req, res);
+        if (!record) {
+          return;
+        }
+
+        const { id } = req.params;
+        await setColumn(upload.column, id, null);
+        await whenCommitted(() => removeFile(readField(record, upload.column), entity, readField(record, primaryKey)));
+
+        res.json({
+          message: `${label} removed successfully`,
+          data: await loadRecord(id)
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+  });
+
+  // Collect file URLs before the row is deleted, remove them once it has
+  const uploadColumns = getUploadColumns(entity, entities);
+  router.delete(entity.softDelete ? '/:id/purge' : '/:id', async (req, res, next) => {
+    try {
+      const files = [];
+      for (const { entity: owner, column, foreignKey } of uploadColumns) {
+        const rows = await sequelize.query(
+          `SELECT ${getPrimaryKey(owner)} AS id, ${column} AS url FROM ${owner.name} WHERE ${foreignKey} = :id AND ${column} IS NOT NULL`,
+          { replacements: { id: req.params.id }, type: QueryTypes.SELECT }
+        );
+        rows.forEach(row => files.push({ url: row.url, owner, id: row.id }));
+      }
+
+      if (files.length > 0) {
+        res.on('finish', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            whenCommitted(() => Promise.all(files.map(({ url, owner, id }) => removeFile(url, owner, id))));
+          }
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createUploadRouter,
+  getUploadColumns,
+  detectFileType
+};
@@ -0,0 +1,206 @@
+/**
+ * Webhook Routes (services/webhooks.js), admin only
+ * GET    /api/webhooks                          subscriptions
+ * POST   /api/webhooks                          subscribe: { url, events, description, is_active }
+ * GET    /api/webhooks/:id                      a single subscription
+ * PATCH  /api/webhooks/:id                      change url, events, description or is_active
+ * DELETE /api/webhooks/:id                      unsubscribe, with the delivery log
+ * POST   /api/webhooks/:id/rotate-secret        issue a new signing secret
+ * POST   /api/webhooks/:id/ping                 send webhook.ping and report the outcome
+ * GET    /api/webhooks/:id/deliveries           delivery log, most recent first (?status=&event=&page=&limit=)
+ * GET    /api/webhooks/:id/deliveries/:deliveryId
+ * POST   /api/webhooks/:id/deliveries/:deliveryId/replay   send the same event again
+ *
+ * The signing secret is only returned by POST / and rotate-secret.
+ */
+
+const express = require('express');
+const { checkAccess, sendAuthError } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseParameters } = require('../utils/parameters');
+const {
+  STATUSES,
+  parseSubscription,
+  listSubscriptions,
+  findSubscription,
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  deleteSubscription,
+  listDeliveries,
+  findDelivery
+} = require('../services/webhooks');
+
+const DELIVERY_PARAMETERS = [
+  { name: 'status', type: 'STRING' },
+  { name: 'event', type: 'STRING', maxLength: 100 },
+  { name: 'page', type: 'INTEGER', default: 1, min: 1 },
+  { name: 'limit', type: 'INTEGER', default: 20, min: 1, max: 100 }
+];
+
+// Checked like an entity so that the usual 401/403 answers apply
+const WEBHOOK_ENTITY = { name: 'webhook_subscriptions', permissions: { read: 'admin', write: 'admin' } };
+
+const sendNotFound = (res, message) => res.status(404).json({
+  error: 'Not found',
+  details: { message }
+});
+
+const createWebhookRouter = ({ sequelize, entities, dispatcher }) => {
+  const router = express.Router();
+
+  router.use(async (req, res, next) => {
+    try {
+      const denied = await checkAccess({ entity: WEBHOOK_ENTITY, action: 'write', user: req.user });
+      if (denied) {
+        return sendAuthError(res, denied.status, denied.message);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Resolves req.params.id to req.subscription, 404 otherwise
+  router.param('id', async (req, res, next, id) => {
+    try {
+      req.subscription = await findSubscription(sequelize, id);
+      if (!req.subscription) {
+        return sendNotFound(res, `Webhook subscription ${id} not found`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({
+        message: 'Webhook subscriptions retrieved successfully',
+        data: await listSubscriptions(sequelize)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const { values, errors } = parseSubscription(entities, req.body || {});
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      res.status(201).json({
+        message: 'Webhook subscription created successfully',
+        data: await createSubscription(sequelize, values, { user: req.user })
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json({ message: 'Webhook subscription retrieved successfully', data: req.subscription });
+  });
+
+  router.patch('/:id', async (req, res, next) => {
+    try {
+      const { values, errors } = parseSubscription(entities, req.body || {}, { partial: true });
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      res.json({
+        message: 'Webhook subscription updated successfully',
+        data: await updateSubscription(sequelize, req.params.id, values)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      await deleteSubscription(sequelize, req.params.id);
+      res.json({ message: 'Webhook subscription deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/rotate-secret', async (req, res, next) => {
+    try {
+      res.json({
+        message: 'Webhook secret rotated successfully',
+        data: await rotateSecret(sequelize, req.params.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/ping', async (req, res, next) => {
+    try {
+      const delivery = await dispatcher.ping(req.params.id);
+      res.json({
+        message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping not delivered',
+        data: delivery
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/deliveries', async (req, res, next) => {
+    try {
+      const { values, errors } = parseParameters(DELIVERY_PARAMETERS, req.query);
+      if (values.status && !STATUSES.includes(values.status)) {
+        errors.push({ field: 'status', message: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+      const { deliveries, pagination } = await listDeliveries(sequelize, req.params.id, values);
+      res.json({
+        message: 'Webhook deliveries retrieved successfully',
+        data: deliveries,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/deliveries/:deliveryId', async (req, res, next) => {
+    try {
+      const delivery = await findDelivery(sequelize, req.params.id, req.params.deliveryId);
+      if (!delivery) {
+        return sendNotFound(res, `Webhook delivery ${req.params.deliveryId} not found`);
+      }
+      res.json({ message: 'Webhook delivery retrieved successfully', data: delivery });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/deliveries/:deliveryId/replay', async (req, res, next) => {
+    try {
+      const delivery = await dispatcher.replay(req.params.id, req.params.deliveryId);
+      if (!delivery) {
+        return sendNotFound(res, `Webhook delivery ${req.params.deliveryId} not found`);
+      }
+      res.status(201).json({
+        message: delivery.status === 'succeeded' ? 'Webhook delivery replayed' : 'Webhook delivery replay queued for retry',
+        data: delivery
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createWebhookRouter
+};
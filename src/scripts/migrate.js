@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Migration commands (see services/migrations.js)
+ *
+ *   node scripts/migrate.js up                   apply pending migrations
+ *   node scripts/migrate.js down [--step N|--all] revert the last N (default 1)
+ *   node scripts/migrate.js status               list applied and pending
+ *   node scripts/migrate.js baseline <name>      mark up to <name> as applied
+ *   node scripts/migrate.js create <description> add an empty migration file
+ *
+ * Uses the same DB_* settings as the server (.env).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { createDbConfig } = require('../utils/db');
+const { createMigrator } = require('../services/migrations');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', 'migrations');
+
+const TEMPLATE = `/**
+ * DESCRIPTION
+ */
+
+module.exports = {
+  up: [
+  ],
+
+  down: [
+  ]
+};
+`;
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const create = (description) => {
+  const slug = String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    throw new Error('Usage: migrate.js create <description>');
+  }
+  const numbers = fs.readdirSync(MIGRATIONS_DIRECTORY)
+    .map(file => parseInt(file, 10))
+    .filter(number => !Number.isNaN(number));
+  const next = String(Math.max(0, ...numbers) + 1).padStart(3, '0');
+  const file = path.join(MIGRATIONS_DIRECTORY, `${next}-${slug}.js`);
+  fs.writeFileSync(file, TEMPLATE.replace('DESCRIPTION', description), { flag: 'wx' });
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+};
+
+const printList = (title, names) => {
+  console.log(`${title}:`);
+  names.forEach(name => console.log(`  ${name}`));
+  if (names.length === 0) {
+    console.log('  (none)');
+  }
+};
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    create(args.join(' '));
+    return;
+  }
+
+  const sequelize = new Sequelize({ ...createDbConfig(), logging: false });
+  const migrator = createMigrator({ sequelize });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Schema is up to date');
+    } else if (command === 'down') {
+      const { applied } = await migrator.status();
+      const step = args.includes('--all') ? applied.length : parseInt(readOption(args, '--step') || '1', 10);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error('--step must be a positive integer');
+      }
+      const reverted = await migrator.rollback({ step });
+      console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const { applied, pending, unknown } = await migrator.status();
+      console.log(`Database: ${sequelize.getDialect()}`);
+      printList('Applied', applied.map(migration => migration.name));
+      printList('Pending', pending.map(migration => migration.name));
+      if (unknown.length > 0) {
+        printList('Applied but missing from migrations/', unknown);
+      }
+      process.exitCode = pending.length > 0 ? 1 : 0;
+    } else if (command === 'baseline') {
+      if (!args[0]) {
+        throw new Error('Usage: migrate.js baseline <migration name>');
+      }
+      const marked = await migrator.baseline(args[0]);
+      console.log(marked.length > 0 ? `Marked as applied: ${marked.join(', ')}` : 'Nothing to mark');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down, status, baseline or create)`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Seed commands (see services/seeder.js)
+ *
+ *   node scripts/seed.js [environment]        load data/fixtures/<environment> (default: SEED_ENV or demo)
+ *   node scripts/seed.js demo --fake-posts 500 --fake-comments 2000 [--random-seed 42]
+ *   node scripts/seed.js --list               list environments
+ *
+ * Uses the same DB_* settings as the server (.env); the schema must be migrated.
+ */
+
+require('dotenv').config();
+const { Sequelize } = require('sequelize');
+const entities = require('../model/entities');
+const { createDbConfig } = require('../utils/db');
+const { checkMigrations } = require('../services/migrations');
+const { createSeeder } = require('../services/seeder');
+
+const readCount = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return 0;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return value;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const sequelize = new Sequelize({ ...createDbConfig(), logging: false });
+  const seeder = createSeeder({ sequelize, entities });
+
+  try {
+    if (args.includes('--list')) {
+      console.log(seeder.listEnvironments().join('\n'));
+      return;
+    }
+
+    const environment = args[0] && !args[0].startsWith('--') ? args[0] : process.env.SEED_ENV || 'demo';
+    const fakePosts = readCount(args, '--fake-posts');
+    const fakeComments = readCount(args, '--fake-comments');
+    const randomSeed = args.includes('--random-seed') ? readCount(args, '--random-seed') : undefined;
+
+    await checkMigrations(sequelize);
+
+    const results = await seeder.seed(environment);
+    console.log(`Seeded "${environment}" (${sequelize.getDialect()}):`);
+    Object.entries(results).forEach(([name, { inserted, skipped }]) => {
+      console.log(`  ${name.padEnd(14)} ${inserted} inserted, ${skipped} already present`);
+    });
+    if (Object.keys(results).length === 0) {
+      console.log('  (no fixtures)');
+    }
+
+    if (fakePosts > 0 || fakeComments > 0) {
+      const generated = await seeder.generate({ posts: fakePosts, comments: fakeComments, randomSeed });
+      console.log(`Generated ${generated.posts} fake posts and ${generated.comments} fake comments`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for trying out subscriptions (see services/webhooks.js)
+ *
+ *   node scripts/webhook-receiver.js [--port 4000] [--secret whsec_...] [--fail 2]
+ *
+ * Prints every delivery it receives. With --secret it checks X-Webhook-Signature
+ * and answers 401 on a mismatch; --fail N answers 500 to the first N deliveries
+ * of each event id, to watch the retries. Subscribe it with
+ * { "url": "http://localhost:4000/hooks", "events": ["*"] }.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { sign } = require('../services/webhooks');
+
+const readOption = (args, name, fallback) => {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+};
+
+const verify = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const port = Number(readOption(args, '--port', process.env.WEBHOOK_RECEIVER_PORT || 4000));
+  const secret = readOption(args, '--secret', process.env.WEBHOOK_SECRET);
+  const failures = Number(readOption(args, '--fail', 0));
+  const seen = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const eventId = req.headers['x-webhook-id'];
+      const count = seen.get(eventId) || 0;
+
+      let status = 200;
+      if (secret && !verify(secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])) {
+        status = 401;
+      } else {
+        seen.set(eventId, count + 1);
+        status = count < failures ? 500 : 200;
+      }
+
+      console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> ${status}`);
+      console.log(`  event: ${req.headers['x-webhook-event']}  id: ${eventId}  delivery: ${req.headers['x-webhook-delivery']}  try: ${count + 1}`);
+      console.log(`  ${body}`);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: status === 200 }));
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+    console.log(secret ? 'Verifying signatures' : 'Not verifying signatures (pass --secret)');
+  });
+};
+
+main();
@@ -0,0 +1,297 @@
+/**
+ * Audit trail
+ * Every write to an entity table is recorded in audit_log: the table, the
+ * row's primary key (every column of compound keys), the changed fields as
+ * { field: { from, to } }, the acting user and the request's correlation id.
+ *
+ * Writers snapshot the rows they are about to change with trackRows() and
+ * call record() once the write is done. Services do both inside their
+ * transaction, so entries commit or roll back with the change; the routes
+ * Ultimate CRUD generates are tracked by middleware/audit.js.
+ * ENABLE_AUDIT_LOG=false turns recording off.
+ *
+ * Listeners registered with onChange() (services/webhooks.js) receive every
+ * change once its transaction has committed, whether or not it is recorded.
+ * Without an explicit transaction, trackers use the ambient one of an atomic
+ * batch (utils/transactions.js), and listeners wait for its commit.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { readField, createTimestamp } = require('../utils/db');
+const { getContext, isEnabled, logger } = require('../utils/logger');
+const { getAmbientTransaction } = require('../utils/transactions');
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Primary key columns per table, discovered once per Sequelize instance
+const keyColumnCache = new WeakMap();
+
+const getKeyColumns = (sequelize, table, { transaction } = {}) => {
+  if (!keyColumnCache.has(sequelize)) {
+    keyColumnCache.set(sequelize, new Map());
+  }
+  const cache = keyColumnCache.get(sequelize);
+
+  if (!cache.has(table)) {
+    const columns = sequelize.getQueryInterface().describeTable(table, { transaction })
+      .then(description => {
+        const primaryKey = Object.keys(description).filter(column => description[column].primaryKey);
+        if (primaryKey.length === 0) {
+          throw new Error(`${table} has no primary key to audit`);
+        }
+        return primaryKey;
+      });
+    columns.catch(() => cache.delete(table));
+    cache.set(table, columns);
+  }
+  return cache.get(table);
+};
+
+// { column: value } from a row or key object, as strings so 5 and '5' match; null when incomplete
+const toKey = (columns, source) => {
+  const key = {};
+  for (const column of columns) {
+    const value = readField(source, column);
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    key[column] = String(value);
+  }
+  return key;
+};
+
+const serializeKey = (key) => JSON.stringify(key);
+
+const loadRow = async (sequelize, table, key, transaction) => {
+  const conditions = Object.keys(key).map(column => `${column} = :${column}`).join(' AND ');
+  const [row] = await sequelize.query(
+    `SELECT * FROM ${table} WHERE ${conditions}`,
+    { replacements: key, type: QueryTypes.SELECT, transaction }
+  );
+  return row || null;
+};
+
+const normalize = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+// Fields that differ between two versions of a row; a missing row counts as all null
+const diffRows = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach(field => {
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+};
+
+const getAction = (before, after) => {
+  if (!before) {
+    return 'create';
+  }
+  return after ? 'update' : 'delete';
+};
+
+// user_id is an INTEGER column; tokens with other subjects keep only the username
+const toUserId = (user) => (user && /^\d+$/.test(String(user.id)) ? Number(user.id) : null);
+
+const changeListeners = [];
+
+/**
+ * Call `listener(change)` for every tracked change: { entity, key, action,
+ * before, after, changes, user, correlationId, occurredAt }. Listeners run
+ * after the write's transaction commits; their errors are logged.
+ */
+const onChange = (listener) => {
+  changeListeners.push(listener);
+};
+
+const notifyListeners = (changes) => {
+  changeListeners.forEach(listener => changes.forEach(change => {
+    Promise.resolve()
+      .then(() => listener(change))
+      .catch(error => logger.error('change listener failed', {
+        entity: change.entity,
+        action: change.action,
+        requestId: change.correlationId,
+        error: error.message
+      }));
+  }));
+};
+
+const isTracking = () => isEnabled('ENABLE_AUDIT_LOG', true) || changeListeners.length > 0;
+
+/**
+ * Snapshot the rows of `table` identified by `keys` (rows or objects holding
+ * the key columns) ahead of a write. Returns { add(key), record() }: add()
+ * registers a row the write creates, record() reloads every tracked row and
+ * stores one entry per row that changed. The acting user and correlation id
+ * are those of the request running when the rows are tracked.
+ */
+const trackRows = async (sequelize, table, keys = [], { transaction } = {}) => {
+  if (!isTracking()) {
+    return { add: () => {}, record: async () => [] };
+  }
+
+  const { user, requestId } = getContext();
+  const columns = await getKeyColumns(sequelize, table, { transaction });
+  const tracked = new Map();
+
+  for (const source of keys) {
+    const key = toKey(columns, source);
+    if (key && !tracked.has(serializeKey(key))) {
+      tracked.set(serializeKey(key), { key, before: await loadRow(sequelize, table, key, transaction) });
+    }
+  }
+
+  const add = (source) => {
+    const key = toKey(columns, source);
+    if (key && !tracked.has(serializeKey(key))) {
+      tracked.set(serializeKey(key), { key, before: null });
+    }
+  };
+
+  const record = async ({ transaction: recordTransaction = transaction || getAmbientTransaction(sequelize) } = {}) => {
+    const entries = [];
+    const changed = [];
+    const now = new Date();
+    const createdAt = createTimestamp(now);
+    const auditEnabled = isEnabled('ENABLE_AUDIT_LOG', true);
+
+    for (const [recordKey, { key, before }] of tracked) {
+      const after = await loadRow(sequelize, table, key, recordTransaction);
+      const changes = diffRows(before, after);
+      if (Object.keys(changes).length === 0) {
+        continue;
+      }
+
+      const action = getAction(before, after);
+      changed.push({
+        entity: table,
+        key,
+        action,
+        before,
+        after,
+        changes,
+        user: user ? { id: user.id, username: user.username } : null,
+        correlationId: requestId || null,
+        occurredAt: now.toISOString()
+      });
+      if (!auditEnabled) {
+        continue;
+      }
+
+      const entry = {
+        entity: table,
+        recordKey,
+        action,
+        changes: JSON.stringify(changes),
+        userId: toUserId(user),
+        username: user ? user.username : null,
+        correlationId: requestId || null,
+        createdAt
+      };
+      await sequelize.query(
+        `INSERT INTO audit_log (entity_name, record_key, action, changes, user_id, username, correlation_id, created_at)
+         VALUES (:entity, :recordKey, :action, :changes, :userId, :username, :correlationId, :createdAt)`,
+        { replacements: entry, type: QueryTypes.INSERT, transaction: recordTransaction }
+      );
+      entries.push(entry);
+    }
+
+    if (changed.length > 0 && changeListeners.length > 0) {
+      if (recordTransaction) {
+        // A savepoint's changes are only final once the outermost transaction commits
+        let outermost = recordTransaction;
+        while (outermost.parent) {
+          outermost = outermost.parent;
+        }
+        outermost.afterCommit(() => notifyListeners(changed));
+      } else {
+        notifyListeners(changed);
+      }
+    }
+    return entries;
+  };
+
+  return { add, record };
+};
+
+const toEntry = (row) => {
+  const userId = readField(row, 'user_id');
+  const username = readField(row, 'username');
+  return {
+    id: Number(readField(row, 'id')),
+    entity: readField(row, 'entity_name'),
+    key: JSON.parse(readField(row, 'record_key')),
+    action: readField(row, 'action'),
+    changes: JSON.parse(readField(row, 'changes')),
+    user: userId === null && !username ? null : { id: userId === null ? null : Number(userId), username },
+    correlation_id: readField(row, 'correlation_id'),
+    created_at: readField(row, 'created_at')
+  };
+};
+
+/**
+ * Audit entries, most recent first: { entries, pagination }. `key` is a
+ * complete key object (see toKey); `from` and `to` are Dates.
+ */
+const listAuditEntries = async (sequelize, filters) => {
+  const { page = 1, limit = 50 } = filters;
+  const conditions = [];
+  const replacements = {};
+
+  const addCondition = (sql, name, value) => {
+    if (value !== undefined && value !== null) {
+      conditions.push(sql);
+      replacements[name] = value;
+    }
+  };
+  addCondition('entity_name = :entity', 'entity', filters.entity);
+  addCondition('record_key = :recordKey', 'recordKey', filters.key ? serializeKey(filters.key) : null);
+  addCondition('action = :action', 'action', filters.action);
+  addCondition('user_id = :userId', 'userId', filters.user_id);
+  addCondition('correlation_id = :correlationId', 'correlationId', filters.correlation_id);
+  addCondition('created_at >= :from', 'from', filters.from ? createTimestamp(filters.from) : null);
+  addCondition('created_at <= :to', 'to', filters.to ? createTimestamp(filters.to) : null);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM audit_log ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+  const rows = await sequelize.query(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT :limit OFFSET :offset`,
+    { replacements: { ...replacements, limit, offset: (page - 1) * limit }, type: QueryTypes.SELECT }
+  );
+
+  return {
+    entries: rows.map(toEntry),
+    pagination: { page, limit, total: Number(total), totalPages: Math.ceil(Number(total) / limit) }
+  };
+};
+
+const findAuditEntry = async (sequelize, id) => {
+  const [row] = await sequelize.query(
+    'SELECT * FROM audit_log WHERE id = :id',
+    { replacements: { id }, type: QueryTypes.SELECT }
+  );
+  return row ? toEntry(row) : null;
+};
+
+module.exports = {
+  ACTIONS,
+  getKeyColumns,
+  toKey,
+  trackRows,
+  onChange,
+  listAuditEntries,
+  findAuditEntry
+};
@@ -0,0 +1,243 @@
+/**
+ * Batch operations (routes/batch.js)
+ * A batch is an ordered list of requests to entity routes, each
+ *   { id, method, path, body, headers }
+ * run one after the other. Strings in the path, body and headers of an
+ * operation may reference the result ({ status, headers, body }) of an
+ * earlier one by its id: {{post.body.data.id}}. A string that is a single
+ * reference takes the referenced value as is, so numbers stay numbers;
+ * references inside a longer string are written out, URL-encoded in paths.
+ *
+ * Atomic batches run in one ambient transaction (utils/transactions.js) and
+ * stop at the first operation that fails, rolling back the ones before it.
+ * Otherwise every operation runs and commits on its own, and those that
+ * reference a failed operation fail with 424 without running.
+ */
+
+const { createHttpError } = require('../utils/errors');
+const { settleHeld, runInTransaction } = require('../utils/transactions');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Headers an operation may set; the rest (authorization, ...) come from the batch request
+const OPERATION_HEADERS = ['if-match', 'if-none-match'];
+
+const OPERATION_ID_PATTERN = /^[\w-]{1,50}$/;
+const REFERENCE_PATTERN = /\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}/g;
+const SINGLE_REFERENCE_PATTERN = /^\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}$/;
+
+const getBatchSettings = () => ({
+  maxOperations: parseInt(process.env.BATCH_MAX_OPERATIONS, 10) || 25
+});
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Every string in a value, nested objects and arrays included
+const collectStrings = (value, strings = []) => {
+  if (typeof value === 'string') {
+    strings.push(value);
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, strings));
+  }
+  return strings;
+};
+
+const findReferences = text => [...text.matchAll(REFERENCE_PATTERN)].map(match => ({
+  text: match[0],
+  id: match[1],
+  fields: match[2].split('.').filter(Boolean)
+}));
+
+// The entity whose route `path` addresses (longest route first), ignoring the query string
+const findPathEntity = (entities, path) => {
+  const pathname = path.split('?')[0];
+  return [...entities]
+    .sort((a, b) => b.route.length - a.route.length)
+    .find(entity => pathname === entity.route || pathname.startsWith(`${entity.route}/`));
+};
+
+// The path with every reference in place of a value, to check the route it addresses
+const toPathShape = path => path.replace(REFERENCE_PATTERN, '0');
+
+/**
+ * Check the shape of a batch before anything runs: [{ field, message }].
+ * References must name an operation that comes earlier.
+ */
+const validateOperations = (entities, operations, { maxOperations }) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return [{ field: 'operations', message: 'operations must be a non-empty array' }];
+  }
+  if (operations.length > maxOperations) {
+    return [{ field: 'operations', message: `A batch may hold at most ${maxOperations} operations` }];
+  }
+
+  const errors = [];
+  const earlier = new Set();
+  operations.forEach((operation, index) => {
+    const field = `operations[${index}]`;
+    if (!isPlainObject(operation)) {
+      errors.push({ field, message: `${field} must be an object` });
+      return;
+    }
+
+    const { id, method, path, body, headers } = operation;
+    if (id !== undefined && (typeof id !== 'string' || !OPERATION_ID_PATTERN.test(id))) {
+      errors.push({ field: `${field}.id`, message: 'id must be 1-50 letters, digits, _ or -' });
+    } else if (id !== undefined && earlier.has(id)) {
+      errors.push({ field: `${field}.id`, message: `id ${id} is used by an earlier operation` });
+    }
+    if (!METHODS.includes(method)) {
+      errors.push({ field: `${field}.method`, message: `method must be one of: ${METHODS.join(', ')}` });
+    }
+    if (typeof path !== 'string' || !findPathEntity(entities, toPathShape(path))) {
+      errors.push({ field: `${field}.path`, message: 'path must address an entity route, e.g. /api/posts/1' });
+    }
+    if (body !== undefined && (body === null || typeof body !== 'object')) {
+      errors.push({ field: `${field}.body`, message: 'body must be a JSON object or array' });
+    }
+    if (headers !== undefined) {
+      const names = isPlainObject(headers) ? Object.keys(headers) : null;
+      if (!names || names.some(name => !OPERATION_HEADERS.includes(name.toLowerCase()) || typeof headers[name] !== 'string')) {
+        errors.push({ field: `${field}.headers`, message: `headers may only set ${OPERATION_HEADERS.join(', ')} to strings` });
+      }
+    }
+
+    collectStrings([path, body, headers]).forEach(text => findReferences(text)
+      .filter(reference => !earlier.has(reference.id))
+      .forEach(reference => errors.push({
+        field,
+        message: `${reference.text} does not name an earlier operation`
+      })));
+
+    if (typeof id === 'string') {
+      earlier.add(id);
+    }
+  });
+  return errors;
+};
+
+// The referenced value; throws 424 when its operation failed or holds no such value
+const readReference = (outcomes, { text, id, fields }) => {
+  const result = outcomes.get(id);
+  if (result.status >= 400) {
+    throw createHttpError(424, `${text} refers to operation ${id}, which failed with ${result.status}`);
+  }
+  const value = fields.reduce((current, field) => (
+    current !== null && typeof current === 'object' ? current[field] : undefined
+  ), result);
+  if (value === undefined || value === null) {
+    throw createHttpError(424, `${text} has no value in the result of operation ${id}`);
+  }
+  return value;
+};
+
+const resolveString = (outcomes, text, encode) => {
+  const single = text.match(SINGLE_REFERENCE_PATTERN);
+  if (single && !encode) {
+    return readReference(outcomes, findReferences(text)[0]);
+  }
+  return text.replace(REFERENCE_PATTERN, (match) => {
+    const value = readReference(outcomes, findReferences(match)[0]);
+    const written = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return encode ? encodeURIComponent(written) : written;
+  });
+};
+
+const resolveValue = (outcomes, value) => {
+  if (typeof value === 'string') {
+    return resolveString(outcomes, value, false);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(outcomes, item));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(outcomes, item)]));
+  }
+  return value;
+};
+
+/**
+ * The operation with its references replaced by the results in `outcomes`
+ * (id -> { status, headers, body }). Throws 424 for unresolved references
+ * and 400 when the resolved path leaves the entity route it was checked for.
+ */
+const resolveOperation = (entities, operation, outcomes) => {
+  const path = resolveString(outcomes, operation.path, true);
+  if (findPathEntity(entities, path) !== findPathEntity(entities, toPathShape(operation.path))) {
+    throw createHttpError(400, `path ${path} leaves the entity route of ${operation.path}`);
+  }
+  return {
+    ...operation,
+    path,
+    body: resolveValue(outcomes, operation.body),
+    headers: Object.fromEntries(Object.entries(operation.headers || {})
+      .map(([name, value]) => [name.toLowerCase(), String(resolveString(outcomes, value, false))]))
+  };
+};
+
+const toFailedResult = error => ({
+  status: error.status,
+  headers: {},
+  body: {
+    error: error.status === 424 ? 'Failed dependency' : 'Invalid operation',
+    details: { message: error.message }
+  }
+});
+
+/**
+ * Run `operations` (checked with validateOperations) in order, each through
+ * `dispatch(operation, index)`, which resolves to { status, headers, body }.
+ * Returns { results, committed }: one result per operation that ran (an
+ * atomic batch stops after the first failure) and, for atomic batches,
+ * whether the transaction committed.
+ */
+const runBatch = async (sequelize, { entities, operations, atomic, dispatch }) => {
+  const results = [];
+  const outcomes = new Map();
+  let failed = false;
+
+  const runOperations = async () => {
+    for (const [index, operation] of operations.entries()) {
+      let result;
+      try {
+        result = await dispatch(resolveOperation(entities, operation, outcomes), index);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        result = toFailedResult(error);
+      }
+      // Audit entries the operation left running land before the next one starts
+      await settleHeld();
+
+      results.push(result);
+      if (operation.id) {
+        outcomes.set(operation.id, result);
+      }
+      if (atomic && result.status >= 400) {
+        failed = true;
+        throw createHttpError(result.status, `Batch operation ${index + 1} failed`);
+      }
+    }
+  };
+
+  if (!atomic) {
+    await runOperations();
+    return { results, committed: true };
+  }
+  try {
+    await runInTransaction(sequelize, runOperations);
+    return { results, committed: true };
+  } catch (error) {
+    if (!failed) {
+      throw error;
+    }
+    return { results, committed: false };
+  }
+};
+
+module.exports = {
+  getBatchSettings,
+  validateOperations,
+  runBatch
+};
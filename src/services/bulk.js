@@ -0,0 +1,406 @@
+/**
+ * Bulk import and export of entity rows as CSV or NDJSON (routes/bulk.js)
+ *
+ * An import writes its rows into a table in one transaction. Rows whose key
+ * columns (every column of compound keys) match a stored row update it in
+ * `upsert` mode and are refused in `insert` mode; the others are created.
+ * Updates only write the fields that differ, so re-importing an export
+ * changes nothing. Every row is written under a savepoint: a failing row is
+ * reported ({ row, errors }) and the following rows are still checked, then
+ * any error, or a dry run, rolls the whole import back. Writes are recorded
+ * in the audit trail (services/audit.js) like single-record writes.
+ *
+ * Cells are matched to columns by name, case-insensitively, and converted to
+ * the column's numeric or boolean type. Empty CSV cells are null; null
+ * values leave the columns of created rows to their defaults.
+ *
+ * Exports read tables in key order (without soft-deleted rows) and views in
+ * column order, a batch at a time, so responses stream without holding the
+ * whole result in memory.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { readField, createTimestamp } = require('../utils/db');
+const { coerce } = require('../utils/parameters');
+const { parseCsv, formatCsvLine } = require('../utils/csv');
+const { createHttpError } = require('../utils/errors');
+const { getKeyColumns, toKey, trackRows } = require('./audit');
+
+const FORMATS = ['csv', 'ndjson'];
+const IMPORT_MODES = ['insert', 'upsert'];
+
+// Database errors reported against the row that caused them; others abort the import
+const ROW_ERRORS = ['SequelizeUniqueConstraintError', 'SequelizeForeignKeyConstraintError', 'SequelizeDatabaseError'];
+
+const getBulkSettings = () => ({
+  maxBytes: parseInt(process.env.BULK_IMPORT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  maxRows: parseInt(process.env.BULK_IMPORT_MAX_ROWS, 10) || 10000,
+  batchSize: parseInt(process.env.BULK_EXPORT_BATCH_SIZE, 10) || 500
+});
+
+const columnCache = new WeakMap();
+
+// [{ name, type }] for the columns of a table or view, described once per sequelize instance
+const describeColumns = (sequelize, table) => {
+  if (!columnCache.has(sequelize)) {
+    columnCache.set(sequelize, new Map());
+  }
+  const cache = columnCache.get(sequelize);
+
+  if (!cache.has(table)) {
+    const columns = sequelize.getQueryInterface().describeTable(table)
+      .then(description => Object.keys(description).map(name => ({ name, type: description[name].type })));
+    columns.catch(() => cache.delete(table));
+    cache.set(table, columns);
+  }
+  return cache.get(table);
+};
+
+// Parameter type (utils/parameters.js) for a column type reported by describeTable
+const toParameterType = (columnType) => {
+  const type = String(columnType || '').toUpperCase();
+  if (/^(BOOLEAN|BOOL|TINYINT\(1\))/.test(type)) {
+    return 'BOOLEAN';
+  }
+  if (/^(INTEGER|INT|BIGINT|SMALLINT|MEDIUMINT|TINYINT)\b/.test(type)) {
+    return 'INTEGER';
+  }
+  if (/^(DECIMAL|NUMERIC|FLOAT|REAL|DOUBLE)/.test(type)) {
+    return 'NUMBER';
+  }
+  return null;
+};
+
+// Fills `data` with the row's values under their column names; returns [{ field, message }]
+const convertValues = (entity, columns, source, data) => {
+  const errors = [];
+  Object.entries(source).forEach(([field, value]) => {
+    const column = columns.find(candidate => candidate.name.toLowerCase() === field.toLowerCase());
+    if (!column) {
+      errors.push({ field, message: `${entity.name} has no ${field} column` });
+      return;
+    }
+    if (value === null || value === undefined || value === '') {
+      data[column.name] = null;
+      return;
+    }
+    if (typeof value === 'object') {
+      errors.push({ field, message: `${field} must be a single value` });
+      return;
+    }
+
+    const type = toParameterType(column.type);
+    const converted = type ? coerce(value, type) : { value };
+    if (converted.error) {
+      errors.push({ field, message: `${field} ${converted.error}` });
+    } else {
+      data[column.name] = converted.value;
+    }
+  });
+  return errors;
+};
+
+const readCsvRows = (entity, columns, text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid CSV', [{ field: 'body', message: error.message }]);
+  }
+  if (records.length === 0) {
+    throw createHttpError(400, 'Invalid CSV', [{ field: 'body', message: 'The CSV needs a header row naming the columns' }]);
+  }
+
+  const header = records[0].map(name => name.trim());
+  const headerErrors = [];
+  header.forEach((name, index) => {
+    if (!columns.some(column => column.name.toLowerCase() === name.toLowerCase())) {
+      headerErrors.push({ field: name, message: `${entity.name} has no ${name} column` });
+    } else if (header.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== index) {
+      headerErrors.push({ field: name, message: `${name} appears more than once in the header` });
+    }
+  });
+  if (headerErrors.length > 0) {
+    throw createHttpError(400, 'Invalid CSV header', headerErrors);
+  }
+
+  return records.slice(1).map((record, index) => {
+    const data = {};
+    if (record.length !== header.length) {
+      return { row: index + 1, data, errors: [{ field: null, message: `Expected ${header.length} fields, found ${record.length}` }] };
+    }
+    const source = Object.fromEntries(header.map((name, position) => [name, record[position]]));
+    return { row: index + 1, data, errors: convertValues(entity, columns, source, data) };
+  });
+};
+
+const readNdjsonRows = (entity, columns, text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map((line, index) => {
+    const data = {};
+    let source;
+    try {
+      source = JSON.parse(line);
+    } catch (error) {
+      return { row: index + 1, data, errors: [{ field: null, message: `Invalid JSON: ${error.message}` }] };
+    }
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return { row: index + 1, data, errors: [{ field: null, message: 'Each line must be a JSON object' }] };
+    }
+    return { row: index + 1, data, errors: convertValues(entity, columns, source, data) };
+  });
+
+/**
+ * Rows of an import body: [{ row, data, errors }], `row` counting data rows
+ * from 1 (the CSV header and blank lines are not counted). Throws 400 errors
+ * for malformed CSV and unknown header columns, 413 beyond BULK_IMPORT_MAX_ROWS.
+ */
+const readImportRows = async (sequelize, entity, { format, text }) => {
+  const columns = await describeColumns(sequelize, entity.name);
+  const rows = format === 'csv' ? readCsvRows(entity, columns, text) : readNdjsonRows(entity, columns, text);
+
+  const { maxRows } = getBulkSettings();
+  if (rows.length > maxRows) {
+    throw createHttpError(413, `Imports are limited to ${maxRows} rows, this one has ${rows.length}`);
+  }
+  if (rows.length === 0) {
+    throw createHttpError(400, 'Nothing to import', [{ field: 'body', message: 'The import contains no rows' }]);
+  }
+  return rows;
+};
+
+// Stored and imported values compare as text, and numerically when both are numbers ('20.00' and 20)
+const toComparable = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return createTimestamp(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return String(value);
+};
+
+const isSameValue = (stored, value) => {
+  const [left, right] = [toComparable(stored), toComparable(value)];
+  if (left === null || right === null) {
+    return left === right;
+  }
+  return left === right || (left.trim() !== '' && right.trim() !== '' && Number(left) === Number(right));
+};
+
+const findRow = async (sequelize, table, key, transaction) => {
+  const conditions = Object.keys(key).map(column => `${column} = :${column}`).join(' AND ');
+  const [row] = await sequelize.query(
+    `SELECT * FROM ${table} WHERE ${conditions}`,
+    { replacements: key, type: QueryTypes.SELECT, transaction }
+  );
+  return row || null;
+};
+
+// Key of the inserted row: from its values, else the generated id the database reports
+const insertRow = async (sequelize, table, keyColumns, values, transaction) => {
+  const [result] = await sequelize.getQueryInterface().insert(null, table, values, { transaction, returning: true });
+  const inserted = Array.isArray(result) ? result[0] : result;
+  return toKey(keyColumns, values) ||
+    toKey(keyColumns, inserted && typeof inserted === 'object' ? inserted : { [keyColumns[0]]: inserted });
+};
+
+const updateRow = async (sequelize, table, key, values, transaction) => {
+  const replacements = {};
+  const assignments = Object.keys(values).map((column, index) => {
+    replacements[`value${index}`] = values[column];
+    return `${column} = :value${index}`;
+  });
+  const conditions = Object.keys(key).map((column, index) => {
+    replacements[`key${index}`] = key[column];
+    return `${column} = :key${index}`;
+  });
+  await sequelize.query(
+    `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${conditions.join(' AND ')}`,
+    { replacements, type: QueryTypes.UPDATE, transaction }
+  );
+};
+
+const toRowErrors = (error) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    const fields = (error.errors || []).map(item => item.path).filter(Boolean);
+    return fields.length > 0
+      ? fields.map(field => ({ field, message: `${field} already exists` }))
+      : [{ field: null, message: 'A row with the same unique values already exists' }];
+  }
+  return [{ field: null, message: error.original ? error.original.message : error.message }];
+};
+
+const describeKey = key => Object.entries(key).map(([column, value]) => `${column}=${value}`).join(', ');
+
+// { action } for a written (or unchanged) row, { errors } for a refused one
+const importRow = async (sequelize, entity, { keyColumns, data, mode, check, transaction }) => {
+  const key = toKey(keyColumns, data);
+  const existing = key ? await findRow(sequelize, entity.name, key, transaction) : null;
+  if (existing && mode !== 'upsert') {
+    return {
+      errors: [{ field: keyColumns.join(', '), message: `${entity.name} ${describeKey(key)} already exists (use mode=upsert to update it)` }]
+    };
+  }
+
+  const action = existing ? 'update' : 'create';
+  const values = {};
+  Object.keys(data)
+    .filter(column => (existing ? !isSameValue(readField(existing, column), data[column]) : data[column] !== null))
+    .forEach(column => { values[column] = data[column]; });
+  if (existing && Object.keys(values).length === 0) {
+    return { action: 'unchanged' };
+  }
+
+  const id = key && keyColumns.length === 1 ? key[keyColumns[0]] : undefined;
+  const errors = await check({ action, data: values, existing, id, transaction });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  try {
+    await sequelize.transaction({ transaction }, async (savepoint) => {
+      // Tracked on the import's transaction, so change listeners only hear of committed imports
+      const audit = await trackRows(sequelize, entity.name, existing ? [key] : [], { transaction });
+      if (existing) {
+        await updateRow(sequelize, entity.name, key, values, savepoint);
+      } else {
+        audit.add(await insertRow(sequelize, entity.name, keyColumns, values, savepoint));
+      }
+      await audit.record();
+    });
+  } catch (error) {
+    if (ROW_ERRORS.includes(error.name)) {
+      return { errors: toRowErrors(error) };
+    }
+    throw error;
+  }
+  return { action };
+};
+
+/**
+ * Import rows (readImportRows) into `entity`'s table. `mode` is 'insert' or
+ * 'upsert'. check({ action, data, existing, id, transaction }) resolves to a
+ * row's [{ field, message }] errors before it is written; it may complete
+ * `data` (owner fields). Resolves to { rows, created, updated, unchanged,
+ * errors: [{ row, errors }], committed }.
+ */
+const importRows = async (sequelize, entity, { rows, mode = 'insert', dryRun = false, check }) => {
+  const keyColumns = await getKeyColumns(sequelize, entity.name);
+  const result = { rows: rows.length, created: 0, updated: 0, unchanged: 0, errors: [], committed: false };
+  const counters = { create: 'created', update: 'updated', unchanged: 'unchanged' };
+
+  const transaction = await sequelize.transaction();
+  try {
+    for (const { row, data, errors } of rows) {
+      const outcome = errors.length > 0
+        ? { errors }
+        : await importRow(sequelize, entity, { keyColumns, data, mode, check, transaction });
+      if (outcome.errors) {
+        result.errors.push({ row, errors: outcome.errors });
+      } else {
+        result[counters[outcome.action]] += 1;
+      }
+    }
+
+    if (dryRun || result.errors.length > 0) {
+      await transaction.rollback();
+    } else {
+      await transaction.commit();
+      result.committed = true;
+    }
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+  return result;
+};
+
+// Rows sorting after the key :after0, :after1... e.g. (a > :after0) OR (a = :after0 AND b > :after1)
+const afterKey = keyColumns => keyColumns
+  .map((column, index) => [
+    ...keyColumns.slice(0, index).map((previous, position) => `${previous} = :after${position}`),
+    `${column} > :after${index}`
+  ].join(' AND '))
+  .map(condition => `(${condition})`)
+  .join(' OR ');
+
+/**
+ * Rows of a table (in key order, soft-deleted rows left out) or a view (in
+ * column order), as an async iterator of arrays of up to `batchSize` rows.
+ */
+const readExportBatches = async function * (sequelize, entity, { batchSize = getBulkSettings().batchSize } = {}) {
+  if (entity.type !== 'table') {
+    const { length } = await describeColumns(sequelize, entity.name);
+    const order = Array.from({ length }, (value, index) => index + 1).join(', ');
+    for (let offset = 0; ; offset += batchSize) {
+      const rows = await sequelize.query(
+        `SELECT * FROM ${entity.name} ORDER BY ${order} LIMIT :limit OFFSET :offset`,
+        { replacements: { limit: batchSize, offset }, type: QueryTypes.SELECT }
+      );
+      if (rows.length > 0) {
+        yield rows;
+      }
+      if (rows.length < batchSize) {
+        return;
+      }
+    }
+  }
+
+  // Keyset pagination: each batch starts after the last key of the previous one
+  const keyColumns = await getKeyColumns(sequelize, entity.name);
+  let last = null;
+  for (;;) {
+    const conditions = entity.softDelete ? ['deletedAt IS NULL'] : [];
+    const replacements = { limit: batchSize };
+    if (last) {
+      keyColumns.forEach((column, index) => { replacements[`after${index}`] = readField(last, column); });
+      conditions.push(`(${afterKey(keyColumns)})`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await sequelize.query(
+      `SELECT * FROM ${entity.name} ${where} ORDER BY ${keyColumns.join(', ')} LIMIT :limit`,
+      { replacements, type: QueryTypes.SELECT }
+    );
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (rows.length < batchSize) {
+      return;
+    }
+    last = rows[rows.length - 1];
+  }
+};
+
+const toCell = value => (value instanceof Date ? createTimestamp(value) : value);
+
+// The CSV header line; NDJSON has none
+const formatExportHeader = (format, columns) => (format === 'csv' ? formatCsvLine(columns) : '');
+
+const formatExportRows = (format, columns, rows) => rows
+  .map(row => {
+    const values = columns.map(column => toCell(readField(row, column)));
+    if (format === 'csv') {
+      return formatCsvLine(values);
+    }
+    return `${JSON.stringify(Object.fromEntries(columns.map((column, index) => [column, values[index] === undefined ? null : values[index]])))}\n`;
+  })
+  .join('');
+
+module.exports = {
+  FORMATS,
+  IMPORT_MODES,
+  getBulkSettings,
+  describeColumns,
+  readImportRows,
+  importRows,
+  readExportBatches,
+  formatExportHeader,
+  formatExportRows
+};
@@ -0,0 +1,202 @@
+/**
+ * Change feed
+ * Fans the changes tracked by services/audit.js (onChange) out to live
+ * subscribers: Server-Sent Events and WebSocket clients (routes/changes.js)
+ * and GraphQL subscriptions (graphql/changes.js).
+ *
+ * A subscription names a table, optional field filters ({ postId: 4 }, or
+ * the key columns for a single record) and a canSee(row) check standing for
+ * the subscriber's read access. Changes are delivered as the subscriber sees
+ * them: a row entering its view is a create, one leaving it a delete, so an
+ * approved comment reaches public subscribers as a create and a soft-deleted
+ * post as a delete. Each subscriber receives its events in order.
+ */
+
+const { readField, isSoftDeleted } = require('../utils/db');
+const { logger } = require('../utils/logger');
+
+const columnCache = new WeakMap();
+
+// Transport settings shared by routes/changes.js and graphql/subscriptions.js
+const getFeedSettings = () => ({
+  heartbeatMs: parseInt(process.env.CHANGE_FEED_HEARTBEAT_MS, 10) || 25000,
+  maxSubscriptions: parseInt(process.env.CHANGE_FEED_MAX_SUBSCRIPTIONS, 10) || 20,
+  sessionCheckMs: parseInt(process.env.CHANGE_FEED_SESSION_CHECK_MS, 10) || 60000
+});
+
+// Column names of `table`, described once per sequelize instance
+const getColumns = (sequelize, table) => {
+  if (!columnCache.has(sequelize)) {
+    columnCache.set(sequelize, new Map());
+  }
+  const cache = columnCache.get(sequelize);
+
+  if (!cache.has(table)) {
+    const columns = sequelize.getQueryInterface().describeTable(table).then(Object.keys);
+    columns.catch(() => cache.delete(table));
+    cache.set(table, columns);
+  }
+  return cache.get(table);
+};
+
+/**
+ * Validate field filters ({ field: value }) against the table's columns.
+ * Values are scalars; they match column values as strings, so 4 and '4' are
+ * the same, and true/false match 1/0. Returns { values, errors }.
+ */
+const parseFilters = async (sequelize, entity, input = {}) => {
+  const values = {};
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: 'filter', message: 'filter must be an object of field values' }] };
+  }
+
+  const columns = (await getColumns(sequelize, entity.name)).map(column => column.toLowerCase());
+  Object.entries(input).forEach(([field, value]) => {
+    if (!columns.includes(field.toLowerCase())) {
+      errors.push({ field, message: `${entity.name} has no ${field} column` });
+    } else if (value !== null && typeof value === 'object') {
+      errors.push({ field, message: `${field} must be a single value` });
+    } else {
+      values[field] = value;
+    }
+  });
+  return { values, errors };
+};
+
+const normalize = (value) => {
+  if (value === true || value === 'true') {
+    return '1';
+  }
+  if (value === false || value === 'false') {
+    return '0';
+  }
+  return value === null || value === undefined ? null : String(value);
+};
+
+const matchesFilters = (row, filters) =>
+  Object.entries(filters).every(([field, value]) => normalize(readField(row, field)) === normalize(value));
+
+// The change as the subscription sees it, or null when it sees nothing
+const toEvent = async (subscription, change) => {
+  const { entity, filters, canSee } = subscription;
+  const visible = async (row) => Boolean(row) && !isSoftDeleted(entity, row) &&
+    matchesFilters(row, filters) && await canSee(row);
+
+  const before = await visible(change.before) ? change.before : null;
+  const after = await visible(change.after) ? change.after : null;
+  if (!before && !after) {
+    return null;
+  }
+
+  const action = !before ? 'create' : !after ? 'delete' : 'update';
+  return {
+    entity: entity.name,
+    action,
+    key: change.key,
+    data: after || before,
+    changes: action === 'update' ? change.changes : null,
+    occurredAt: change.occurredAt
+  };
+};
+
+const createChangeFeed = () => {
+  const subscriptions = new Map();
+
+  // onChange listener of services/audit.js
+  const publish = (change) => {
+    (subscriptions.get(change.entity) || new Set()).forEach(subscription => {
+      subscription.queue = subscription.queue
+        .then(async () => {
+          const event = await toEvent(subscription, change);
+          if (event && subscription.active) {
+            subscription.listener(event);
+          }
+        })
+        .catch(error => logger.error('change feed delivery failed', {
+          entity: change.entity,
+          requestId: change.correlationId,
+          error: error.message
+        }));
+    });
+  };
+
+  /**
+   * Call `listener(event)` for the changes to `entity` the subscriber sees:
+   * { entity, action, key, data, changes, occurredAt }. Returns a function
+   * that ends the subscription.
+   */
+  const subscribe = ({ entity, filters = {}, canSee = async () => true }, listener) => {
+    const subscription = { entity, filters, canSee, listener, active: true, queue: Promise.resolve() };
+    if (!subscriptions.has(entity.name)) {
+      subscriptions.set(entity.name, new Set());
+    }
+    subscriptions.get(entity.name).add(subscription);
+
+    return () => {
+      subscription.active = false;
+      const entitySubscriptions = subscriptions.get(entity.name);
+      if (entitySubscriptions) {
+        entitySubscriptions.delete(subscription);
+        if (entitySubscriptions.size === 0) {
+          subscriptions.delete(entity.name);
+        }
+      }
+    };
+  };
+
+  // subscribe() as an async iterator, for GraphQL subscriptions
+  const iterate = (options) => {
+    const buffered = [];
+    const waiting = [];
+    let done = false;
+
+    const unsubscribe = subscribe(options, (event) => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: event, done: false });
+      } else {
+        buffered.push(event);
+      }
+    });
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        unsubscribe();
+        buffered.splice(0);
+        waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    };
+
+    return {
+      next: () => {
+        if (buffered.length > 0) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return: finish,
+      throw: (error) => {
+        finish();
+        return Promise.reject(error);
+      },
+      [Symbol.asyncIterator] () {
+        return this;
+      }
+    };
+  };
+
+  const count = () => [...subscriptions.values()].reduce((total, set) => total + set.size, 0);
+
+  return { publish, subscribe, iterate, count };
+};
+
+module.exports = {
+  getFeedSettings,
+  parseFilters,
+  createChangeFeed
+};
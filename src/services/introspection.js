@@ -0,0 +1,343 @@
+/**
+ * Database introspection (bin/ultimate-crud introspect)
+ * Reads the tables and views of an existing database and writes entity
+ * definitions in the model/entities.js format: routes from the table names,
+ * primary keys (auto-increment, UUID and other assigned keys, compound keys),
+ * validation.uniqueFields from single-column unique indexes and
+ * belongsTo / hasMany associations from foreign keys.
+ *
+ * Permissions, rules and the other entity blocks are left out, so generated
+ * tables are publicly readable and writable by admins only until reviewed.
+ * The app's own tables (credentials, audit log, webhooks...) are skipped
+ * unless asked for, and then generated as admin-only.
+ */
+
+const { selectVariant } = require('../utils/dialects');
+const { MIGRATIONS_TABLE } = require('./migrations');
+
+const VIEW_NAMES_SQL = {
+  mysql: 'SELECT TABLE_NAME AS name FROM information_schema.VIEWS WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME',
+  postgres: 'SELECT table_name AS name FROM information_schema.views WHERE table_schema = current_schema() ORDER BY table_name',
+  sqlite: "SELECT name FROM sqlite_master WHERE type = 'view' ORDER BY name"
+};
+
+// SQLite full-text tables and the shadow tables behind them are not entities
+const SQLITE_VIRTUAL_TABLES_SQL = "SELECT name FROM sqlite_master WHERE type = 'table' AND sql LIKE 'CREATE VIRTUAL TABLE%'";
+const SQLITE_SHADOW_SUFFIXES = ['_data', '_idx', '_content', '_docsize', '_config'];
+
+// Tables the app keeps for itself: password hashes, webhook secrets, history
+const INTERNAL_TABLES = ['user_credentials', 'audit_log', 'webhook_subscriptions', 'webhook_deliveries', 'stock_reservations'];
+const ADMIN_ONLY = { read: 'admin', create: 'admin', update: 'admin', delete: 'admin' };
+
+const toName = table => (typeof table === 'string' ? table : table.tableName);
+
+const toRoute = name => `/api/${name.replace(/_/g, '-')}`;
+
+// `*` wildcards; names are compared case-insensitively
+const toMatcher = (patterns) => {
+  const expressions = patterns.map(pattern => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+    'i'
+  ));
+  return name => expressions.some(expression => expression.test(name));
+};
+
+const readTableNames = async (sequelize) => {
+  const names = (await sequelize.getQueryInterface().showAllTables()).map(toName);
+  if (sequelize.getDialect() !== 'sqlite') {
+    return names;
+  }
+
+  const virtual = (await sequelize.query(SQLITE_VIRTUAL_TABLES_SQL, { type: 'SELECT' })).map(row => row.name);
+  const hidden = new Set(virtual.flatMap(name => [name, ...SQLITE_SHADOW_SUFFIXES.map(suffix => `${name}${suffix}`)]));
+  return names.filter(name => !hidden.has(name) && !name.startsWith('sqlite_'));
+};
+
+const readViewNames = async (sequelize) => {
+  const rows = await sequelize.query(selectVariant(VIEW_NAMES_SQL, sequelize.getDialect()), { type: 'SELECT' });
+  return rows.map(row => row.name);
+};
+
+// SQLite reports no autoIncrement flag; AUTOINCREMENT in the table's SQL marks the rowid key as generated
+const readSqliteAutoIncrement = async (sequelize, table) => {
+  const [row] = await sequelize.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = :table",
+    { replacements: { table }, type: 'SELECT' }
+  );
+  return Boolean(row && /\bAUTOINCREMENT\b/i.test(row.sql));
+};
+
+const isAutoIncrement = (column, sqliteAutoIncrement) => Boolean(
+  column.autoIncrement ||
+  /^nextval\(/i.test(String(column.defaultValue || '')) ||
+  (sqliteAutoIncrement && /^INTEGER$/i.test(column.type))
+);
+
+const describeKeyKind = (column, sqliteAutoIncrement) => {
+  if (isAutoIncrement(column, sqliteAutoIncrement)) {
+    return 'auto-increment';
+  }
+  if (/^UUID/i.test(column.type) || /^(VAR)?CHAR(ACTER)?( VARYING)?\(36\)$/i.test(column.type)) {
+    return 'UUID';
+  }
+  return column.type;
+};
+
+// Unique indexes other than the primary key's: [[column, ...], ...]
+const readUniqueIndexes = async (sequelize, table, primaryKey) => {
+  const indexes = await sequelize.getQueryInterface().showIndex(table);
+  const keySignature = [...primaryKey].sort().join(',');
+  return indexes
+    .filter(index => index.unique && !index.primary && index.origin !== 'pk')
+    .map(index => index.fields.map(field => field.attribute))
+    .filter(fields => [...fields].sort().join(',') !== keySignature);
+};
+
+// Sequelize leaves out SQLite's constraint ids, which tell compound foreign keys apart
+const readSqliteReferences = async (sequelize, table) => {
+  const rows = await sequelize.query(`PRAGMA foreign_key_list(\`${table}\`)`, { type: 'SELECT' });
+  return rows.map(row => ({
+    constraintName: String(row.id),
+    columnName: row.from,
+    referencedTableName: row.table,
+    referencedColumnName: row.to
+  }));
+};
+
+// Foreign keys as [{ columns, target, targetColumns }]
+const readForeignKeys = async (sequelize, table) => {
+  const references = sequelize.getDialect() === 'sqlite'
+    ? await readSqliteReferences(sequelize, table)
+    : await sequelize.getQueryInterface().getForeignKeyReferencesForTable(table);
+  const constraints = new Map();
+  references
+    .filter(reference => reference.referencedTableName && reference.columnName)
+    .forEach((reference, index) => {
+      const name = reference.constraintName || `#${index}`;
+      constraints.set(name, [...(constraints.get(name) || []), reference]);
+    });
+  return [...constraints.values()].map(references => ({
+    columns: references.map(reference => reference.columnName),
+    target: references[0].referencedTableName,
+    targetColumns: references.map(reference => reference.referencedColumnName)
+  }));
+};
+
+/**
+ * Read the schema: { dialect, tables, views }. Tables are { name, primaryKey:
+ * [{ name, kind }], uniqueFields, uniqueTogether, foreignKeys: [{ column,
+ * target, targetColumn }], compoundForeignKeys, internal }; views are
+ * { name }.
+ *
+ * `include` and `exclude` are lists of table names with `*` wildcards; the
+ * migrations table is always left out, the app's internal tables unless
+ * `internal` is set.
+ */
+const introspectSchema = async (sequelize, { include = [], exclude = [], internal = false } = {}) => {
+  const dialect = sequelize.getDialect();
+  const isIncluded = include.length > 0 ? toMatcher(include) : () => true;
+  const isExcluded = toMatcher([MIGRATIONS_TABLE, ...(internal ? [] : INTERNAL_TABLES), ...exclude]);
+  const keep = name => isIncluded(name) && !isExcluded(name);
+
+  const tableNames = (await readTableNames(sequelize)).filter(keep).sort();
+  const viewNames = (await readViewNames(sequelize)).filter(keep).sort();
+
+  const tables = [];
+  for (const name of tableNames) {
+    const columns = await sequelize.getQueryInterface().describeTable(name);
+    const keyNames = Object.keys(columns).filter(column => columns[column].primaryKey);
+    const uniqueIndexes = await readUniqueIndexes(sequelize, name, keyNames);
+    const sqliteAutoIncrement = dialect === 'sqlite' && await readSqliteAutoIncrement(sequelize, name);
+    const foreignKeys = (await readForeignKeys(sequelize, name)).filter(key => tableNames.includes(key.target));
+
+    tables.push({
+      name,
+      primaryKey: keyNames.map(column => ({
+        name: column,
+        kind: describeKeyKind(columns[column], sqliteAutoIncrement)
+      })),
+      uniqueFields: [...new Set(uniqueIndexes.filter(fields => fields.length === 1).map(([field]) => field))],
+      uniqueTogether: uniqueIndexes.filter(fields => fields.length > 1),
+      foreignKeys: foreignKeys
+        .filter(key => key.columns.length === 1)
+        .map(key => ({ column: key.columns[0], target: key.target, targetColumn: key.targetColumns[0] })),
+      compoundForeignKeys: foreignKeys.filter(key => key.columns.length > 1),
+      internal: INTERNAL_TABLES.includes(name)
+    });
+  }
+
+  return { dialect, tables, views: viewNames.map(name => ({ name })) };
+};
+
+const singularize = (name) => {
+  if (/ies$/.test(name)) {
+    return name.replace(/ies$/, 'y');
+  }
+  if (/(ss|us|is)$/.test(name) || !/s$/.test(name)) {
+    return name;
+  }
+  return name.replace(/(ch|sh|x|ss)es$/, '$1').replace(/s$/, '');
+};
+
+// userId -> user, product_id -> product; other columns are named after their target
+const toBelongsToAlias = (column, target) => {
+  const stripped = column.replace(/(_id|Id|_ID)$/, '');
+  return stripped && stripped !== column ? stripped : singularize(target);
+};
+
+// Aliases must be unique per entity; clashes fall back to the foreign key's name
+const withUniqueAliases = (associations) => {
+  const counts = associations.reduce((all, { as }) => ({ ...all, [as]: (all[as] || 0) + 1 }), {});
+  return associations.map(association => (counts[association.as] > 1
+    ? { ...association, as: `${association.as}_${association.foreignKey}` }
+    : association));
+};
+
+const buildAssociations = (table, tables) => withUniqueAliases([
+  ...table.foreignKeys.map(key => ({
+    type: 'belongsTo',
+    target: key.target,
+    foreignKey: key.column,
+    as: toBelongsToAlias(key.column, key.target)
+  })),
+  ...tables.flatMap(other => other.foreignKeys
+    .filter(key => key.target === table.name)
+    .map(key => ({ type: 'hasMany', target: other.name, foreignKey: key.column, as: other.name })))
+]);
+
+const describePrimaryKey = ({ primaryKey }) => {
+  if (primaryKey.length === 0) {
+    return ['// No primary key found: single-record routes, audit and imports need one'];
+  }
+  if (primaryKey.length > 1) {
+    return [`// Compound primary key: (${primaryKey.map(column => column.name).join(', ')})`];
+  }
+  const [{ name, kind }] = primaryKey;
+  const detail = kind === 'auto-increment' ? kind : `${kind}, manual assignment`;
+  return [`// Primary key: ${name} (${detail})`];
+};
+
+const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const formatKey = key => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key));
+
+const formatValue = (value, indent) => {
+  if (Array.isArray(value)) {
+    if (value.every(item => typeof item !== 'object')) {
+      return `[${value.map(item => formatValue(item, indent)).join(', ')}]`;
+    }
+    const inner = `${indent}  `;
+    return `[\n${value.map(item => `${inner}${formatValue(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const inner = `${indent}  `;
+    return `{\n${Object.entries(value).map(([key, item]) => `${inner}${formatKey(key)}: ${formatValue(item, inner)}`).join(',\n')}\n${indent}}`;
+  }
+  return typeof value === 'string' ? quote(value) : String(value);
+};
+
+// One entity as source: [comment lines..., property] pairs, indented inside the array
+const formatEntity = (properties) => {
+  const indent = '    ';
+  const lines = properties.map(({ comments = [], key, value }) => [
+    ...comments.map(comment => `${indent}${comment}`),
+    `${indent}${formatKey(key)}: ${formatValue(value, indent)}`
+  ].join('\n'));
+  return `  {\n${lines.join(',\n')}\n  }`;
+};
+
+const formatTable = (table, tables) => {
+  const properties = [
+    { key: 'name', value: table.name },
+    { key: 'type', value: 'table' },
+    { key: 'route', value: toRoute(table.name) }
+  ];
+
+  // The default key (an auto-increment id) needs no entry
+  const [key] = table.primaryKey;
+  if (table.primaryKey.length === 1 && (key.name !== 'id' || key.kind !== 'auto-increment')) {
+    properties.push({ comments: describePrimaryKey(table), key: 'primaryKey', value: key.name });
+  } else if (table.primaryKey.length > 1) {
+    properties.push({
+      comments: describePrimaryKey(table),
+      key: 'naturalKey',
+      value: table.primaryKey.map(column => column.name)
+    });
+  } else if (table.primaryKey.length === 0) {
+    properties[2].comments = describePrimaryKey(table);
+  }
+
+  if (table.internal) {
+    properties.push({ comments: ['// Kept by the app itself; admins only'], key: 'permissions', value: ADMIN_ONLY });
+  }
+
+  if (table.uniqueFields.length > 0) {
+    properties.push({ key: 'validation', value: { uniqueFields: table.uniqueFields, conflictStatusCode: 409 } });
+  }
+
+  const associations = buildAssociations(table, tables);
+  if (associations.length > 0) {
+    properties.push({ comments: ['// From foreign keys'], key: 'associations', value: associations });
+  }
+
+  // Compound unique indexes and foreign keys have no entity option; note them for review
+  const notes = [
+    ...table.uniqueTogether.map(fields => `// Unique together: (${fields.join(', ')})`),
+    ...table.compoundForeignKeys.map(key => `// Compound foreign key: (${key.columns.join(', ')}) -> ${key.target}`)
+  ];
+  const noted = properties.find(property => property.key === 'validation') || properties[properties.length - 1];
+  noted.comments = [...notes, ...(noted.comments || [])];
+  return formatEntity(properties);
+};
+
+const formatView = view => formatEntity([
+  { key: 'name', value: view.name },
+  { key: 'type', value: 'view' },
+  {
+    comments: [`// Schema will be auto-discovered from the ${view.name} view in database`],
+    key: 'route',
+    value: toRoute(view.name)
+  }
+]);
+
+const formatSection = (title, entries) => [
+  '  // ===========================================',
+  `  // ${title}`,
+  '  // ===========================================',
+  '',
+  entries.join(',\n\n')
+].join('\n');
+
+/**
+ * The source of an entities module for `schema` (from introspectSchema), in
+ * the layout of model/entities.js. `source` describes the database in the
+ * header comment.
+ */
+const formatEntitiesModule = (schema, { source }) => {
+  const sections = [];
+  if (schema.tables.length > 0) {
+    sections.push(formatSection('TABLES (Schema auto-discovered from database)', schema.tables.map(table => formatTable(table, schema.tables))));
+  }
+  if (schema.views.length > 0) {
+    sections.push(formatSection('VIEWS (Database views - schema auto-discovered)', schema.views.map(formatView)));
+  }
+
+  return `/**
+ * Entity definitions generated by \`ultimate-crud introspect\` from ${source}
+ * Review before serving: entities without a permissions block are publicly
+ * readable and writable by admins only, and rules, integrity, soft delete
+ * and the other blocks documented in model/entities.js are left to you.
+ */
+
+const entities = [
+${sections.join(',\n\n')}
+];
+
+module.exports = entities;
+`;
+};
+
+module.exports = {
+  introspectSchema,
+  formatEntitiesModule
+};
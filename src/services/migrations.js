@@ -0,0 +1,178 @@
+/**
+ * Schema migrations
+ * Migrations live in migrations/ as NNN-description.js and run in file name
+ * order. Each exports `up` and `down`, given as any of:
+ *
+ *   'CREATE TABLE ...'                              one portable statement
+ *   ['CREATE TABLE ...', 'CREATE INDEX ...']        several statements
+ *   { mysql: [...], postgres: [...], sqlite: [...], default: [...] }
+ *   ({ dialect, sequelize, transaction }) => statements, or a Promise
+ *
+ * Statements are sent one at a time, so triggers and procedure bodies need no
+ * DELIMITER tricks. Applied migrations are recorded in schema_migrations.
+ * PostgreSQL and SQLite run each migration in a transaction; MySQL commits
+ * DDL implicitly, so a failed MySQL migration may leave partial changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { QueryTypes } = require('sequelize');
+const { selectVariant } = require('../utils/dialects');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+const TRANSACTIONAL_DIALECTS = ['postgres', 'sqlite'];
+
+const listMigrations = (directory) => fs.readdirSync(directory)
+  .filter(file => MIGRATION_FILE.test(file))
+  .sort()
+  .map(file => ({ name: file.replace(/\.js$/, ''), file: path.join(directory, file) }));
+
+const toStatements = (value, dialect) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return [].concat(value);
+  }
+  return [].concat(selectVariant(value, dialect) || []);
+};
+
+const createMigrator = ({ sequelize, directory = MIGRATIONS_DIRECTORY }) => {
+  const dialect = sequelize.getDialect();
+
+  const ensureTable = () => sequelize.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      name VARCHAR(255) PRIMARY KEY,
+      appliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedNames = async () => {
+    await ensureTable();
+    const rows = await sequelize.query(
+      `SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY name`,
+      { type: QueryTypes.SELECT }
+    );
+    return rows.map(row => row.name);
+  };
+
+  // Migrations on disk split into applied and pending; `unknown` are recorded
+  // in the database but missing here (a newer checkout ran them)
+  const status = async () => {
+    const migrations = listMigrations(directory);
+    const applied = await appliedNames();
+    return {
+      applied: migrations.filter(migration => applied.includes(migration.name)),
+      pending: migrations.filter(migration => !applied.includes(migration.name)),
+      unknown: applied.filter(name => !migrations.some(migration => migration.name === name))
+    };
+  };
+
+  const run = async (migration, direction) => {
+    const definition = require(migration.file);
+    if (definition[direction] === undefined) {
+      throw new Error(`Migration ${migration.name} has no ${direction} step`);
+    }
+
+    const apply = async (transaction) => {
+      let steps = definition[direction];
+      if (typeof steps === 'function') {
+        steps = await steps({ dialect, sequelize, transaction });
+      }
+      const statements = toStatements(steps, dialect);
+      for (const sql of statements) {
+        await sequelize.query(sql, { transaction });
+      }
+
+      if (direction === 'up') {
+        await sequelize.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (:name)`,
+          { replacements: { name: migration.name }, transaction }
+        );
+      } else {
+        await sequelize.query(
+          `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = :name`,
+          { replacements: { name: migration.name }, transaction }
+        );
+      }
+    };
+
+    try {
+      if (TRANSACTIONAL_DIALECTS.includes(dialect)) {
+        await sequelize.transaction(transaction => apply(transaction));
+      } else {
+        await apply(undefined);
+      }
+    } catch (error) {
+      error.message = `Migration ${migration.name} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  };
+
+  return {
+    status,
+
+    // Applies every pending migration in order; returns their names
+    async migrate () {
+      const { pending } = await status();
+      for (const migration of pending) {
+        await run(migration, 'up');
+      }
+      return pending.map(migration => migration.name);
+    },
+
+    // Reverts the last `step` applied migrations, newest first
+    async rollback ({ step = 1 } = {}) {
+      const { applied, unknown } = await status();
+      if (unknown.length > 0) {
+        throw new Error(`Cannot roll back: ${unknown.join(', ')} ran from a newer checkout and are missing here`);
+      }
+      const reverted = applied.slice(-step).reverse();
+      for (const migration of reverted) {
+        await run(migration, 'down');
+      }
+      return reverted.map(migration => migration.name);
+    },
+
+    // Records migrations up to and including `target` as applied without running
+    // them, for databases whose schema was created before migrations existed
+    async baseline (target) {
+      const { applied, pending } = await status();
+      const all = [...applied, ...pending].sort((a, b) => a.name.localeCompare(b.name));
+      const index = all.findIndex(migration => migration.name === target);
+      if (index === -1) {
+        throw new Error(`Unknown migration "${target}"`);
+      }
+      const marked = pending.filter(migration => all.indexOf(migration) <= index);
+      for (const migration of marked) {
+        await sequelize.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (:name)`,
+          { replacements: { name: migration.name } }
+        );
+      }
+      return marked.map(migration => migration.name);
+    }
+  };
+};
+
+/**
+ * Startup check: throws when migrations are pending, so the API never serves
+ * a schema older than the code expects.
+ */
+const checkMigrations = async (sequelize, options = {}) => {
+  const { pending } = await createMigrator({ sequelize, ...options }).status();
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is out of date, ${pending.length} pending migration(s): ` +
+      `${pending.map(migration => migration.name).join(', ')}. Run "npm run migrate" first`
+    );
+  }
+};
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  createMigrator,
+  checkMigrations
+};
@@ -0,0 +1,234 @@
+/**
+ * Moderation
+ * Rows of entities with a `moderation` block stay hidden until a moderator
+ * approves them (isApproved). Every decision stores moderatedAt and
+ * moderatedBy, rejections also a rejectionReason; unapproved rows without a
+ * decision form the queue, oldest first. Decisions are recorded in the audit
+ * trail.
+ *
+ * Threads are the approved, live rows under a parent record (a post's
+ * comments) nested through the entity's self reference (replies), down to a
+ * given depth. Replies to hidden rows are hidden with them.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { getPrimaryKey, readField, findEntity, isSoftDeleted, createTimestamp } = require('../utils/db');
+const { trackRows } = require('./audit');
+
+const ACTIONS = ['approve', 'reject'];
+const MAX_BULK_IDS = 100;
+const MAX_REASON_LENGTH = 500;
+
+// isApproved reads back as a boolean (PostgreSQL) or 0/1 (MySQL, SQLite)
+const isApproved = (row) => {
+  const value = readField(row, 'isApproved');
+  return value === true || Number(value) === 1;
+};
+
+const liveCondition = (entity) => (entity.softDelete ? ' AND deletedAt IS NULL' : '');
+
+/**
+ * Thread settings of a moderated entity: the parent entity and the foreign
+ * key to it, and the self-referencing key replies use, both taken from the
+ * entity's belongsTo associations. Null when the entity declares no thread.
+ */
+const getThreadConfig = (entities, entity) => {
+  const thread = entity.moderation && entity.moderation.thread;
+  if (!thread) {
+    return null;
+  }
+  const belongsTo = (target) => (entity.associations || [])
+    .find(association => association.type === 'belongsTo' && association.target === target);
+  const parentAssociation = belongsTo(thread.parent);
+  const replyAssociation = belongsTo(entity.name);
+  if (!parentAssociation || !replyAssociation) {
+    throw new Error(`Entity "${entity.name}" needs belongsTo associations to ${thread.parent} and itself for its thread`);
+  }
+
+  return {
+    parent: findEntity(entities, thread.parent),
+    foreignKey: parentAssociation.foreignKey,
+    replyKey: replyAssociation.foreignKey,
+    path: thread.path || 'thread',
+    depth: thread.depth || 3,
+    maxDepth: thread.maxDepth || 10
+  };
+};
+
+/**
+ * Validate a decision { action, ids, reason }. Returns { values, errors }
+ * with errors in the validation_errors shape; routes deciding on one row
+ * with a fixed action turn off `requireAction` and `requireIds`.
+ */
+const parseDecision = (body, { requireAction = true, requireIds = true } = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (requireAction) {
+    if (!ACTIONS.includes(body.action)) {
+      errors.push({ field: 'action', message: `action must be one of: ${ACTIONS.join(', ')}` });
+    }
+    values.action = body.action;
+  }
+
+  if (requireIds) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0) {
+      errors.push({ field: 'ids', message: 'ids must be a non-empty array' });
+    } else if (body.ids.length > MAX_BULK_IDS) {
+      errors.push({ field: 'ids', message: `ids must not hold more than ${MAX_BULK_IDS} entries` });
+    } else if (body.ids.some(id => !/^\d+$/.test(String(id)))) {
+      errors.push({ field: 'ids', message: 'ids must be positive integers' });
+    } else {
+      values.ids = [...new Set(body.ids.map(Number))];
+    }
+  }
+
+  if (body.reason !== undefined && body.reason !== null && typeof body.reason !== 'string') {
+    errors.push({ field: 'reason', message: 'reason must be a string' });
+  } else {
+    values.reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (values.reason.length > MAX_REASON_LENGTH) {
+      errors.push({ field: 'reason', message: `reason must not exceed ${MAX_REASON_LENGTH} characters` });
+    }
+  }
+  return { values, errors };
+};
+
+// Checked by callers once the action is known: rejections need a reason
+const checkReason = (action, reason) => (action === 'reject' && !reason
+  ? [{ field: 'reason', message: 'reason is required when rejecting' }]
+  : []);
+
+/**
+ * Approve or reject the live rows among `ids` in one transaction.
+ * Returns { action, ids, missing }: the rows decided on, and the ids that do
+ * not exist or are deleted.
+ */
+const moderateRecords = async (sequelize, entity, ids, { action, reason, moderator }) => {
+  const primaryKey = getPrimaryKey(entity);
+
+  return sequelize.transaction(async (transaction) => {
+    const rows = await sequelize.query(
+      `SELECT * FROM ${entity.name} WHERE ${primaryKey} IN (:ids)`,
+      { replacements: { ids }, type: QueryTypes.SELECT, transaction }
+    );
+    const found = rows
+      .filter(row => !isSoftDeleted(entity, row))
+      .map(row => readField(row, primaryKey));
+    const foundKeys = new Set(found.map(String));
+    const missing = ids.filter(id => !foundKeys.has(String(id)));
+
+    if (found.length > 0) {
+      const audit = await trackRows(sequelize, entity.name, found.map(id => ({ [primaryKey]: id })), { transaction });
+      await sequelize.query(
+        `UPDATE ${entity.name}
+         SET isApproved = :approved, moderatedAt = :moderatedAt, moderatedBy = :moderatedBy, rejectionReason = :reason
+         WHERE ${primaryKey} IN (:ids)`,
+        {
+          replacements: {
+            approved: action === 'approve',
+            moderatedAt: createTimestamp(),
+            moderatedBy: moderator && /^\d+$/.test(String(moderator.id)) ? Number(moderator.id) : null,
+            reason: action === 'reject' ? reason : null,
+            ids: found
+          },
+          type: QueryTypes.UPDATE,
+          transaction
+        }
+      );
+      await audit.record();
+    }
+
+    return { action, ids: found, missing };
+  });
+};
+
+/**
+ * The moderation queue, oldest first: { rows, pagination }. `filters` limits
+ * it by column ({ postId }).
+ */
+const listPending = async (sequelize, entity, { page = 1, limit = 20, filters = {} }) => {
+  const columns = Object.keys(filters).filter(column => filters[column] !== undefined && filters[column] !== null);
+  const where = [
+    'isApproved = FALSE AND moderatedAt IS NULL',
+    ...columns.map(column => `${column} = :${column}`)
+  ].join(' AND ') + liveCondition(entity);
+  const replacements = {};
+  columns.forEach(column => { replacements[column] = filters[column]; });
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${entity.name} WHERE ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+  const rows = await sequelize.query(
+    `SELECT * FROM ${entity.name} WHERE ${where}
+     ORDER BY createdAt ASC, ${getPrimaryKey(entity)} ASC LIMIT :limit OFFSET :offset`,
+    { replacements: { ...replacements, limit, offset: (page - 1) * limit }, type: QueryTypes.SELECT }
+  );
+  return {
+    rows,
+    pagination: { page, limit, total: Number(total), totalPages: Math.ceil(Number(total) / limit) }
+  };
+};
+
+/**
+ * Approved, live rows under parent record `parentId` as a tree: { rows, total }.
+ * Each row carries `replies` (down to `depth` levels, 1 = top level only) and
+ * `replyCount`, its number of visible replies even where the tree is cut;
+ * `total` counts the visible rows at every depth. Returns null when the
+ * parent does not exist or is deleted.
+ */
+const getThread = async (sequelize, entities, entity, parentId, { depth }) => {
+  const thread = getThreadConfig(entities, entity);
+  const primaryKey = getPrimaryKey(entity);
+
+  const [parent] = await sequelize.query(
+    `SELECT * FROM ${thread.parent.name} WHERE ${getPrimaryKey(thread.parent)} = :parentId`,
+    { replacements: { parentId }, type: QueryTypes.SELECT }
+  );
+  if (!parent || isSoftDeleted(thread.parent, parent)) {
+    return null;
+  }
+
+  const rows = await sequelize.query(
+    `SELECT * FROM ${entity.name}
+     WHERE ${thread.foreignKey} = :parentId AND isApproved = TRUE${liveCondition(entity)}
+     ORDER BY createdAt ASC, ${primaryKey} ASC`,
+    { replacements: { parentId }, type: QueryTypes.SELECT }
+  );
+
+  const children = new Map();
+  rows.forEach(row => {
+    const replyTo = readField(row, thread.replyKey);
+    const key = replyTo === null || replyTo === undefined ? null : String(replyTo);
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(row);
+  });
+
+  // Rows replying to a hidden row are never reached from the top level
+  const countBelow = key => (children.get(key) || [])
+    .reduce((count, row) => count + 1 + countBelow(String(readField(row, primaryKey))), 0);
+  const build = (key, level) => (children.get(key) || []).map(row => {
+    const id = String(readField(row, primaryKey));
+    return {
+      ...row,
+      replyCount: (children.get(id) || []).length,
+      replies: level < depth ? build(id, level + 1) : []
+    };
+  });
+
+  return { rows: build(null, 1), total: countBelow(null) };
+};
+
+module.exports = {
+  ACTIONS,
+  isApproved,
+  getThreadConfig,
+  parseDecision,
+  checkReason,
+  moderateRecords,
+  listPending,
+  getThread
+};
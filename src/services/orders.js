@@ -0,0 +1,213 @@
+/**
+ * Order placement
+ * Creates an order and all of its order_items in one transaction: the
+ * order_uuid is generated here, each unit_price is copied from products at
+ * the time of the order and total_amount is the sum of unit_price × quantity.
+ * Stock for every line is reserved in the same transaction (services/stock.js).
+ * Any failure rolls the whole order back, so no partial orders are stored.
+ *
+ * Input: { customer_name, items: [{ product_id, quantity }] }. Repeated
+ * products are merged into one line (order_items is keyed by order and product).
+ *
+ * Status changes go through changeOrderStatus: pending orders can be completed
+ * (reserved stock is shipped) or cancelled (reserved stock is released).
+ * Both record their writes in the audit trail within the same transaction.
+ */
+
+const { randomUUID } = require('crypto');
+const { QueryTypes } = require('sequelize');
+const { readField } = require('../utils/db');
+const { parseParameters } = require('../utils/parameters');
+const { forUpdate, lockingTransaction } = require('../utils/dialects');
+const { createHttpError } = require('../utils/errors');
+const { reserveStock, settleReservations } = require('./stock');
+const { trackRows } = require('./audit');
+
+const MAX_ORDER_ITEMS = 100;
+
+const ORDER_PARAMETERS = [
+  { name: 'customer_name', type: 'STRING', required: true, maxLength: 100 }
+];
+
+const ITEM_PARAMETERS = [
+  { name: 'product_id', type: 'INTEGER', required: true, min: 1 },
+  { name: 'quantity', type: 'INTEGER', default: 1, min: 1, max: 10000 }
+];
+
+const ORDER_TRANSITIONS = {
+  pending: ['completed', 'cancelled']
+};
+
+// Prices are summed in cents so that DECIMAL(10,2) totals come out exact
+const toCents = (price) => Math.round(Number(price) * 100);
+
+/**
+ * Check and normalize a placement request.
+ * Returns { values, errors } where errors use the validation_errors shape.
+ */
+const parseOrder = (input = {}) => {
+  const { values, errors } = parseParameters(ORDER_PARAMETERS, input);
+  const items = input.items;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push({ field: 'items', message: 'items must be a non-empty list' });
+    return { values, errors };
+  }
+  if (items.length > MAX_ORDER_ITEMS) {
+    errors.push({ field: 'items', message: `items can hold at most ${MAX_ORDER_ITEMS} entries` });
+    return { values, errors };
+  }
+
+  const quantities = new Map();
+  items.forEach((item, index) => {
+    const parsed = parseParameters(ITEM_PARAMETERS, item && typeof item === 'object' ? item : {});
+    parsed.errors.forEach(error => errors.push({ ...error, field: `items[${index}].${error.field}` }));
+    if (parsed.errors.length === 0) {
+      const { product_id: productId, quantity } = parsed.values;
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    }
+  });
+
+  values.items = [...quantities].map(([productId, quantity]) => ({ product_id: productId, quantity }));
+  return { values, errors };
+};
+
+const loadPrices = async (sequelize, productIds, transaction) => {
+  const rows = await sequelize.query(
+    'SELECT product_id, price FROM products WHERE product_id IN (:productIds)',
+    { replacements: { productIds }, type: QueryTypes.SELECT, transaction }
+  );
+  return new Map(rows.map(row => [Number(readField(row, 'product_id')), readField(row, 'price')]));
+};
+
+// Returns the stored order with its items, inside or outside a transaction
+const findOrder = async (sequelize, orderUuid, { transaction } = {}) => {
+  const [order] = await sequelize.query(
+    'SELECT order_uuid, customer_name, total_amount, status, created_at FROM orders WHERE order_uuid = :orderUuid',
+    { replacements: { orderUuid }, type: QueryTypes.SELECT, transaction }
+  );
+  if (!order) {
+    return null;
+  }
+
+  const items = await sequelize.query(
+    'SELECT product_id, quantity, unit_price FROM order_items WHERE order_uuid = :orderUuid ORDER BY product_id',
+    { replacements: { orderUuid }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return {
+    order_uuid: readField(order, 'order_uuid'),
+    customer_name: readField(order, 'customer_name'),
+    total_amount: Number(readField(order, 'total_amount')),
+    status: readField(order, 'status'),
+    created_at: readField(order, 'created_at'),
+    items: items.map(item => {
+      const quantity = Number(readField(item, 'quantity'));
+      const unitPrice = toCents(readField(item, 'unit_price'));
+      return {
+        product_id: Number(readField(item, 'product_id')),
+        quantity,
+        unit_price: unitPrice / 100,
+        line_total: (unitPrice * quantity) / 100
+      };
+    })
+  };
+};
+
+/**
+ * Place an order from already parsed values (see parseOrder).
+ * Throws an error with status 422 when a product does not exist and 409
+ * when there is not enough stock.
+ */
+const placeOrder = async (sequelize, { customer_name: customerName, items }) => {
+  return sequelize.transaction(lockingTransaction(sequelize.getDialect()), async (transaction) => {
+    const prices = await loadPrices(sequelize, items.map(item => item.product_id), transaction);
+
+    const missing = items
+      .filter(item => !prices.has(item.product_id))
+      .map(item => ({ field: 'product_id', message: `products record ${item.product_id} does not exist` }));
+    if (missing.length > 0) {
+      throw createHttpError(422, 'Order references unknown products', missing);
+    }
+
+    const orderUuid = randomUUID();
+    const lines = items.map(item => ({ ...item, unit_price: toCents(prices.get(item.product_id)) }));
+    const orderAudit = await trackRows(sequelize, 'orders', [], { transaction });
+    const itemAudit = await trackRows(sequelize, 'order_items', [], { transaction });
+    orderAudit.add({ order_uuid: orderUuid });
+    lines.forEach(line => itemAudit.add({ order_uuid: orderUuid, product_id: line.product_id }));
+    const totalCents = lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+
+    await sequelize.query(
+      `INSERT INTO orders (order_uuid, customer_name, total_amount, status)
+       VALUES (:orderUuid, :customerName, :totalAmount, 'pending')`,
+      {
+        replacements: { orderUuid, customerName, totalAmount: totalCents / 100 },
+        type: QueryTypes.INSERT,
+        transaction
+      }
+    );
+
+    const replacements = { orderUuid };
+    const rows = lines.map((line, index) => {
+      replacements[`product_${index}`] = line.product_id;
+      replacements[`quantity_${index}`] = line.quantity;
+      replacements[`price_${index}`] = line.unit_price / 100;
+      return `(:orderUuid, :product_${index}, :quantity_${index}, :price_${index})`;
+    });
+    await sequelize.query(
+      `INSERT INTO order_items (order_uuid, product_id, quantity, unit_price) VALUES ${rows.join(', ')}`,
+      { replacements, type: QueryTypes.INSERT, transaction }
+    );
+
+    await reserveStock(sequelize, orderUuid, items, transaction);
+    await orderAudit.record();
+    await itemAudit.record();
+
+    return findOrder(sequelize, orderUuid, { transaction });
+  });
+};
+
+/**
+ * Move an order to `status` and settle its stock reservations in one
+ * transaction. Returns null for unknown orders; throws 422 for transitions
+ * that ORDER_TRANSITIONS does not allow.
+ */
+const changeOrderStatus = async (sequelize, orderUuid, status) => {
+  return sequelize.transaction(lockingTransaction(sequelize.getDialect()), async (transaction) => {
+    const [order] = await sequelize.query(
+      `SELECT order_uuid, status FROM orders WHERE order_uuid = :orderUuid${forUpdate(sequelize.getDialect())}`,
+      { replacements: { orderUuid }, type: QueryTypes.SELECT, transaction }
+    );
+    if (!order) {
+      return null;
+    }
+
+    const from = readField(order, 'status');
+    if (!(ORDER_TRANSITIONS[from] || []).includes(status)) {
+      throw createHttpError(422, 'Invalid status change', [{
+        field: 'status',
+        message: `status cannot change from ${from} to ${status}`
+      }]);
+    }
+
+    const audit = await trackRows(sequelize, 'orders', [order], { transaction });
+    await settleReservations(sequelize, orderUuid, status === 'completed' ? 'complete' : 'release', transaction);
+    await sequelize.query(
+      'UPDATE orders SET status = :status WHERE order_uuid = :orderUuid',
+      { replacements: { orderUuid, status }, type: QueryTypes.UPDATE, transaction }
+    );
+    await audit.record();
+
+    return findOrder(sequelize, orderUuid, { transaction });
+  });
+};
+
+module.exports = {
+  MAX_ORDER_ITEMS,
+  parseOrder,
+  placeOrder,
+  changeOrderStatus,
+  findOrder,
+  ORDER_TRANSITIONS
+};
@@ -0,0 +1,135 @@
+/**
+ * Procedure execution
+ * A `procedure` entity calls the stored procedure (MySQL) or set-returning
+ * function (PostgreSQL) named by `procedure`. Dialects without procedures
+ * (SQLite) run the handler registered under the entity's `handler` name
+ * (default: the entity name) instead, with the same parameters and rows.
+ *
+ * A handler is either SQL with named parameters, optionally per dialect:
+ *
+ *   user_summary: { sql: { sqlite: 'SELECT ... WHERE u.id = :user_id' } }
+ *
+ * or a function: async ({ sequelize, params, dialect }) => rows
+ */
+
+const { runQuery } = require('../utils/db');
+const { selectVariant } = require('../utils/dialects');
+const { getTerms, toFtsQuery } = require('./search');
+
+const PROCEDURE_DIALECTS = ['mysql', 'postgres'];
+
+const procedureHandlers = {
+  // Mirrors the user_summary procedure in migrations/001-blog-schema.js
+  user_summary: {
+    sql: {
+      sqlite: `
+        SELECT
+          u.id,
+          u.username,
+          u.email,
+          (COALESCE(u.firstName, '') || ' ' || COALESCE(u.lastName, '')) as fullName,
+          u.bio,
+          u.isActive,
+          COUNT(DISTINCT p.id) as totalPosts,
+          COUNT(DISTINCT CASE WHEN p.status = 'published' THEN p.id END) as publishedPosts,
+          COUNT(DISTINCT c.id) as totalComments,
+          COALESCE(SUM(p.views), 0) as totalViews,
+          COALESCE(SUM(p.likes), 0) as totalLikes,
+          u.createdAt as joinedAt,
+          CAST(JULIANDAY('now') - JULIANDAY(u.createdAt) AS INTEGER) as daysSinceJoined,
+          (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) as engagementScore,
+          CASE
+            WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 100 THEN 'High'
+            WHEN (COALESCE(SUM(p.views), 0) + COALESCE(SUM(p.likes), 0) * 2 + COUNT(DISTINCT c.id) * 3) > 50 THEN 'Medium'
+            ELSE 'Low'
+          END as engagementLevel
+        FROM users u
+        LEFT JOIN posts p ON u.id = p.userId AND p.deletedAt IS NULL
+        LEFT JOIN comments c ON u.id = c.userId AND c.deletedAt IS NULL
+        WHERE u.id = :user_id AND u.deletedAt IS NULL
+        GROUP BY u.id, u.username, u.email, u.firstName, u.lastName, u.bio, u.isActive, u.createdAt
+      `
+    }
+  }
+};
+
+// Stored procedures are called positionally, in declaration order
+const buildProcedureCall = (entity, dialect) => {
+  const args = (entity.parameters || []).map(parameter => `:${parameter.name}`).join(', ');
+  const procedure = entity.procedure || entity.name;
+
+  if (dialect === 'mysql') {
+    return `CALL ${procedure}(${args})`;
+  }
+  if (dialect === 'postgres') {
+    return `SELECT * FROM ${procedure}(${args})`;
+  }
+  return null;
+};
+
+// Returns async (sequelize, params) => rows, or null when `dialect` has no backing
+const resolveProcedure = (entity, dialect) => {
+  if (PROCEDURE_DIALECTS.includes(dialect)) {
+    const sql = buildProcedureCall(entity, dialect);
+    return (sequelize, params) => runQuery(sequelize, sql, params);
+  }
+
+  const handler = procedureHandlers[entity.handler || entity.name];
+  if (typeof handler === 'function') {
+    return (sequelize, params) => handler({ sequelize, params, dialect });
+  }
+  const sql = handler && handler.sql !== undefined ? selectVariant(handler.sql, dialect) : undefined;
+  return sql ? (sequelize, params) => runQuery(sequelize, sql, params) : null;
+};
+
+/**
+ * Parameters declared `fullText: true` hold search terms. FTS5 would read
+ * them as its query syntax (`don't` and `C++` are syntax errors), so on
+ * SQLite they are bound as quoted words that must all match, like
+ * services/search.js does; no words match nothing.
+ */
+const toFullTextParams = (entity, dialect, params) => {
+  const fullText = (entity.parameters || []).filter(parameter => parameter.fullText);
+  if (dialect !== 'sqlite' || fullText.length === 0) {
+    return params;
+  }
+  const bound = { ...params };
+  fullText
+    .filter(parameter => typeof bound[parameter.name] === 'string')
+    .forEach(parameter => {
+      const terms = getTerms(bound[parameter.name]);
+      bound[parameter.name] = terms.length > 0 ? toFtsQuery(terms) : '""';
+    });
+  return bound;
+};
+
+// Query and procedure entities share one executor shape for REST and GraphQL
+const resolveExecutor = (entity, dialect) => {
+  if (entity.type === 'procedure') {
+    return resolveProcedure(entity, dialect);
+  }
+  const sql = selectVariant(entity.sql, dialect);
+  return sql ? (sequelize, params) => runQuery(sequelize, sql, toFullTextParams(entity, dialect, params)) : null;
+};
+
+// Startup check: every procedure needs a stored procedure or a handler on `dialect`
+const checkProcedureSupport = (entities, dialect) => {
+  const missing = entities
+    .filter(entity => entity.type === 'procedure' && !resolveProcedure(entity, dialect))
+    .map(entity => entity.handler || entity.name);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `${dialect} has no stored procedures and no handler is registered for: ${missing.join(', ')}. ` +
+      'Add them to procedureHandlers in services/procedures.js'
+    );
+  }
+};
+
+module.exports = {
+  procedureHandlers,
+  buildProcedureCall,
+  resolveProcedure,
+  resolveExecutor,
+  checkProcedureSupport
+};
@@ -0,0 +1,265 @@
+/**
+ * Full-text Search
+ * Ranked post and comment search on each dialect's native engine:
+ *
+ *   sqlite   - FTS5 tables (posts_fts, comments_fts) ranked by bm25
+ *   postgres - to_tsvector / plainto_tsquery ranked by ts_rank
+ *   mysql    - FULLTEXT indexes with MATCH ... AGAINST (natural language mode)
+ *
+ * Only published posts and approved comments on published posts are searched.
+ * Highlights wrap matched terms in <mark>; everything else is HTML-escaped.
+ */
+
+const { QueryTypes } = require('sequelize');
+
+const SEARCH_PARAMETERS = [
+  { name: 'q', type: 'STRING', required: true, maxLength: 200 },
+  { name: 'category', type: 'STRING', maxLength: 100 },
+  { name: 'author', type: 'STRING', maxLength: 50 },
+  { name: 'page', type: 'INTEGER', default: 1, min: 1 },
+  { name: 'limit', type: 'INTEGER', default: 10, min: 1, max: 50 }
+];
+
+// Engines mark matches with these; they are swapped for <mark> after escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const SNIPPET_WORDS = 32;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const formatHighlight = (text) => {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  return escapeHtml(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+};
+
+const getTerms = (q) => String(q).match(/[\p{L}\p{N}_]+/gu) || [];
+
+// FTS5 syntax is not exposed to clients: every term is quoted and all must match
+const toFtsQuery = (terms) => terms.map(term => `"${term}"`).join(' ');
+
+// MySQL has no highlighter, so matches and snippets are computed here
+const markTerms = (text, terms) => {
+  if (!text) {
+    return text;
+  }
+  const alternatives = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+  return text.replace(pattern, `${MARK_START}$1${MARK_END}`);
+};
+
+const snippetAround = (text, terms) => {
+  if (!text) {
+    return text;
+  }
+  const words = text.split(/\s+/);
+  if (words.length <= SNIPPET_WORDS) {
+    return markTerms(text, terms);
+  }
+  const lowered = terms.map(term => term.toLowerCase());
+  const hit = Math.max(0, words.findIndex(word =>
+    getTerms(word).some(part => lowered.includes(part.toLowerCase()))
+  ));
+  const start = Math.max(0, Math.min(hit - Math.floor(SNIPPET_WORDS / 4), words.length - SNIPPET_WORDS));
+  const end = start + SNIPPET_WORDS;
+  const excerpt = words.slice(start, end).join(' ');
+  return `${start > 0 ? '…' : ''}${markTerms(excerpt, terms)}${end < words.length ? '…' : ''}`;
+};
+
+/**
+ * Per-dialect SQL fragments for a search target:
+ * join (extra FROM clause), match (WHERE), score, title and snippet expressions.
+ */
+const ENGINES = {
+  sqlite: (target) => ({
+    join: `JOIN ${target.ftsTable} ON ${target.ftsTable}.rowid = ${target.alias}.id`,
+    match: `${target.ftsTable} MATCH :match`,
+    score: `-bm25(${target.ftsTable})`,
+    title: target.title ? `highlight(${target.ftsTable}, 0, :mark_start, :mark_end)` : null,
+    snippet: `snippet(${target.ftsTable}, ${target.title ? 1 : 0}, :mark_start, :mark_end, '…', ${SNIPPET_WORDS})`
+  }),
+  postgres: (target) => {
+    const document = `to_tsvector('english', ${target.columns.join(" || ' ' || ")})`;
+    return {
+      join: "CROSS JOIN plainto_tsquery('english', :q) AS search_query",
+      match: `${document} @@ search_query`,
+      score: `ts_rank(${document}, search_query)`,
+      title: target.title ? `ts_headline('english', ${target.title}, search_query, :title_options)` : null,
+      snippet: `ts_headline('english', ${target.body}, search_query, :snippet_options)`
+    };
+  },
+  mysql: (target) => {
+    const match = `MATCH(${target.columns.join(', ')}) AGAINST (:q IN NATURAL LANGUAGE MODE)`;
+    return {
+      join: '',
+      match,
+      score: match,
+      title: target.title,
+      snippet: target.body,
+      highlightInApp: true
+    };
+  }
+};
+
+const TARGETS = {
+  posts: {
+    alias: 'p',
+    ftsTable: 'posts_fts',
+    columns: ['p.title', 'p.content'],
+    title: 'p.title',
+    body: 'p.content',
+    from: 'posts p JOIN users u ON u.id = p.userId JOIN categories c ON c.id = p.categoryId',
+    conditions: ["p.status = 'published'", 'p.deletedAt IS NULL'],
+    select: [
+      'p.id',
+      'p.title',
+      'p.slug',
+      'p.excerpt',
+      'p.publishedAt AS published_at',
+      'p.views',
+      'p.likes',
+      'u.id AS author_id',
+      'u.username AS author',
+      'c.id AS category_id',
+      'c.name AS category',
+      'c.slug AS category_slug'
+    ],
+    toResult: (row) => ({
+      id: row.id,
+      title: row.title,
+      slug: row.slug,
+      excerpt: row.excerpt,
+      publishedAt: row.published_at,
+      views: row.views,
+      likes: row.likes,
+      author: { id: row.author_id, username: row.author },
+      category: { id: row.category_id, name: row.category, slug: row.category_slug }
+    })
+  },
+  comments: {
+    alias: 'cm',
+    ftsTable: 'comments_fts',
+    columns: ['cm.content'],
+    title: null,
+    body: 'cm.content',
+    from: 'comments cm JOIN posts p ON p.id = cm.postId JOIN users u ON u.id = cm.userId JOIN categories c ON c.id = p.categoryId',
+    conditions: ['cm.isApproved = TRUE', 'cm.deletedAt IS NULL', "p.status = 'published'", 'p.deletedAt IS NULL'],
+    select: [
+      'cm.id',
+      'cm.createdAt AS created_at',
+      'p.id AS post_id',
+      'p.title AS post_title',
+      'p.slug AS post_slug',
+      'u.id AS author_id',
+      'u.username AS author'
+    ],
+    toResult: (row) => ({
+      id: row.id,
+      createdAt: row.created_at,
+      post: { id: row.post_id, title: row.post_title, slug: row.post_slug },
+      author: { id: row.author_id, username: row.author }
+    })
+  }
+};
+
+// Numeric filters match ids, anything else the category slug or username
+const buildFilters = ({ category, author }) => {
+  const conditions = [];
+  const replacements = {};
+  if (category) {
+    conditions.push(/^\d+$/.test(category) ? 'c.id = :category' : 'c.slug = :category');
+    replacements.category = /^\d+$/.test(category) ? Number(category) : category;
+  }
+  if (author) {
+    conditions.push(/^\d+$/.test(author) ? 'u.id = :author' : 'u.username = :author');
+    replacements.author = /^\d+$/.test(author) ? Number(author) : author;
+  }
+  return { conditions, replacements };
+};
+
+/**
+ * Search `targetName` (posts or comments) with { q, category, author, page, limit }.
+ * Returns { results, pagination }; each result carries its score, a
+ * highlighted snippet and, for posts, titleHighlight.
+ */
+const search = async (sequelize, targetName, { q, category, author, page = 1, limit = 10 }) => {
+  const target = TARGETS[targetName];
+  const dialect = sequelize.getDialect();
+  if (!target || !ENGINES[dialect]) {
+    throw new Error(`Search is not available for ${targetName} on ${dialect}`);
+  }
+
+  const terms = getTerms(q);
+  const empty = { results: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+  if (terms.length === 0) {
+    return empty;
+  }
+
+  const engine = ENGINES[dialect](target);
+  const filters = buildFilters({ category, author });
+  const where = [engine.match, ...target.conditions, ...filters.conditions].join(' AND ');
+  const from = [target.from, engine.join].filter(Boolean).join(' ');
+  const replacements = {
+    ...filters.replacements,
+    q,
+    match: toFtsQuery(terms),
+    mark_start: MARK_START,
+    mark_end: MARK_END,
+    title_options: `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`,
+    snippet_options: `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=${SNIPPET_WORDS}, MinWords=${SNIPPET_WORDS / 2}`,
+    limit,
+    offset: (page - 1) * limit
+  };
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+  if (Number(total) === 0) {
+    return empty;
+  }
+
+  const select = [
+    ...target.select,
+    `${engine.score} AS score`,
+    ...(engine.title ? [`${engine.title} AS title_highlight`] : []),
+    `${engine.snippet} AS snippet`
+  ];
+  const rows = await sequelize.query(
+    `SELECT ${select.join(', ')} FROM ${from} WHERE ${where} ` +
+    `ORDER BY score DESC, ${target.alias}.id DESC LIMIT :limit OFFSET :offset`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  const results = rows.map(row => {
+    const title = engine.highlightInApp ? markTerms(row.title_highlight, terms) : row.title_highlight;
+    const snippet = engine.highlightInApp ? snippetAround(row.snippet, terms) : row.snippet;
+    return {
+      ...target.toResult(row),
+      score: Math.round(Number(row.score) * 10000) / 10000,
+      ...(engine.title ? { titleHighlight: formatHighlight(title) } : {}),
+      snippet: formatHighlight(snippet)
+    };
+  });
+
+  return {
+    results,
+    pagination: { page, limit, total: Number(total), totalPages: Math.ceil(Number(total) / limit) }
+  };
+};
+
+const searchPosts = (sequelize, params) => search(sequelize, 'posts', params);
+const searchComments = (sequelize, params) => search(sequelize, 'comments', params);
+
+module.exports = {
+  SEARCH_PARAMETERS,
+  getTerms,
+  toFtsQuery,
+  searchPosts,
+  searchComments
+};
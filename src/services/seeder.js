@@ -0,0 +1,378 @@
+/**
+ * Fixture seeding
+ * Fixtures live in data/fixtures/<environment>/<entity>.json (or .js exporting
+ * an array, or a function returning one). Entities load in dependency order
+ * derived from their belongsTo associations and integrity references, so
+ * posts come after users and categories whatever the file names are.
+ *
+ * Rows are identified by the entity's `naturalKey` (default: the first
+ * `validation.uniqueFields` entry, then the primary key): rows that already
+ * exist are skipped, so seeding twice is harmless. Foreign keys may be given
+ * as a lookup on the referenced table instead of an id:
+ *
+ *   { "title": "...", "userId": { "username": "johndoe" }, "categoryId": { "slug": "technology" } }
+ *
+ * Fields handled outside the table (users' plain `password`) are registered
+ * in seedHandlers. generate() adds fake posts and comments for load testing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { QueryTypes } = require('sequelize');
+const { readField } = require('../utils/db');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, '..', 'data', 'fixtures');
+const FIXTURE_FILE = /^([\w-]+)\.(json|js)$/;
+const INSERT_BATCH_SIZE = 200;
+
+const seedHandlers = {
+  users: {
+    // Only the bcrypt hash is stored, in user_credentials
+    password: async ({ sequelize, transaction, id, value }) => {
+      const passwordHash = await bcrypt.hash(String(value), 10);
+      await sequelize.query(
+        'INSERT INTO user_credentials (userId, passwordHash) VALUES (:userId, :passwordHash)',
+        { replacements: { userId: id, passwordHash }, transaction }
+      );
+    }
+  }
+};
+
+const toArray = (value) => [].concat(value);
+
+// Foreign key -> referenced entity name, from belongsTo associations and integrity references
+const getReferences = (entity) => {
+  const references = {};
+  (entity.associations || [])
+    .filter(association => association.type === 'belongsTo')
+    .forEach(association => { references[association.foreignKey] = association.target; });
+  Object.entries((entity.integrity && entity.integrity.references) || {})
+    .forEach(([field, reference]) => { references[field] = reference.entity; });
+  return references;
+};
+
+/**
+ * Table entities ordered so every entity comes after the ones it references
+ * (self references such as comments.parentId are ignored). Throws on cycles.
+ */
+const sortByDependencies = (entities) => {
+  const tables = entities.filter(entity => entity.type === 'table');
+  const names = tables.map(entity => entity.name);
+  const sorted = [];
+  const visiting = new Set();
+
+  const visit = (entity, trail) => {
+    if (sorted.includes(entity)) {
+      return;
+    }
+    if (visiting.has(entity.name)) {
+      throw new Error(`Circular references between entities: ${[...trail, entity.name].join(' -> ')}`);
+    }
+    visiting.add(entity.name);
+    Object.values(getReferences(entity))
+      .filter(target => target !== entity.name && names.includes(target))
+      .forEach(target => visit(tables.find(other => other.name === target), [...trail, entity.name]));
+    visiting.delete(entity.name);
+    sorted.push(entity);
+  };
+
+  tables.forEach(entity => visit(entity, []));
+  return sorted;
+};
+
+// Small deterministic PRNG (mulberry32) so generated data can be reproduced
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability
+  };
+};
+
+const WORDS = [
+  'api', 'build', 'cache', 'data', 'deploy', 'design', 'docker', 'edge', 'fast', 'guide',
+  'index', 'java', 'kotlin', 'layer', 'model', 'node', 'offline', 'query', 'react', 'scale',
+  'schema', 'server', 'simple', 'stack', 'stream', 'test', 'tips', 'travel', 'update', 'web'
+];
+
+const sentence = (random, min, max) => {
+  const words = Array.from({ length: random.int(min, max) }, () => random.pick(WORDS));
+  const text = words.join(' ');
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+};
+
+const createSeeder = ({ sequelize, entities, directory = FIXTURES_DIRECTORY }) => {
+  const tables = {};
+
+  // Columns and primary key per table; PostgreSQL reports folded (lower-case) names
+  const describe = async (entity) => {
+    if (!tables[entity.name]) {
+      const description = await sequelize.getQueryInterface().describeTable(entity.name);
+      const columns = Object.keys(description);
+      tables[entity.name] = {
+        columns: columns.map(column => column.toLowerCase()),
+        primaryKey: columns.filter(column => description[column].primaryKey)
+      };
+    }
+    return tables[entity.name];
+  };
+
+  const getNaturalKey = async (entity) => {
+    if (entity.naturalKey) {
+      return toArray(entity.naturalKey);
+    }
+    if (entity.validation && entity.validation.uniqueFields && entity.validation.uniqueFields.length > 0) {
+      return [entity.validation.uniqueFields[0]];
+    }
+    return (await describe(entity)).primaryKey;
+  };
+
+  const whereClause = (fields, row, prefix) => {
+    const replacements = {};
+    const conditions = fields.map((field, index) => {
+      if (row[field] === null || row[field] === undefined) {
+        return `${field} IS NULL`;
+      }
+      replacements[`${prefix}${index}`] = row[field];
+      return `${field} = :${prefix}${index}`;
+    });
+    return { sql: conditions.join(' AND '), replacements };
+  };
+
+  const findOne = async (entity, fields, row, transaction) => {
+    const { primaryKey } = await describe(entity);
+    const where = whereClause(fields, row, 'key_');
+    const rows = await sequelize.query(
+      `SELECT ${primaryKey.join(', ')} FROM ${entity.name} WHERE ${where.sql}`,
+      { replacements: where.replacements, type: QueryTypes.SELECT, transaction }
+    );
+    if (rows.length > 1) {
+      throw new Error(`${entity.name} lookup ${JSON.stringify(row)} matches ${rows.length} rows`);
+    }
+    return rows[0] || null;
+  };
+
+  const readFixtures = async (environment) => {
+    const folder = path.join(directory, environment);
+    if (!fs.existsSync(folder)) {
+      throw new Error(`Unknown seed environment "${environment}" (expected one of: ${listEnvironments().join(', ')})`);
+    }
+
+    const fixtures = {};
+    for (const file of fs.readdirSync(folder)) {
+      const match = file.match(FIXTURE_FILE);
+      if (!match) {
+        continue;
+      }
+      const [, name, extension] = match;
+      if (!entities.some(entity => entity.name === name && entity.type === 'table')) {
+        throw new Error(`data/fixtures/${environment}/${file} does not match a table entity`);
+      }
+      let rows = extension === 'json'
+        ? JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'))
+        : require(path.join(folder, file));
+      if (typeof rows === 'function') {
+        rows = await rows({ environment });
+      }
+      if (!Array.isArray(rows)) {
+        throw new Error(`data/fixtures/${environment}/${file} must contain an array of rows`);
+      }
+      fixtures[name] = rows;
+    }
+    return fixtures;
+  };
+
+  // Replaces { column: value } lookups in foreign keys with the referenced primary key
+  const resolveReferences = async (entity, row, transaction) => {
+    const references = getReferences(entity);
+    const resolved = { ...row };
+
+    for (const field of Object.keys(row)) {
+      const value = row[field];
+      if (!value || typeof value !== 'object' || value instanceof Date) {
+        continue;
+      }
+      const target = entities.find(other => other.name === references[field]);
+      if (!target) {
+        throw new Error(`${entity.name}.${field} is not a reference, so it cannot be a lookup`);
+      }
+      const match = await findOne(target, Object.keys(value), value, transaction);
+      if (!match) {
+        throw new Error(`${entity.name}.${field}: no ${target.name} row matches ${JSON.stringify(value)}`);
+      }
+      const { primaryKey } = await describe(target);
+      resolved[field] = readField(match, primaryKey[0]);
+    }
+    return resolved;
+  };
+
+  const insertRows = async (entity, rows, transaction) => {
+    const { columns } = await describe(entity);
+    const fields = Object.keys(rows[0]);
+    const unknown = fields.filter(field => !columns.includes(field.toLowerCase()));
+    if (unknown.length > 0) {
+      throw new Error(`${entity.name} has no column(s): ${unknown.join(', ')}`);
+    }
+
+    const replacements = {};
+    const values = rows.map((row, rowIndex) => `(${fields.map((field, index) => {
+      replacements[`v${rowIndex}_${index}`] = row[field] === undefined ? null : row[field];
+      return `:v${rowIndex}_${index}`;
+    }).join(', ')})`);
+
+    await sequelize.query(
+      `INSERT INTO ${entity.name} (${fields.join(', ')}) VALUES ${values.join(', ')}`,
+      { replacements, transaction }
+    );
+  };
+
+  const seedEntity = async (entity, rows, transaction) => {
+    const naturalKey = await getNaturalKey(entity);
+    const { primaryKey } = await describe(entity);
+    const handlers = seedHandlers[entity.name] || {};
+    const result = { inserted: 0, skipped: 0 };
+
+    for (const fixture of rows) {
+      const handled = Object.keys(fixture).filter(field => handlers[field]);
+      const data = {};
+      Object.keys(fixture)
+        .filter(field => !handlers[field])
+        .forEach(field => { data[field] = fixture[field]; });
+
+      const row = await resolveReferences(entity, data, transaction);
+      const missing = naturalKey.filter(field => row[field] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`${entity.name} fixture ${JSON.stringify(fixture)} has no ${missing.join(', ')} (natural key)`);
+      }
+
+      if (await findOne(entity, naturalKey, row, transaction)) {
+        result.skipped += 1;
+        continue;
+      }
+      await insertRows(entity, [row], transaction);
+      result.inserted += 1;
+
+      if (handled.length > 0) {
+        const inserted = await findOne(entity, naturalKey, row, transaction);
+        for (const field of handled) {
+          await handlers[field]({ sequelize, transaction, id: readField(inserted, primaryKey[0]), value: fixture[field], row });
+        }
+      }
+    }
+    return result;
+  };
+
+  const listEnvironments = () => (fs.existsSync(directory) ? fs.readdirSync(directory) : [])
+    .filter(name => fs.statSync(path.join(directory, name)).isDirectory())
+    .sort();
+
+  return {
+    listEnvironments,
+
+    /**
+     * Loads an environment's fixtures in one transaction.
+     * Returns { [entity]: { inserted, skipped } } in load order.
+     */
+    async seed (environment) {
+      const fixtures = await readFixtures(environment);
+      const ordered = sortByDependencies(entities).filter(entity => fixtures[entity.name]);
+      for (const entity of ordered) {
+        await describe(entity);
+        for (const target of Object.values(getReferences(entity))) {
+          const referenced = entities.find(other => other.name === target && other.type === 'table');
+          if (referenced) {
+            await describe(referenced);
+          }
+        }
+      }
+
+      const results = {};
+      await sequelize.transaction(async (transaction) => {
+        for (const entity of ordered) {
+          results[entity.name] = await seedEntity(entity, fixtures[entity.name], transaction);
+        }
+      });
+      return results;
+    },
+
+    /**
+     * Inserts `posts` fake posts spread over existing users and categories,
+     * then `comments` fake comments on published posts. Same `randomSeed`,
+     * same data (slugs stay unique through a per-run suffix).
+     */
+    async generate ({ posts = 0, comments = 0, randomSeed = Date.now() } = {}) {
+      const random = createRandom(randomSeed);
+      const run = Date.now().toString(36);
+      const select = (sql) => sequelize.query(sql, { type: QueryTypes.SELECT });
+
+      const userIds = (await select('SELECT id FROM users')).map(row => row.id);
+      const categoryIds = (await select('SELECT id FROM categories')).map(row => row.id);
+      if (posts > 0 && (userIds.length === 0 || categoryIds.length === 0)) {
+        throw new Error('Fake posts need existing users and categories: seed an environment first');
+      }
+
+      const postsEntity = entities.find(entity => entity.name === 'posts');
+      const commentsEntity = entities.find(entity => entity.name === 'comments');
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const newPosts = Array.from({ length: posts }, (item, index) => {
+        const title = sentence(random, 3, 7).slice(0, -1);
+        const published = random.chance(0.8);
+        return {
+          title,
+          slug: `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${run}-${index + 1}`,
+          content: Array.from({ length: random.int(3, 8) }, () => sentence(random, 8, 20)).join(' '),
+          excerpt: sentence(random, 5, 12),
+          status: published ? 'published' : 'draft',
+          publishedAt: published ? daysAgo(random.int(0, 60)) : null,
+          userId: random.pick(userIds),
+          categoryId: random.pick(categoryIds),
+          views: random.int(0, 5000),
+          likes: random.int(0, 500)
+        };
+      });
+
+      await sequelize.transaction(async (transaction) => {
+        for (let start = 0; start < newPosts.length; start += INSERT_BATCH_SIZE) {
+          await insertRows(postsEntity, newPosts.slice(start, start + INSERT_BATCH_SIZE), transaction);
+        }
+      });
+
+      if (comments > 0) {
+        const postIds = (await select("SELECT id FROM posts WHERE status = 'published'")).map(row => row.id);
+        if (postIds.length === 0 || userIds.length === 0) {
+          throw new Error('Fake comments need published posts and users');
+        }
+        const newComments = Array.from({ length: comments }, () => ({
+          content: sentence(random, 4, 30),
+          postId: random.pick(postIds),
+          userId: random.pick(userIds),
+          isApproved: random.chance(0.8)
+        }));
+        await sequelize.transaction(async (transaction) => {
+          for (let start = 0; start < newComments.length; start += INSERT_BATCH_SIZE) {
+            await insertRows(commentsEntity, newComments.slice(start, start + INSERT_BATCH_SIZE), transaction);
+          }
+        });
+      }
+
+      return { posts, comments };
+    }
+  };
+};
+
+module.exports = {
+  seedHandlers,
+  sortByDependencies,
+  createSeeder
+};
@@ -0,0 +1,258 @@
+/**
+ * Soft delete
+ * Entities with `softDelete: true` keep deleted rows with a deletedAt marker.
+ * Deleting a row marks it and, with the same timestamp, every live row below
+ * it through hasMany associations to other soft-delete entities (users →
+ * posts → comments → replies), mirroring the ON DELETE CASCADE of the schema.
+ *
+ * Restoring clears the marker on the row and on the descendants that carry
+ * its timestamp, so rows deleted on their own before stay deleted. Purging
+ * removes a soft-deleted row for good and lets the database cascade.
+ * Every row changed or removed along the way is recorded in the audit trail.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { getPrimaryKey, readField, findEntity, isSoftDeleted, createTimestamp } = require('../utils/db');
+const { createHttpError } = require('../utils/errors');
+const { trackRows } = require('./audit');
+
+// hasMany associations pointing at soft-delete entities: { entity, foreignKey }
+const getChildren = (entities, entity) => (entity.associations || [])
+  .filter(association => association.type === 'hasMany')
+  .map(association => ({ entity: findEntity(entities, association.target), foreignKey: association.foreignKey }))
+  .filter(child => child.entity && child.entity.softDelete);
+
+// belongsTo associations pointing at soft-delete entities
+const getParents = (entities, entity) => (entity.associations || [])
+  .filter(association => association.type === 'belongsTo')
+  .map(association => ({ entity: findEntity(entities, association.target), foreignKey: association.foreignKey }))
+  .filter(parent => parent.entity && parent.entity.softDelete);
+
+const loadRow = async (sequelize, entity, id, transaction) => {
+  const [row] = await sequelize.query(
+    `SELECT * FROM ${entity.name} WHERE ${getPrimaryKey(entity)} = :id`,
+    { replacements: { id }, type: QueryTypes.SELECT, transaction }
+  );
+  return row || null;
+};
+
+/**
+ * Walk the rows below `ids` of `entity` breadth first. `condition` limits the
+ * children visited (SQL on the child table, with the walk's replacements).
+ * Returns Map<entity name, { entity, ids }> of the descendants found.
+ */
+const collectDescendants = async (sequelize, entities, entity, ids, { condition, replacements, transaction }) => {
+  const found = new Map();
+  const queue = [{ entity, ids }];
+
+  while (queue.length > 0) {
+    const { entity: parent, ids: parentIds } = queue.shift();
+    for (const child of getChildren(entities, parent)) {
+      const primaryKey = getPrimaryKey(child.entity);
+      const rows = await sequelize.query(
+        `SELECT ${primaryKey} AS id FROM ${child.entity.name} WHERE ${child.foreignKey} IN (:parentIds) AND ${condition}`,
+        { replacements: { ...replacements, parentIds }, type: QueryTypes.SELECT, transaction }
+      );
+
+      const entry = found.get(child.entity.name) || { entity: child.entity, ids: [] };
+      const seen = new Set(entry.ids.map(String));
+      // Self references (comment replies) would otherwise revisit the root
+      const fresh = rows.map(row => row.id)
+        .filter(id => !seen.has(String(id)) && !(child.entity === entity && ids.map(String).includes(String(id))));
+      if (fresh.length > 0) {
+        entry.ids.push(...fresh);
+        found.set(child.entity.name, entry);
+        queue.push({ entity: child.entity, ids: fresh });
+      }
+    }
+  }
+
+  return found;
+};
+
+// Audit trackers for a row and the descendants a change to it reaches
+const trackTree = async (sequelize, entity, id, descendants, transaction) => {
+  const toKeys = (target, ids) => ids.map(value => ({ [getPrimaryKey(target)]: value }));
+  const trackers = [await trackRows(sequelize, entity.name, toKeys(entity, [id]), { transaction })];
+  for (const { entity: child, ids } of descendants.values()) {
+    trackers.push(await trackRows(sequelize, child.name, toKeys(child, ids), { transaction }));
+  }
+
+  return {
+    record: async () => {
+      for (const tracker of trackers) {
+        await tracker.record();
+      }
+    }
+  };
+};
+
+const setDeletedAt = (sequelize, entity, ids, deletedAt, transaction) => sequelize.query(
+  `UPDATE ${entity.name} SET deletedAt = :deletedAt WHERE ${getPrimaryKey(entity)} IN (:ids)`,
+  { replacements: { deletedAt, ids }, type: QueryTypes.UPDATE, transaction }
+);
+
+const summarize = (descendants) => {
+  const cascaded = {};
+  descendants.forEach(({ ids }, name) => { cascaded[name] = ids.length; });
+  return cascaded;
+};
+
+/**
+ * Mark a live row and its live descendants as deleted in one transaction.
+ * Returns { id, deletedAt, cascaded: { entity: count } }, or null when the row
+ * does not exist or is already deleted.
+ */
+const softDeleteRecord = async (sequelize, entities, entity, id) => {
+  return sequelize.transaction(async (transaction) => {
+    const row = await loadRow(sequelize, entity, id, transaction);
+    if (!row || isSoftDeleted(entity, row)) {
+      return null;
+    }
+
+    const deletedAt = createTimestamp();
+    const descendants = await collectDescendants(sequelize, entities, entity, [id], {
+      condition: 'deletedAt IS NULL',
+      replacements: {},
+      transaction
+    });
+
+    const audit = await trackTree(sequelize, entity, id, descendants, transaction);
+    await setDeletedAt(sequelize, entity, [id], deletedAt, transaction);
+    for (const { entity: child, ids } of descendants.values()) {
+      await setDeletedAt(sequelize, child, ids, deletedAt, transaction);
+    }
+    await audit.record();
+
+    return { id, deletedAt, cascaded: summarize(descendants) };
+  });
+};
+
+/**
+ * Restore a soft-deleted row and the descendants deleted along with it.
+ * Returns null for unknown rows; throws 409 when the row is not deleted or a
+ * row it belongs to is still deleted.
+ */
+const restoreRecord = async (sequelize, entities, entity, id) => {
+  return sequelize.transaction(async (transaction) => {
+    const row = await loadRow(sequelize, entity, id, transaction);
+    if (!row) {
+      return null;
+    }
+    if (!isSoftDeleted(entity, row)) {
+      throw createHttpError(409, 'Record is not deleted', [{
+        field: 'deletedAt',
+        message: `${entity.name} record ${id} is not deleted`
+      }]);
+    }
+
+    const blocked = [];
+    for (const parent of getParents(entities, entity)) {
+      const parentId = readField(row, parent.foreignKey);
+      if (parentId === null || parentId === undefined) {
+        continue;
+      }
+      const parentRow = await loadRow(sequelize, parent.entity, parentId, transaction);
+      if (parentRow && isSoftDeleted(parent.entity, parentRow)) {
+        blocked.push({
+          field: parent.foreignKey,
+          message: `${parent.entity.name} record ${parentId} is deleted; restore it first`
+        });
+      }
+    }
+    if (blocked.length > 0) {
+      throw createHttpError(409, 'Record belongs to deleted records', blocked);
+    }
+
+    // Compared in SQL against the stored marker, which never leaves the database
+    const primaryKey = getPrimaryKey(entity);
+    const descendants = await collectDescendants(sequelize, entities, entity, [id], {
+      condition: `deletedAt = (SELECT deletedAt FROM ${entity.name} WHERE ${primaryKey} = :rootId)`,
+      replacements: { rootId: id },
+      transaction
+    });
+
+    const audit = await trackTree(sequelize, entity, id, descendants, transaction);
+    for (const { entity: child, ids } of descendants.values()) {
+      await setDeletedAt(sequelize, child, ids, null, transaction);
+    }
+    await setDeletedAt(sequelize, entity, [id], null, transaction);
+    await audit.record();
+
+    return { id, cascaded: summarize(descendants) };
+  });
+};
+
+/**
+ * Permanently delete a soft-deleted row; the schema's ON DELETE CASCADE
+ * removes its children. Returns null for unknown rows and throws 409 for
+ * rows that are not soft-deleted yet.
+ */
+const purgeRecord = async (sequelize, entities, entity, id) => {
+  return sequelize.transaction(async (transaction) => {
+    const row = await loadRow(sequelize, entity, id, transaction);
+    if (!row) {
+      return null;
+    }
+    if (!isSoftDeleted(entity, row)) {
+      throw createHttpError(409, 'Record is not deleted', [{
+        field: 'deletedAt',
+        message: `${entity.name} record ${id} must be deleted before it can be purged`
+      }]);
+    }
+
+    // Every row below, deleted or not, goes with it
+    const descendants = await collectDescendants(sequelize, entities, entity, [id], {
+      condition: '1 = 1',
+      replacements: {},
+      transaction
+    });
+    const audit = await trackTree(sequelize, entity, id, descendants, transaction);
+    await sequelize.query(
+      `DELETE FROM ${entity.name} WHERE ${getPrimaryKey(entity)} = :id`,
+      { replacements: { id }, type: QueryTypes.DELETE, transaction }
+    );
+    await audit.record();
+    return { id };
+  });
+};
+
+// Soft-deleted rows, most recently deleted first: { rows, pagination }
+const listDeleted = async (sequelize, entity, { page = 1, limit = 20 }) => {
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${entity.name} WHERE deletedAt IS NOT NULL`,
+    { type: QueryTypes.SELECT }
+  );
+  const rows = await sequelize.query(
+    `SELECT * FROM ${entity.name} WHERE deletedAt IS NOT NULL
+     ORDER BY deletedAt DESC, ${getPrimaryKey(entity)} DESC LIMIT :limit OFFSET :offset`,
+    { replacements: { limit, offset: (page - 1) * limit }, type: QueryTypes.SELECT }
+  );
+  return {
+    rows,
+    pagination: { page, limit, total: Number(total), totalPages: Math.ceil(Number(total) / limit) }
+  };
+};
+
+// Entities a delete, restore or purge of `entity` can change
+const getAffectedEntities = (entities, entity) => {
+  const names = new Set([entity.name]);
+  const queue = [entity];
+  while (queue.length > 0) {
+    getChildren(entities, queue.shift()).forEach(child => {
+      if (!names.has(child.entity.name)) {
+        names.add(child.entity.name);
+        queue.push(child.entity);
+      }
+    });
+  }
+  return [...names];
+};
+
+module.exports = {
+  softDeleteRecord,
+  restoreRecord,
+  purgeRecord,
+  listDeleted,
+  getAffectedEntities
+};
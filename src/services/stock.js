@@ -0,0 +1,250 @@
+/**
+ * Stock levels per product and inventory location
+ *
+ *   quantity   units on hand at the location
+ *   reserved   units held by pending orders (never more than quantity)
+ *   available  quantity - reserved
+ *
+ * Placing an order reserves its lines (most available location first), and
+ * its reservations are consumed when the order is completed (quantity and
+ * reserved both go down) or released when it is cancelled (reserved goes
+ * down). All functions take the caller's transaction; rows are locked with
+ * FOR UPDATE where the dialect supports it, and every update re-checks the
+ * amounts it relies on. Changed stock_levels rows go to the audit trail.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { readField } = require('../utils/db');
+const { forUpdate, lockingTransaction } = require('../utils/dialects');
+const { createHttpError } = require('../utils/errors');
+const { trackRows } = require('./audit');
+
+const toStockRow = (row) => {
+  const quantity = Number(readField(row, 'quantity'));
+  const reserved = Number(readField(row, 'reserved'));
+  return {
+    product_id: Number(readField(row, 'product_id')),
+    location_code: readField(row, 'location_code'),
+    quantity,
+    reserved,
+    available: quantity - reserved,
+    updated_at: readField(row, 'updated_at')
+  };
+};
+
+const summarize = (rows) => rows.reduce((totals, row) => ({
+  quantity: totals.quantity + row.quantity,
+  reserved: totals.reserved + row.reserved,
+  available: totals.available + row.available
+}), { quantity: 0, reserved: 0, available: 0 });
+
+/**
+ * Reserve stock for order lines [{ product_id, quantity }].
+ * Throws an error with status 409 listing every line that cannot be covered.
+ */
+const reserveStock = async (sequelize, orderUuid, lines, transaction) => {
+  const allocations = [];
+  const shortages = [];
+
+  for (const line of lines) {
+    const rows = await sequelize.query(
+      `SELECT product_id, location_code, quantity, reserved FROM stock_levels
+       WHERE product_id = :productId AND quantity > reserved
+       ORDER BY location_code${forUpdate(sequelize.getDialect())}`,
+      { replacements: { productId: line.product_id }, type: QueryTypes.SELECT, transaction }
+    );
+
+    const locations = rows.map(toStockRow).sort((a, b) => b.available - a.available);
+    const available = summarize(locations).available;
+    if (available < line.quantity) {
+      shortages.push({
+        field: 'quantity',
+        message: `product ${line.product_id}: ${line.quantity} requested, ${available} available`,
+        product_id: line.product_id,
+        requested: line.quantity,
+        available
+      });
+      continue;
+    }
+
+    let remaining = line.quantity;
+    for (const location of locations) {
+      if (remaining === 0) {
+        break;
+      }
+      const quantity = Math.min(remaining, location.available);
+      allocations.push({ product_id: line.product_id, location_code: location.location_code, quantity });
+      remaining -= quantity;
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw createHttpError(409, 'Insufficient stock', shortages);
+  }
+
+  const audit = await trackRows(sequelize, 'stock_levels', allocations, { transaction });
+  for (const allocation of allocations) {
+    const [, affected] = await sequelize.query(
+      `UPDATE stock_levels SET reserved = reserved + :quantity, updated_at = CURRENT_TIMESTAMP
+       WHERE product_id = :product_id AND location_code = :location_code AND quantity - reserved >= :quantity`,
+      { replacements: allocation, type: QueryTypes.UPDATE, transaction }
+    );
+    // Another order took the stock between the read and the update
+    if (affected !== 1) {
+      throw createHttpError(409, 'Insufficient stock', [{
+        field: 'quantity',
+        message: `product ${allocation.product_id}: stock changed while the order was placed, try again`,
+        product_id: allocation.product_id
+      }]);
+    }
+    await sequelize.query(
+      `INSERT INTO stock_reservations (order_uuid, product_id, location_code, quantity)
+       VALUES (:orderUuid, :product_id, :location_code, :quantity)`,
+      { replacements: { orderUuid, ...allocation }, type: QueryTypes.INSERT, transaction }
+    );
+  }
+  await audit.record();
+
+  return allocations;
+};
+
+/**
+ * Settle an order's reservations: 'complete' ships the reserved units,
+ * 'release' returns them to the available stock. Returns the settled rows.
+ */
+const settleReservations = async (sequelize, orderUuid, mode, transaction) => {
+  const reservations = await sequelize.query(
+    `SELECT product_id, location_code, quantity FROM stock_reservations
+     WHERE order_uuid = :orderUuid ORDER BY product_id, location_code`,
+    { replacements: { orderUuid }, type: QueryTypes.SELECT, transaction }
+  );
+
+  const assignments = mode === 'complete'
+    ? 'quantity = quantity - :quantity, reserved = reserved - :quantity'
+    : 'reserved = reserved - :quantity';
+
+  const settled = reservations.map(row => ({
+    product_id: Number(readField(row, 'product_id')),
+    location_code: readField(row, 'location_code'),
+    quantity: Number(readField(row, 'quantity'))
+  }));
+
+  const audit = await trackRows(sequelize, 'stock_levels', settled, { transaction });
+  for (const reservation of settled) {
+    await sequelize.query(
+      `UPDATE stock_levels SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+       WHERE product_id = :product_id AND location_code = :location_code`,
+      { replacements: reservation, type: QueryTypes.UPDATE, transaction }
+    );
+  }
+  await audit.record();
+  await sequelize.query(
+    'DELETE FROM stock_reservations WHERE order_uuid = :orderUuid',
+    { replacements: { orderUuid }, type: QueryTypes.DELETE, transaction }
+  );
+
+  return settled;
+};
+
+// Stock of one product at every location, with totals; null for unknown products
+const getProductStock = async (sequelize, productId) => {
+  const [product] = await sequelize.query(
+    'SELECT product_id FROM products WHERE product_id = :productId',
+    { replacements: { productId }, type: QueryTypes.SELECT }
+  );
+  if (!product) {
+    return null;
+  }
+
+  const rows = (await sequelize.query(
+    `SELECT product_id, location_code, quantity, reserved, updated_at FROM stock_levels
+     WHERE product_id = :productId ORDER BY location_code`,
+    { replacements: { productId }, type: QueryTypes.SELECT }
+  )).map(toStockRow);
+
+  return { product_id: Number(productId), ...summarize(rows), locations: rows };
+};
+
+// Stock of every product held at one location; null for unknown locations
+const getLocationStock = async (sequelize, locationCode) => {
+  const [location] = await sequelize.query(
+    'SELECT location_code FROM inventory WHERE location_code = :locationCode',
+    { replacements: { locationCode }, type: QueryTypes.SELECT }
+  );
+  if (!location) {
+    return null;
+  }
+
+  const rows = (await sequelize.query(
+    `SELECT product_id, location_code, quantity, reserved, updated_at FROM stock_levels
+     WHERE location_code = :locationCode ORDER BY product_id`,
+    { replacements: { locationCode }, type: QueryTypes.SELECT }
+  )).map(toStockRow);
+
+  return { location_code: readField(location, 'location_code'), ...summarize(rows), products: rows };
+};
+
+/**
+ * Set the units on hand for a product at a location, creating the row if needed.
+ * Throws 404 for an unknown product or location, 409 below the reserved amount.
+ */
+const setStockLevel = async (sequelize, { product_id: productId, location_code: locationCode, quantity }) => {
+  return sequelize.transaction(lockingTransaction(sequelize.getDialect()), async (transaction) => {
+    const replacements = { productId, locationCode, quantity };
+    const [product] = await sequelize.query(
+      'SELECT product_id FROM products WHERE product_id = :productId',
+      { replacements, type: QueryTypes.SELECT, transaction }
+    );
+    const [location] = await sequelize.query(
+      'SELECT location_code FROM inventory WHERE location_code = :locationCode',
+      { replacements, type: QueryTypes.SELECT, transaction }
+    );
+    if (!product || !location) {
+      throw createHttpError(404, product ? `Location ${locationCode} not found` : `Product ${productId} not found`);
+    }
+
+    const [current] = await sequelize.query(
+      `SELECT product_id, location_code, quantity, reserved FROM stock_levels
+       WHERE product_id = :productId AND location_code = :locationCode${forUpdate(sequelize.getDialect())}`,
+      { replacements, type: QueryTypes.SELECT, transaction }
+    );
+
+    const audit = await trackRows(sequelize, 'stock_levels', [{ product_id: productId, location_code: locationCode }], { transaction });
+    if (!current) {
+      await sequelize.query(
+        `INSERT INTO stock_levels (product_id, location_code, quantity, reserved)
+         VALUES (:productId, :locationCode, :quantity, 0)`,
+        { replacements, type: QueryTypes.INSERT, transaction }
+      );
+    } else {
+      const reserved = Number(readField(current, 'reserved'));
+      if (quantity < reserved) {
+        throw createHttpError(409, 'Quantity below reserved stock', [{
+          field: 'quantity',
+          message: `quantity cannot be lower than the ${reserved} units reserved by pending orders`
+        }]);
+      }
+      await sequelize.query(
+        `UPDATE stock_levels SET quantity = :quantity, updated_at = CURRENT_TIMESTAMP
+         WHERE product_id = :productId AND location_code = :locationCode`,
+        { replacements, type: QueryTypes.UPDATE, transaction }
+      );
+    }
+    await audit.record();
+
+    const [row] = await sequelize.query(
+      `SELECT product_id, location_code, quantity, reserved, updated_at FROM stock_levels
+       WHERE product_id = :productId AND location_code = :locationCode`,
+      { replacements, type: QueryTypes.SELECT, transaction }
+    );
+    return toStockRow(row);
+  });
+};
+
+module.exports = {
+  reserveStock,
+  settleReservations,
+  getProductStock,
+  getLocationStock,
+  setStockLevel
+};
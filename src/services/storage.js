@@ -0,0 +1,76 @@
+/**
+ * Upload Storage
+ * Uploaded files go through a storage adapter so the backend can be swapped
+ * (local disk here; object storage only needs the same four methods):
+ *
+ *   save({ buffer, key, contentType }) -> Promise<url>
+ *   remove(key)                        -> Promise<void>, ignores missing files
+ *   keyFromUrl(url)                    -> key, or null for URLs it does not own
+ *   serve()                            -> Express middleware, or null when files are served elsewhere
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIRECTORY || './uploads',
+  baseUrl = '/uploads'
+} = {}) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the upload routes, but never let one escape the root
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async save ({ buffer, key }) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer, { flag: 'wx' });
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove (key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    keyFromUrl (url) {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      return url.slice(baseUrl.length + 1);
+    },
+
+    serve () {
+      const router = express.Router();
+      router.use(express.static(root, {
+        index: false,
+        dotfiles: 'deny',
+        maxAge: '7d',
+        immutable: true,
+        setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+      }));
+      router.use((req, res) => res.status(404).json({
+        error: 'Not found',
+        details: { message: 'File not found' }
+      }));
+      return router;
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
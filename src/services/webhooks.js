@@ -0,0 +1,612 @@
+/**
+ * Outbound webhooks
+ * Subscriptions (webhook_subscriptions) name the events they want as
+ * `<entity>.<event>` patterns, with `*` for either part: posts.published,
+ * orders.*, *.deleted or *. Every change to a table of model/entities.js
+ * (services/audit.js onChange) raises <entity>.created, .updated or .deleted,
+ * plus the events of the entity's `webhooks.events` block whose field values
+ * the change reaches (posts.published when status becomes 'published').
+ *
+ * Each matching subscription gets a delivery (webhook_deliveries), POSTed
+ * right away and retried with exponential backoff until the receiver answers
+ * 2xx or the attempts run out. Bodies are signed with the subscription's
+ * secret: X-Webhook-Signature is `sha256=` + the hex HMAC-SHA256 of
+ * `<X-Webhook-Timestamp>.<body>`. Pending deliveries live in the database, so
+ * retries survive restarts; a delivery is claimed before each attempt, so
+ * several instances do not send it twice.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { QueryTypes } = require('sequelize');
+const { readField, findEntity, createTimestamp } = require('../utils/db');
+const { logger } = require('../utils/logger');
+
+const ACTION_EVENTS = { create: 'created', update: 'updated', delete: 'deleted' };
+const PING_EVENT = 'webhook.ping';
+const STATUSES = ['pending', 'succeeded', 'failed'];
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 255;
+const MAX_ERROR_LENGTH = 500;
+const BATCH_SIZE = 20;
+
+const getSettings = () => ({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 3600,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000
+});
+
+// ===========================================
+// EVENTS
+// ===========================================
+
+const getCustomEvents = entity => (entity.webhooks && entity.webhooks.events) || {};
+
+// Event names (the part after the dot) an entity can raise
+const getEntityEvents = entity => [...Object.values(ACTION_EVENTS), ...Object.keys(getCustomEvents(entity))];
+
+const reaches = (row, values) => Boolean(row) &&
+  Object.entries(values).every(([field, value]) => String(readField(row, field)) === String(value));
+
+// The action's event, then the configured events whose values the change reaches
+const getEventNames = (entity, change) => {
+  const names = [`${entity.name}.${ACTION_EVENTS[change.action]}`];
+  Object.entries(getCustomEvents(entity)).forEach(([event, values]) => {
+    if (reaches(change.after, values) && !reaches(change.before, values)) {
+      names.push(`${entity.name}.${event}`);
+    }
+  });
+  return names;
+};
+
+const matchesEvent = (pattern, name) => {
+  if (pattern === '*') {
+    return true;
+  }
+  const [entity, event] = pattern.split('.');
+  const [nameEntity, nameEvent] = name.split('.');
+  return (entity === '*' || entity === nameEntity) && (event === '*' || event === nameEvent);
+};
+
+const createEvent = (name, change) => ({
+  id: crypto.randomUUID(),
+  event: name,
+  entity: change.entity,
+  action: change.action,
+  key: change.key,
+  data: change.after || change.before,
+  changes: change.changes,
+  user: change.user,
+  correlation_id: change.correlationId,
+  occurred_at: change.occurredAt
+});
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// ===========================================
+// SUBSCRIPTIONS
+// ===========================================
+
+const createSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// is_active reads back as a boolean (PostgreSQL) or 0/1 (MySQL, SQLite)
+const isActive = row => {
+  const value = readField(row, 'is_active');
+  return value === true || Number(value) === 1;
+};
+
+const toSubscription = (row, { withSecret = false } = {}) => ({
+  id: readField(row, 'id'),
+  url: readField(row, 'url'),
+  events: JSON.parse(readField(row, 'events')),
+  description: readField(row, 'description'),
+  is_active: isActive(row),
+  created_by: readField(row, 'created_by'),
+  created_at: readField(row, 'created_at'),
+  updated_at: readField(row, 'updated_at'),
+  ...(withSecret ? { secret: readField(row, 'secret') } : {})
+});
+
+const checkEventPattern = (entities, pattern) => {
+  if (pattern === '*') {
+    return null;
+  }
+  const tables = entities.filter(entity => entity.type === 'table');
+  const [entityName, event, extra] = String(pattern).split('.');
+  if (!entityName || !event || extra !== undefined) {
+    return `${pattern} must look like <entity>.<event>, with * for either part`;
+  }
+  const candidates = entityName === '*' ? tables : tables.filter(entity => entity.name === entityName);
+  if (candidates.length === 0) {
+    return `${pattern} names an unknown entity: ${entityName}`;
+  }
+  if (event !== '*' && !candidates.some(entity => getEntityEvents(entity).includes(event))) {
+    return `${pattern} names an unknown event: ${event}`;
+  }
+  return null;
+};
+
+/**
+ * Validate a subscription body { url, events, description, is_active }.
+ * Returns { values, errors } with errors in the validation_errors shape;
+ * `partial` (updates) only checks the fields present.
+ */
+const parseSubscription = (entities, body, { partial = false } = {}) => {
+  const values = {};
+  const errors = [];
+  const present = field => body[field] !== undefined;
+
+  if (present('url') || !partial) {
+    let url = null;
+    try {
+      url = new URL(String(body.url));
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push({ field: 'url', message: 'url must be an http or https URL' });
+    } else if (String(body.url).length > MAX_URL_LENGTH) {
+      errors.push({ field: 'url', message: `url must not exceed ${MAX_URL_LENGTH} characters` });
+    } else {
+      values.url = String(body.url);
+    }
+  }
+
+  if (present('events') || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0 || body.events.some(item => typeof item !== 'string')) {
+      errors.push({ field: 'events', message: 'events must be a non-empty array of event patterns' });
+    } else {
+      const problems = body.events.map(pattern => checkEventPattern(entities, pattern)).filter(Boolean);
+      problems.forEach(message => errors.push({ field: 'events', message }));
+      values.events = [...new Set(body.events)];
+    }
+  }
+
+  if (present('description') && body.description !== null) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    } else {
+      values.description = body.description;
+    }
+  } else if (present('description')) {
+    values.description = null;
+  }
+
+  if (present('is_active')) {
+    if (typeof body.is_active !== 'boolean') {
+      errors.push({ field: 'is_active', message: 'is_active must be true or false' });
+    } else {
+      values.is_active = body.is_active;
+    }
+  }
+  return { values, errors };
+};
+
+const loadSubscription = async (sequelize, id, transaction) => {
+  const [row] = await sequelize.query(
+    'SELECT * FROM webhook_subscriptions WHERE id = :id',
+    { replacements: { id }, type: QueryTypes.SELECT, transaction }
+  );
+  return row || null;
+};
+
+const listSubscriptions = async (sequelize) => {
+  const rows = await sequelize.query(
+    'SELECT * FROM webhook_subscriptions ORDER BY created_at ASC, id ASC',
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map(row => toSubscription(row));
+};
+
+const findSubscription = async (sequelize, id) => {
+  const row = await loadSubscription(sequelize, id);
+  return row ? toSubscription(row) : null;
+};
+
+// Returns the stored subscription with its generated secret
+const createSubscription = async (sequelize, values, { user } = {}) => {
+  const id = crypto.randomUUID();
+  const now = createTimestamp();
+  await sequelize.query(
+    `INSERT INTO webhook_subscriptions (id, url, secret, events, description, is_active, created_by, created_at, updated_at)
+     VALUES (:id, :url, :secret, :events, :description, :isActive, :createdBy, :now, :now)`,
+    {
+      replacements: {
+        id,
+        url: values.url,
+        secret: createSecret(),
+        events: JSON.stringify(values.events),
+        description: values.description === undefined ? null : values.description,
+        isActive: values.is_active === undefined ? true : values.is_active,
+        createdBy: user && /^\d+$/.test(String(user.id)) ? Number(user.id) : null,
+        now
+      },
+      type: QueryTypes.INSERT
+    }
+  );
+  return toSubscription(await loadSubscription(sequelize, id), { withSecret: true });
+};
+
+// Returns the updated subscription, or null when it does not exist
+const updateSubscription = async (sequelize, id, values) => {
+  const columns = {
+    url: values.url,
+    events: values.events === undefined ? undefined : JSON.stringify(values.events),
+    description: values.description,
+    is_active: values.is_active
+  };
+  const assignments = Object.keys(columns).filter(column => columns[column] !== undefined);
+  const replacements = { id, updatedAt: createTimestamp() };
+  assignments.forEach(column => { replacements[column] = columns[column]; });
+
+  await sequelize.query(
+    `UPDATE webhook_subscriptions
+     SET ${[...assignments.map(column => `${column} = :${column}`), 'updated_at = :updatedAt'].join(', ')}
+     WHERE id = :id`,
+    { replacements, type: QueryTypes.UPDATE }
+  );
+  return findSubscription(sequelize, id);
+};
+
+// Returns the subscription with its new secret, or null when it does not exist
+const rotateSecret = async (sequelize, id) => {
+  await sequelize.query(
+    'UPDATE webhook_subscriptions SET secret = :secret, updated_at = :updatedAt WHERE id = :id',
+    { replacements: { id, secret: createSecret(), updatedAt: createTimestamp() }, type: QueryTypes.UPDATE }
+  );
+  const row = await loadSubscription(sequelize, id);
+  return row ? toSubscription(row, { withSecret: true }) : null;
+};
+
+// Removes the subscription and its delivery log; false when it does not exist
+const deleteSubscription = async (sequelize, id) => sequelize.transaction(async (transaction) => {
+  if (!await loadSubscription(sequelize, id, transaction)) {
+    return false;
+  }
+  await sequelize.query(
+    'DELETE FROM webhook_deliveries WHERE subscription_id = :id',
+    { replacements: { id }, type: QueryTypes.DELETE, transaction }
+  );
+  await sequelize.query(
+    'DELETE FROM webhook_subscriptions WHERE id = :id',
+    { replacements: { id }, type: QueryTypes.DELETE, transaction }
+  );
+  return true;
+});
+
+// ===========================================
+// DELIVERIES
+// ===========================================
+
+const toDelivery = row => ({
+  id: readField(row, 'id'),
+  subscription_id: readField(row, 'subscription_id'),
+  event_id: readField(row, 'event_id'),
+  event: readField(row, 'event_name'),
+  status: readField(row, 'status'),
+  attempts: Number(readField(row, 'attempts')),
+  next_attempt_at: readField(row, 'next_attempt_at'),
+  last_status_code: readField(row, 'last_status_code') === null ? null : Number(readField(row, 'last_status_code')),
+  last_error: readField(row, 'last_error'),
+  replay_of: readField(row, 'replay_of'),
+  created_at: readField(row, 'created_at'),
+  delivered_at: readField(row, 'delivered_at'),
+  payload: JSON.parse(readField(row, 'payload'))
+});
+
+const loadDelivery = async (sequelize, id) => {
+  const [row] = await sequelize.query(
+    'SELECT * FROM webhook_deliveries WHERE id = :id',
+    { replacements: { id }, type: QueryTypes.SELECT }
+  );
+  return row || null;
+};
+
+const insertDelivery = async (sequelize, subscriptionId, event, { replayOf = null, transaction } = {}) => {
+  const id = crypto.randomUUID();
+  const now = createTimestamp();
+  await sequelize.query(
+    `INSERT INTO webhook_deliveries
+       (id, subscription_id, event_id, event_name, payload, status, attempts, next_attempt_at, replay_of, created_at)
+     VALUES (:id, :subscriptionId, :eventId, :eventName, :payload, 'pending', 0, :now, :replayOf, :now)`,
+    {
+      replacements: {
+        id,
+        subscriptionId,
+        eventId: event.id,
+        eventName: event.event,
+        payload: JSON.stringify(event),
+        replayOf,
+        now
+      },
+      type: QueryTypes.INSERT,
+      transaction
+    }
+  );
+  return id;
+};
+
+/**
+ * Deliveries of a subscription, most recent first: { deliveries, pagination }.
+ * Filters: `status` and `event`.
+ */
+const listDeliveries = async (sequelize, subscriptionId, { status, event, page = 1, limit = 20 }) => {
+  const conditions = ['subscription_id = :subscriptionId'];
+  const replacements = { subscriptionId };
+  if (status) {
+    conditions.push('status = :status');
+    replacements.status = status;
+  }
+  if (event) {
+    conditions.push('event_name = :event');
+    replacements.event = event;
+  }
+  const where = conditions.join(' AND ');
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+  const rows = await sequelize.query(
+    `SELECT * FROM webhook_deliveries WHERE ${where}
+     ORDER BY created_at DESC, id DESC LIMIT :limit OFFSET :offset`,
+    { replacements: { ...replacements, limit, offset: (page - 1) * limit }, type: QueryTypes.SELECT }
+  );
+  return {
+    deliveries: rows.map(toDelivery),
+    pagination: { page, limit, total: Number(total), totalPages: Math.ceil(Number(total) / limit) }
+  };
+};
+
+// A delivery of the given subscription, or null
+const findDelivery = async (sequelize, subscriptionId, id) => {
+  const row = await loadDelivery(sequelize, id);
+  return row && String(readField(row, 'subscription_id')) === String(subscriptionId) ? toDelivery(row) : null;
+};
+
+// POST `body` to `url`; resolves to the status code, rejects on network errors and timeouts
+const postJson = (url, body, headers, timeoutMs) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: timeoutMs
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs} ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Seconds before retry number `attempts` (1 = the first retry)
+const getRetryDelay = (attempts, settings) =>
+  Math.min(settings.retryBaseSeconds * 2 ** (attempts - 1), settings.retryMaxSeconds);
+
+/**
+ * Delivers events to their subscriptions. handleChange() is the onChange
+ * listener of services/audit.js; start() polls for due retries.
+ */
+const createWebhookDispatcher = (sequelize, entities, settings = getSettings()) => {
+  let timer = null;
+  let draining = null;
+  let drainAgain = false;
+
+  // Take the delivery for one attempt; false when another worker has it or it is not due
+  const claim = async (row) => {
+    const now = new Date();
+    const [, claimed] = await sequelize.query(
+      `UPDATE webhook_deliveries SET next_attempt_at = :lease
+       WHERE id = :id AND status = 'pending' AND attempts = :attempts AND next_attempt_at <= :now`,
+      {
+        replacements: {
+          id: readField(row, 'id'),
+          attempts: readField(row, 'attempts'),
+          now: createTimestamp(now),
+          lease: createTimestamp(new Date(now.getTime() + settings.timeoutMs + 60 * 1000))
+        },
+        type: QueryTypes.UPDATE
+      }
+    );
+    return Number(claimed) === 1;
+  };
+
+  const attempt = async (row) => {
+    const id = readField(row, 'id');
+    const attempts = Number(readField(row, 'attempts')) + 1;
+    const subscription = await loadSubscription(sequelize, readField(row, 'subscription_id'));
+    let statusCode = null;
+    let error = null;
+
+    if (!subscription || !isActive(subscription)) {
+      error = 'Subscription is inactive';
+    } else {
+      const body = readField(row, 'payload');
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      try {
+        statusCode = await postJson(readField(subscription, 'url'), body, {
+          'User-Agent': 'simple-blog-webhooks/1.0',
+          'X-Webhook-Id': readField(row, 'event_id'),
+          'X-Webhook-Event': readField(row, 'event_name'),
+          'X-Webhook-Delivery': id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': sign(readField(subscription, 'secret'), timestamp, body)
+        }, settings.timeoutMs);
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Receiver answered ${statusCode}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      }
+    }
+
+    const succeeded = !error;
+    const exhausted = !succeeded && (attempts >= settings.maxAttempts || error === 'Subscription is inactive');
+    const now = new Date();
+    await sequelize.query(
+      `UPDATE webhook_deliveries
+       SET status = :status, attempts = :attempts, next_attempt_at = :nextAttemptAt,
+           last_status_code = :statusCode, last_error = :error, delivered_at = :deliveredAt
+       WHERE id = :id`,
+      {
+        replacements: {
+          id,
+          status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+          attempts,
+          nextAttemptAt: succeeded || exhausted
+            ? null
+            : createTimestamp(new Date(now.getTime() + getRetryDelay(attempts, settings) * 1000)),
+          statusCode,
+          error: error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+          deliveredAt: succeeded ? createTimestamp(now) : null
+        },
+        type: QueryTypes.UPDATE
+      }
+    );
+
+    if (!succeeded) {
+      logger.warn('webhook delivery failed', {
+        delivery: id,
+        event: readField(row, 'event_name'),
+        attempts,
+        willRetry: !exhausted,
+        error
+      });
+    }
+  };
+
+  const deliverBatch = async () => {
+    const rows = await sequelize.query(
+      `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= :now
+       ORDER BY next_attempt_at ASC LIMIT :limit`,
+      { replacements: { now: createTimestamp(), limit: BATCH_SIZE }, type: QueryTypes.SELECT }
+    );
+    await Promise.all(rows.map(async (row) => {
+      if (await claim(row)) {
+        await attempt(row);
+      }
+    }));
+    return rows.length;
+  };
+
+  // Attempt every due delivery; calls made while a pass runs trigger another pass
+  const deliverDue = () => {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+    draining = (async () => {
+      do {
+        drainAgain = false;
+        while (await deliverBatch() === BATCH_SIZE) {
+          // keep going while full batches come back
+        }
+      } while (drainAgain);
+    })()
+      .catch(error => logger.error('webhook dispatch failed', { error: error.message }))
+      .finally(() => { draining = null; });
+    return draining;
+  };
+
+  // Attempt one delivery now, whatever its schedule; returns it afterwards
+  const deliverNow = async (id) => {
+    await sequelize.query(
+      "UPDATE webhook_deliveries SET next_attempt_at = :now WHERE id = :id AND status = 'pending'",
+      { replacements: { id, now: createTimestamp() }, type: QueryTypes.UPDATE }
+    );
+    const row = await loadDelivery(sequelize, id);
+    if (row && readField(row, 'status') === 'pending' && await claim(row)) {
+      await attempt(row);
+    }
+    return toDelivery(await loadDelivery(sequelize, id));
+  };
+
+  const handleChange = async (change) => {
+    const entity = findEntity(entities, change.entity);
+    if (!entity || entity.type !== 'table') {
+      return;
+    }
+    const rows = await sequelize.query(
+      'SELECT id, events, is_active FROM webhook_subscriptions',
+      { type: QueryTypes.SELECT }
+    );
+    const subscriptions = rows.filter(isActive).map(row => ({
+      id: readField(row, 'id'),
+      events: JSON.parse(readField(row, 'events'))
+    }));
+
+    let queued = 0;
+    for (const name of getEventNames(entity, change)) {
+      const targets = subscriptions.filter(subscription => subscription.events.some(pattern => matchesEvent(pattern, name)));
+      if (targets.length === 0) {
+        continue;
+      }
+      const event = createEvent(name, change);
+      for (const subscription of targets) {
+        await insertDelivery(sequelize, subscription.id, event);
+        queued += 1;
+      }
+    }
+    if (queued > 0) {
+      deliverDue();
+    }
+  };
+
+  // Send webhook.ping to one subscription and return the delivery once attempted
+  const ping = async (subscriptionId) => {
+    const event = {
+      id: crypto.randomUUID(),
+      event: PING_EVENT,
+      data: { subscription_id: subscriptionId },
+      occurred_at: new Date().toISOString()
+    };
+    return deliverNow(await insertDelivery(sequelize, subscriptionId, event));
+  };
+
+  // Queue the event of a delivery again (same event id) and return the new delivery once attempted
+  const replay = async (subscriptionId, deliveryId) => {
+    const original = await findDelivery(sequelize, subscriptionId, deliveryId);
+    if (!original) {
+      return null;
+    }
+    return deliverNow(await insertDelivery(sequelize, subscriptionId, original.payload, { replayOf: original.id }));
+  };
+
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(deliverDue, settings.pollIntervalMs);
+      timer.unref();
+      deliverDue();
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    return draining || Promise.resolve();
+  };
+
+  return { handleChange, deliverDue, ping, replay, start, stop };
+};
+
+module.exports = {
+  STATUSES,
+  getEventNames,
+  matchesEvent,
+  sign,
+  parseSubscription,
+  listSubscriptions,
+  findSubscription,
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  deleteSubscription,
+  listDeliveries,
+  findDelivery,
+  createWebhookDispatcher
+};
@@ -6,7 +6,6 @@ set -e
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 DOCKER_DIR="$SCRIPT_DIR/docker"
-DATA_DIR="$SCRIPT_DIR/data"
 
 # Colors for output
 RED='\033[0;31m'
@@ -43,6 +42,42 @@ print_usage() {
     echo "  $0 stop"
 }
 
+# The JWT_SECRET of the current .env, or a new random one (the app needs its own)
+jwt_secret() {
+    local current
+    current="$(grep -s '^JWT_SECRET=' "$SCRIPT_DIR/.env" | cut -d= -f2-)"
+    if [ -n "$current" ] && [ "$current" != "your-super-secret-jwt-key-change-this-in-production" ]; then
+        echo "$current"
+    else
+        node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+    fi
+}
+
+# Apply pending migrations with the settings in .env (write .env first)
+run_migrations() {
+    echo "Applying migrations..."
+    (cd "$SCRIPT_DIR" && node scripts/migrate.js up)
+}
+
+# Load fixtures (SEED_ENV, default demo); safe to repeat
+run_seed() {
+    echo "Loading ${SEED_ENV:-demo} fixtures..."
+    (cd "$SCRIPT_DIR" && node scripts/seed.js "${SEED_ENV:-demo}")
+}
+
+# Wait for a container's healthcheck to pass (up to 2 minutes)
+wait_for_healthy() {
+    local container="$1"
+    for _ in $(seq 1 60); do
+        if [ "$(docker inspect --format '{{.State.Health.Status}}' "$container" 2>/dev/null)" = "healthy" ]; then
+            return 0
+        fi
+        sleep 2
+    done
+    echo -e "${RED}$container did not become healthy${NC}"
+    exit 1
+}
+
 setup_sqlite() {
     echo -e "${GREEN}Setting up SQLite database...${NC}"
     
@@ -52,10 +87,9 @@ setup_sqlite() {
         echo "Removed existing blog.db"
     fi
     
-    # Create new database
-    sqlite3 "$SCRIPT_DIR/blog.db" < "$DATA_DIR/database-sqlite.sql"
-    
-    # Update .env file
+    # Update .env file (keeping its JWT_SECRET)
+    local secret
+    secret="$(jwt_secret)"
     cat > "$SCRIPT_DIR/.env" << EOF
 # Database Configuration - SQLite
 NODE_ENV=development
@@ -63,6 +97,8 @@ PORT=3000
 DB_DIALECT=sqlite
 SQLITE_PATH=./blog.db
 
+JWT_SECRET=$secret
+
 # Ultimate CRUD Settings
 ENABLE_REST_API=true
 ENABLE_GRAPHQL=true
@@ -71,6 +107,10 @@ API_PREFIX=/api
 GRAPHQL_ENDPOINT=/graphql
 EOF
     
+    # Create the schema, then load the demo fixtures
+    run_migrations
+    run_seed
+    
     echo -e "${GREEN}✅ SQLite database created successfully!${NC}"
     echo -e "${BLUE}Database file: $SCRIPT_DIR/blog.db${NC}"
     echo -e "${BLUE}Ready to run: npm start${NC}"
@@ -83,9 +123,11 @@ setup_mysql() {
     docker-compose -f docker-compose.mysql.yml up -d
     
     echo "Waiting for MySQL to be ready..."
-    sleep 10
+    wait_for_healthy ultimate-crud-mysql
     
-    # Update .env file
+    # Update .env file (keeping its JWT_SECRET)
+    local secret
+    secret="$(jwt_secret)"
     cat > "$SCRIPT_DIR/.env" << EOF
 # Database Configuration - MySQL (Docker)
 NODE_ENV=development
@@ -97,6 +139,8 @@ DB_NAME=ultimate_crud_blog
 DB_USER=bloguser
 DB_PASS=blogpassword
 
+JWT_SECRET=$secret
+
 # Ultimate CRUD Settings
 ENABLE_REST_API=true
 ENABLE_GRAPHQL=true
@@ -105,6 +149,10 @@ API_PREFIX=/api
 GRAPHQL_ENDPOINT=/graphql
 EOF
     
+    # Create the schema, then load the demo fixtures
+    run_migrations
+    run_seed
+    
     echo -e "${GREEN}✅ MySQL started successfully!${NC}"
     echo -e "${BLUE}MySQL: localhost:3306${NC}"
     echo -e "${BLUE}phpMyAdmin: http://localhost:8081${NC}"
@@ -118,9 +166,11 @@ setup_postgres() {
     docker-compose -f docker-compose.postgres.yml up -d
     
     echo "Waiting for PostgreSQL to be ready..."
-    sleep 10
+    wait_for_healthy ultimate-crud-postgres
     
-    # Update .env file
+    # Update .env file (keeping its JWT_SECRET)
+    local secret
+    secret="$(jwt_secret)"
     cat > "$SCRIPT_DIR/.env" << EOF
 # Database Configuration - PostgreSQL (Docker)
 NODE_ENV=development
@@ -132,6 +182,8 @@ DB_NAME=ultimate_crud_blog
 DB_USER=bloguser
 DB_PASS=blogpassword
 
+JWT_SECRET=$secret
+
 # Ultimate CRUD Settings
 ENABLE_REST_API=true
 ENABLE_GRAPHQL=true
@@ -140,6 +192,10 @@ API_PREFIX=/api
 GRAPHQL_ENDPOINT=/graphql
 EOF
     
+    # Create the schema, then load the demo fixtures
+    run_migrations
+    run_seed
+    
     echo -e "${GREEN}✅ PostgreSQL started successfully!${NC}"
     echo -e "${BLUE}PostgreSQL: localhost:5432${NC}"
     echo -e "${BLUE}pgAdmin: http://localhost:8082${NC}"
@@ -161,7 +217,7 @@ setup_both() {
     echo -e "${BLUE}Adminer: http://localhost:8080${NC}"
     echo -e "${BLUE}phpMyAdmin: http://localhost:8081${NC}"
     echo -e "${BLUE}pgAdmin: http://localhost:8082${NC}"
-    echo -e "${YELLOW}Update your .env file to choose which database to use${NC}"
+    echo -e "${YELLOW}Update your .env file to choose which database to use, then run: npm run migrate${NC}"
 }
 
 stop_containers() {
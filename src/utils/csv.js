@@ -0,0 +1,85 @@
+/**
+ * CSV reading and writing for bulk imports and exports (services/bulk.js)
+ * RFC 4180: comma separated, fields containing commas, quotes or line breaks
+ * are quoted and quotes inside them doubled. Lines end with CRLF on output
+ * and with CRLF or LF on input; a leading byte order mark is ignored.
+ */
+
+/**
+ * Split CSV text into records (arrays of strings). Blank lines are skipped.
+ * Throws on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+      line += 1;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  endRecord();
+  return records;
+};
+
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, CRLF terminated; null and undefined become empty fields
+const formatCsvLine = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvLine
+};
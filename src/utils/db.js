@@ -0,0 +1,90 @@
+/**
+ * Database helpers shared by the custom middleware and routes
+ *
+ * Identifiers are left unquoted on purpose: the migrations create camelCase
+ * columns without quotes, which PostgreSQL folds to lower case.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { isEnabled, createQueryLogger } = require('./logger');
+
+// Sequelize options from DB_* env vars, shared by the server and scripts/migrate.js
+const createDbConfig = () => {
+  const dialect = process.env.DB_DIALECT || 'sqlite';
+  const dbConfig = {
+    dialect,
+    // JSON query logs tagged with the request's correlation id (ENABLE_QUERY_LOGGING)
+    logging: isEnabled('ENABLE_QUERY_LOGGING', process.env.NODE_ENV === 'development') ? createQueryLogger({ dialect }) : false,
+    benchmark: true,
+
+    define: {
+      timestamps: true,
+      underscored: false
+    }
+  };
+
+  // Configure based on database type
+  if (dbConfig.dialect === 'sqlite') {
+    dbConfig.storage = process.env.SQLITE_PATH || './blog.db';
+  } else {
+    dbConfig.host = process.env.DB_HOST || 'localhost';
+    dbConfig.port = process.env.DB_PORT || (dbConfig.dialect === 'postgres' ? 5432 : 3306);
+    dbConfig.database = process.env.DB_NAME || 'ultimate_crud_blog';
+    dbConfig.username = process.env.DB_USER || (dbConfig.dialect === 'postgres' ? 'postgres' : 'root');
+    dbConfig.password = process.env.DB_PASS || 'password';
+  }
+
+  return dbConfig;
+};
+
+const getPrimaryKey = (entity) => entity.primaryKey || 'id';
+
+// PostgreSQL returns folded (lower-case) column names for unquoted columns
+const readField = (row, field) => {
+  if (!row) {
+    return undefined;
+  }
+  return row[field] !== undefined ? row[field] : row[field.toLowerCase()];
+};
+
+const findEntity = (entities, name) => entities.find(entity => entity.name === name);
+
+// Rows of `softDelete` entities stay in the table with deletedAt set
+const isSoftDeleted = (entity, row) => Boolean(entity.softDelete && readField(row, 'deletedAt'));
+
+// Stored as UTC text so the value reads back the same on every dialect
+const createTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Returns async (id) => row | null for the entity's primary key
+const createRecordLoader = (entity, sequelize, { transaction } = {}) => {
+  const sql = `SELECT * FROM ${entity.name} WHERE ${getPrimaryKey(entity)} = :id`;
+
+  return async (id) => {
+    const rows = await sequelize.query(sql, {
+      replacements: { id },
+      type: QueryTypes.SELECT,
+      transaction
+    });
+    return rows[0] || null;
+  };
+};
+
+// Query and procedure entities; MySQL returns CALL result sets as [rows, metadata]
+const runQuery = async (sequelize, sql, replacements) => {
+  if (/^\s*CALL\s/i.test(sql)) {
+    const [rows] = await sequelize.query(sql, { replacements });
+    return Array.isArray(rows) ? rows : Object.values(rows || {});
+  }
+  return sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+};
+
+module.exports = {
+  createDbConfig,
+  getPrimaryKey,
+  readField,
+  findEntity,
+  isSoftDeleted,
+  createTimestamp,
+  createRecordLoader,
+  runQuery
+};
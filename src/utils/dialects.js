@@ -0,0 +1,73 @@
+/**
+ * Dialect-aware entity SQL
+ * `query` entities may declare `sql` as a plain string (portable SQL) or as
+ * per-dialect variants keyed by Sequelize dialect name:
+ *
+ *   sql: { mysql: '...', postgres: '...', sqlite: '...', default: '...' }
+ *
+ * resolveDialectSql picks the variant for the active dialect once at startup
+ * and fails fast when an entity has none.
+ */
+
+const { Transaction } = require('sequelize');
+
+const SUPPORTED_DIALECTS = ['mysql', 'postgres', 'sqlite'];
+
+const selectVariant = (variants, dialect) => {
+  if (typeof variants === 'string') {
+    return variants;
+  }
+  if (variants[dialect] !== undefined) {
+    return variants[dialect];
+  }
+  return variants.default;
+};
+
+// Row lock for SELECTs inside a transaction; SQLite serializes writers instead
+const forUpdate = (dialect) => selectVariant({ sqlite: '', default: ' FOR UPDATE' }, dialect);
+
+// Options for transactions that read with forUpdate() before writing. SQLite
+// takes the write lock up front (IMMEDIATE) so concurrent writers wait for it
+// instead of failing with SQLITE_BUSY when upgrading from a read lock.
+const lockingTransaction = (dialect) => selectVariant({ sqlite: { type: Transaction.TYPES.IMMEDIATE }, default: {} }, dialect);
+
+/**
+ * Return a copy of `entities` with every `sql` block reduced to the SQL
+ * string for `dialect`. Throws one error listing every entity without a variant.
+ */
+const resolveDialectSql = (entities, dialect) => {
+  if (!SUPPORTED_DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported DB_DIALECT "${dialect}" (expected one of: ${SUPPORTED_DIALECTS.join(', ')})`);
+  }
+
+  const missing = [];
+
+  const resolved = entities.map(entity => {
+    if (entity.sql === undefined) {
+      return entity;
+    }
+    const sql = selectVariant(entity.sql, dialect);
+    if (sql === undefined) {
+      missing.push(entity.name);
+      return entity;
+    }
+    return { ...entity, sql };
+  });
+
+  if (missing.length > 0) {
+    throw new Error(
+      `No SQL variant for dialect "${dialect}" in: ${missing.join(', ')}. ` +
+      `Add a "${dialect}" (or "default") entry to their sql blocks in model/entities.js`
+    );
+  }
+
+  return resolved;
+};
+
+module.exports = {
+  SUPPORTED_DIALECTS,
+  selectVariant,
+  forUpdate,
+  lockingTransaction,
+  resolveDialectSql
+};
@@ -0,0 +1,16 @@
+/**
+ * Errors thrown by services for the routes to translate: `status` is the
+ * HTTP status and `validation_errors` the field details, in the usual
+ * [{ field, message }] shape.
+ */
+
+const createHttpError = (status, message, validationErrors = []) => {
+  const error = new Error(message);
+  error.status = status;
+  error.validation_errors = validationErrors;
+  return error;
+};
+
+module.exports = {
+  createHttpError
+};
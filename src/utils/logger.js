@@ -0,0 +1,83 @@
+/**
+ * Structured Logger
+ * Writes one JSON object per line, filtered by LOG_LEVEL (error, warn, info, debug).
+ * Entries written while a request is being handled automatically carry its
+ * correlation id, including Sequelize query logs issued on its behalf.
+ * Query logs leave out the values in the SQL (password hashes, webhook secrets).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const requestContext = new AsyncLocalStorage();
+
+const getLevel = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? level : 'info';
+};
+
+// Env flags default to `fallback` when unset
+const isEnabled = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === 'true' || value === '1';
+};
+
+const getContext = () => requestContext.getStore() || {};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] > LEVELS[getLevel()]) {
+    return;
+  }
+
+  const { requestId } = getContext();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...(requestId ? { requestId } : {}),
+    ...fields
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields)
+};
+
+// String literals as Sequelize escapes them: backslashes on MySQL, doubled quotes elsewhere
+const STRING_LITERAL_PATTERNS = {
+  mysql: /'(?:[^'\\]|\\.|'')*'/g,
+  mariadb: /'(?:[^'\\]|\\.|'')*'/g,
+  default: /'(?:[^']|'')*'/g
+};
+
+// Sequelize writes replacements into the SQL it logs; keep its shape, not the values
+const redactValues = (sql, dialect) => sql.replace(
+  STRING_LITERAL_PATTERNS[dialect] || STRING_LITERAL_PATTERNS.default,
+  "'?'"
+);
+
+// Sequelize `logging` option; requires `benchmark: true` for durations
+const createQueryLogger = ({ dialect, slowQueryMs = parseInt(process.env.SLOW_QUERY_MS, 10) || 500 } = {}) => {
+  return (sql, durationMs) => {
+    const level = durationMs >= slowQueryMs ? 'warn' : 'info';
+    logger[level]('query', { sql: redactValues(sql, dialect), durationMs });
+  };
+};
+
+module.exports = {
+  logger,
+  requestContext,
+  getContext,
+  isEnabled,
+  createQueryLogger
+};
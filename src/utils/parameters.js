@@ -0,0 +1,98 @@
+/**
+ * Declared parameter handling for query and procedure entities
+ * Coerces request values to each parameter's declared `type`, applies
+ * `default`, and checks `required`, `min`/`max` (numbers) and `maxLength` (strings).
+ */
+
+const INTEGER_TYPES = ['INTEGER', 'INT', 'BIGINT'];
+const NUMBER_TYPES = ['FLOAT', 'DOUBLE', 'DECIMAL', 'NUMBER', 'REAL'];
+const BOOLEAN_TYPES = ['BOOLEAN', 'BOOL'];
+const DATE_TYPES = ['DATE', 'DATETIME'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Returns { value } or { error }
+const coerce = (value, type) => {
+  const normalized = String(type || 'STRING').toUpperCase();
+
+  if (INTEGER_TYPES.includes(normalized)) {
+    const number = Number(value);
+    return Number.isInteger(number) ? { value: number } : { error: 'must be an integer' };
+  }
+  if (NUMBER_TYPES.includes(normalized)) {
+    const number = Number(value);
+    return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+  }
+  if (BOOLEAN_TYPES.includes(normalized)) {
+    if (value === true || value === 'true' || value === '1' || value === 1) {
+      return { value: true };
+    }
+    if (value === false || value === 'false' || value === '0' || value === 0) {
+      return { value: false };
+    }
+    return { error: 'must be true or false' };
+  }
+  if (DATE_TYPES.includes(normalized)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'must be a valid date' } : { value: date };
+  }
+  if (typeof value === 'object') {
+    return { error: 'must be a string' };
+  }
+  return { value: String(value) };
+};
+
+/**
+ * Resolve declared parameters from `source` (query string and/or body).
+ * Returns { values, errors } where errors use the validation_errors shape.
+ */
+const parseParameters = (parameters = [], source = {}) => {
+  const values = {};
+  const errors = [];
+
+  parameters.forEach(parameter => {
+    const { name } = parameter;
+    const raw = source[name];
+
+    if (isEmpty(raw)) {
+      if (parameter.default !== undefined) {
+        values[name] = parameter.default;
+      } else if (parameter.required) {
+        errors.push({ field: name, message: `${name} is required` });
+      } else {
+        values[name] = null;
+      }
+      return;
+    }
+
+    const { value, error } = coerce(raw, parameter.type);
+    if (error) {
+      errors.push({ field: name, message: `${name} ${error}` });
+      return;
+    }
+
+    if (typeof value === 'number') {
+      if (parameter.min !== undefined && value < parameter.min) {
+        errors.push({ field: name, message: `${name} must be at least ${parameter.min}` });
+        return;
+      }
+      if (parameter.max !== undefined && value > parameter.max) {
+        errors.push({ field: name, message: `${name} must be at most ${parameter.max}` });
+        return;
+      }
+    }
+    if (typeof value === 'string' && parameter.maxLength !== undefined && value.length > parameter.maxLength) {
+      errors.push({ field: name, message: `${name} must be at most ${parameter.maxLength} characters long` });
+      return;
+    }
+
+    values[name] = value;
+  });
+
+  return { values, errors };
+};
+
+module.exports = {
+  coerce,
+  parseParameters
+};
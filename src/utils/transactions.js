@@ -0,0 +1,149 @@
+/**
+ * Ambient transactions
+ * Inside a managed `sequelize.transaction(callback)` on an instance passed to
+ * useAmbientTransactions(), every query of that instance the callback issues
+ * (raw queries, model calls, nested transactions) joins the transaction, so
+ * the requests of an atomic batch (routes/batch.js) commit or roll back
+ * together without the services they reach knowing about it.
+ *
+ * The async context is tracked with AsyncLocalStorage per Sequelize instance.
+ * Sequelize.useCLS would do the same for every instance in the process
+ * (migrator, seeder, CLI); only the instances set up here are affected.
+ *
+ * Work a request leaves running after its response (middleware/audit.js)
+ * registers with holdTransaction() so the batch settles it before committing;
+ * work that must only see committed data (middleware/cache.js) runs through
+ * afterCommit(), and work that cannot be undone on rollback (removing upload
+ * files, routes/uploads.js) through whenCommitted().
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run fn in a copy of the current context with `name` set to `value`
+const runWith = (name, value, fn) => {
+  const store = new Map(storage.getStore() || []);
+  return storage.run(store.set(name, value), fn);
+};
+
+const getValue = (name) => {
+  const store = storage.getStore();
+  return store ? store.get(name) : undefined;
+};
+
+/**
+ * The transaction of `sequelize` the current async context runs in, if any.
+ * Savepoints that already committed or rolled back give way to their parent.
+ */
+const getAmbientTransaction = (sequelize) => {
+  let transaction = getValue(sequelize);
+  while (transaction && transaction.finished) {
+    transaction = transaction.parent;
+  }
+  return transaction || undefined;
+};
+
+/**
+ * Make transactions ambient for `sequelize`. Transactions opened while one is
+ * ambient become its savepoints instead of separate connections, so services
+ * that open their own (orders, stock, moderation) nest inside a batch.
+ */
+const useAmbientTransactions = (sequelize) => {
+  const query = sequelize.query.bind(sequelize);
+  sequelize.query = (sql, options = {}) => {
+    if (options.transaction !== undefined) {
+      return query(sql, options);
+    }
+    return query(sql, { ...options, transaction: getAmbientTransaction(sequelize) });
+  };
+
+  const transaction = sequelize.transaction.bind(sequelize);
+  sequelize.transaction = (options, autoCallback) => {
+    if (typeof options === 'function') {
+      return sequelize.transaction({}, options);
+    }
+    const ambient = getAmbientTransaction(sequelize);
+    const transactionOptions = ambient ? { transaction: ambient, ...options } : options;
+    if (!autoCallback) {
+      return transaction(transactionOptions);
+    }
+    return transaction(transactionOptions, (opened) => runWith(sequelize, opened, () => autoCallback(opened)));
+  };
+  return sequelize;
+};
+
+/**
+ * Keep the transaction opened by runInTransaction() open until `promise`
+ * settles. Outside one it does nothing; `promise` is returned either way.
+ */
+const holdTransaction = (promise) => {
+  const pending = getValue('pending');
+  if (pending) {
+    pending.add(promise);
+    promise.then(() => pending.delete(promise), () => pending.delete(promise));
+  }
+  return promise;
+};
+
+// Wait for the work held in the current transaction, including work it starts meanwhile
+const settleHeld = async () => {
+  const pending = getValue('pending') || new Set();
+  for (let held = [...pending]; held.length > 0; held = [...pending]) {
+    await Promise.allSettled(held);
+  }
+};
+
+/**
+ * Run `fn` once the transaction opened by runInTransaction() commits; never
+ * if it rolls back. Outside one it does nothing.
+ */
+const afterCommit = (fn) => {
+  const committed = getValue('committed');
+  if (committed) {
+    committed.push(fn);
+  }
+};
+
+/**
+ * Run `fn` now, or inside runInTransaction() once its transaction commits
+ * (never if it rolls back). Resolves to fn's result when it ran right away.
+ */
+const whenCommitted = async (fn) => {
+  if (getValue('committed')) {
+    return afterCommit(fn);
+  }
+  return fn();
+};
+
+/**
+ * Run `fn(transaction)` in a new ambient transaction: committed when fn
+ * resolves, rolled back when it throws, once the work held meanwhile settled.
+ */
+const runInTransaction = (sequelize, fn) => {
+  const committed = [];
+  return runWith('committed', committed, () => runWith('pending', new Set(), () =>
+    sequelize.transaction(async (transaction) => {
+      let outermost = transaction;
+      while (outermost.parent) {
+        outermost = outermost.parent;
+      }
+      outermost.afterCommit(() => committed.forEach(callback => callback()));
+      try {
+        return await fn(transaction);
+      } finally {
+        await settleHeld();
+      }
+    })
+  ));
+};
+
+module.exports = {
+  useAmbientTransactions,
+  getAmbientTransaction,
+  holdTransaction,
+  settleHeld,
+  afterCommit,
+  whenCommitted,
+  runInTransaction
+};